@@ -7,6 +7,11 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 
+// Comma-separated list from the environment (path patterns, profile names)
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 const config = {
     // Server
     port: parseInt(process.env.PORT || '3000', 10),
@@ -28,6 +33,14 @@ const config = {
         keyfile: null // Will be loaded lazily
     },
 
+    // Storage backend: 'turbo' uploads to Arweave, 'local' writes content-addressed files to disk
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'turbo',
+        localPath: process.env.LOCAL_STORAGE_PATH || path.resolve(__dirname, '../../../storage'),
+        localPublicUrl: process.env.LOCAL_STORAGE_URL || null, // Defaults to http://localhost:{PORT}/local
+        incremental: process.env.INCREMENTAL_UPLOADS !== 'false' // Reuse files already uploaded for the project
+    },
+
     // ArNS Wallet (optional - for setting undernames)
     arns: {
         walletPath: process.env.ARNS_WALLET_PATH || null,
@@ -44,12 +57,100 @@ const config = {
     // Scraping
     scraping: {
         mode: process.env.SCRAPING_MODE || 'direct',
-        maxRoutes: 50,
+        maxRoutes: parseInt(process.env.CRAWL_MAX_ROUTES || '50', 10), // Safety limit, not counting the homepage
+        crawl: {
+            maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '3', 10), // Links followed from the homepage
+            include: parseList(process.env.CRAWL_INCLUDE), // Only crawl matching paths, e.g. /blog/**
+            exclude: parseList(process.env.CRAWL_EXCLUDE), // Never crawl matching paths, e.g. /admin/**
+            samplesPerPattern: parseInt(process.env.CRAWL_PATTERN_SAMPLES || '3', 10) // Routes archived per parameterized route, e.g. /blog/:slug
+        },
+        viewports: {
+            profiles: parseList(process.env.VIEWPORT_PROFILES || 'desktop'), // desktop, desktop-2x, tablet, mobile; each extra profile re-visits every route
+            htmlProfile: process.env.VIEWPORT_HTML_PROFILE || 'desktop' // Profile whose route HTML is archived
+        },
+        webArchive: {
+            format: process.env.WEB_ARCHIVE_FORMAT || 'warc' // 'warc', 'wacz' or 'none': standard web-archive copy in /_forever/
+        },
+        screenshots: {
+            enabled: process.env.SCREENSHOTS !== 'false', // Full-page screenshot and thumbnail of every route, in /_forever/screenshots/
+            thumbnailWidth: 320,
+            quality: 80 // JPEG quality
+        },
+        sitemap: {
+            enabled: process.env.USE_SITEMAP !== 'false', // Crawl the routes listed in robots.txt sitemaps or /sitemap.xml
+            maxSitemaps: 20, // Sitemaps read per site, including those listed in sitemap indexes
+            timeout: 15000 // Per file
+        },
+        interactions: {
+            enabled: process.env.INTERACTION_PASS === 'true', // Click tabs, accordions, dialogs and menus on every route
+            maxClicks: parseInt(process.env.INTERACTION_MAX_CLICKS || '10', 10), // Per route
+            allow: process.env.INTERACTION_ALLOW || 'button, summary, [role="button"], [role="tab"], [role="menuitem"], [aria-expanded], [aria-haspopup]',
+            deny: process.env.INTERACTION_DENY || '', // Added to the built-in deny list (links, submit buttons, disabled controls)
+            settleTime: 300 // Network quiet time that ends a click
+        },
+        replayApiResponses: process.env.REPLAY_API_RESPONSES !== 'false', // Replay captured XHR/fetch data in archives
+        missingAssets: {
+            enabled: process.env.FETCH_MISSING_ASSETS !== 'false', // Fetch assets the HTML/CSS reference but the browser never requested
+            maxAssets: parseInt(process.env.MISSING_ASSETS_MAX || '200', 10),
+            timeout: 15000 // Per asset
+        },
         timeouts: {
             homepage: 500,   // Wait for pages without charts (networkidle2 handles loading)
             route: 200,      // Wait for routes without charts (networkidle2 handles loading)
             final: 0         // No wait needed after all routes visited
         }
+    },
+
+    // Resources to block, capture, or capture but strip from archived pages (see services/policy.js)
+    policy: {
+        rules: process.env.RESOURCE_POLICY || '' // JSON array of rules, or the path of a JSON file
+    },
+
+    // Chromium instances shared by archive jobs, each job in its own browser context
+    browserPool: {
+        size: parseInt(process.env.BROWSER_POOL_SIZE || '2', 10), // Browsers kept warm
+        maxJobsPerBrowser: parseInt(process.env.BROWSER_MAX_JOBS || '20', 10) // Jobs a browser serves before it is replaced
+    },
+
+    // Limits per archive, enforced while capturing and before upload (see services/quotas.js)
+    quotas: {
+        maxFileMB: parseFloat(process.env.MAX_FILE_SIZE_MB || '25'), // Larger resources are skipped
+        maxArchiveMB: parseFloat(process.env.MAX_ARCHIVE_SIZE_MB || '250'),
+        maxFiles: parseInt(process.env.MAX_ARCHIVE_FILES || '5000', 10)
+    },
+
+    // Offline validation: archived routes are loaded from the scraped folder with every other request blocked
+    validation: {
+        enabled: process.env.VALIDATE_ARCHIVES !== 'false',
+        minScore: parseInt(process.env.VALIDATION_MIN_SCORE || '60', 10), // 0-100, archives scoring lower are not uploaded
+        routeTimeout: 20000,
+        settleTime: 1000 // Time for the app to render once the route has loaded
+    },
+
+    // Upload verification: every uploaded file is fetched back through a gateway and its hash compared
+    verification: {
+        enabled: process.env.VERIFY_UPLOADS !== 'false',
+        gatewayUrl: process.env.VERIFY_GATEWAY_URL || null, // Files are fetched from {gatewayUrl}/{manifestId}/{path}; defaults to the storage backend's archive URL
+        attempts: parseInt(process.env.VERIFY_ATTEMPTS || '3', 10), // Per file, data can take a moment to reach the gateway
+        retryDelay: 10000,
+        timeout: 30000, // Per request
+        concurrency: 4
+    },
+
+    // Upload cost estimates: 'turbo' asks the Turbo payment service, 'static' uses a fixed price (offline/tests)
+    pricing: {
+        source: process.env.PRICE_SOURCE || 'turbo',
+        staticWincPerGiB: process.env.STATIC_WINC_PER_GIB || '2000000000000' // 2 credits per GiB
+    },
+
+    // Preview-before-publish: scraped archives wait this long for approval before they are discarded
+    preview: {
+        ttlHours: parseFloat(process.env.PREVIEW_TTL_HOURS || '24')
+    },
+
+    // Archive layout
+    archive: {
+        reservedDir: '_forever' // Our own files inside each archive (e.g. the API replay shim)
     }
 };
 
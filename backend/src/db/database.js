@@ -39,13 +39,20 @@ function initDatabase() {
                             { name: 'arns_url', sql: 'ALTER TABLE archives ADD COLUMN arns_url TEXT' },
                             { name: 'archive_size_mb', sql: 'ALTER TABLE archives ADD COLUMN archive_size_mb REAL' },
                             { name: 'archive_time_seconds', sql: 'ALTER TABLE archives ADD COLUMN archive_time_seconds REAL' },
-                            { name: 'status', sql: 'ALTER TABLE archives ADD COLUMN status TEXT DEFAULT "success"' }
+                            { name: 'status', sql: 'ALTER TABLE archives ADD COLUMN status TEXT DEFAULT "success"' },
+                            { name: 'cost_estimate', sql: 'ALTER TABLE archives ADD COLUMN cost_estimate TEXT' },
+                            { name: 'screenshots', sql: 'ALTER TABLE archives ADD COLUMN screenshots TEXT' },
+                            { name: 'web_archive', sql: 'ALTER TABLE archives ADD COLUMN web_archive TEXT' }
                         ];
 
                         let completed = 0;
                         const runMigration = (index) => {
                             if (index >= migrations.length) {
-                                resolve();
+                                createVersionsTable()
+                                    .then(createJobsTable)
+                                    .then(createUploadedFilesTable)
+                                    .then(createFileVerificationsTable)
+                                    .then(resolve, reject);
                                 return;
                             }
 
@@ -69,23 +76,93 @@ function initDatabase() {
 }
 
 /**
- * Save successful archive to database
+ * Create the archive_versions table that records every archive attempt
+ * Existing archives are copied in once so their history isn't lost
  */
-function saveMappingToDB(projectID, manifestId, htmlHash = null, arnsUrl = null, archiveSizeMB = null, archiveTimeSeconds = null) {
+function createVersionsTable() {
+    return new Promise((resolve, reject) => {
+        db.run(`CREATE TABLE IF NOT EXISTS archive_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id TEXT NOT NULL,
+            manifest_id TEXT,
+            html_hash TEXT,
+            arns_url TEXT,
+            archive_size_mb REAL,
+            archive_time_seconds REAL,
+            status TEXT NOT NULL,
+            cost_estimate TEXT,
+            screenshots TEXT,
+            web_archive TEXT,
+            verification TEXT,
+            report TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, async (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            // Migration: upload cost estimate, screenshot paths (JSON), web archive path, verification
+            // summary (JSON) and completeness report (JSON) for tables created before them
+            await addColumns('archive_versions', [
+                { name: 'cost_estimate', type: 'TEXT' },
+                { name: 'screenshots', type: 'TEXT' },
+                { name: 'web_archive', type: 'TEXT' },
+                { name: 'verification', type: 'TEXT' },
+                { name: 'report', type: 'TEXT' }
+            ]);
+
+            db.run('CREATE INDEX IF NOT EXISTS idx_archive_versions_project ON archive_versions (project_id, id)', (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                // Backfill: one version per project archived before this table existed
+                db.run(`INSERT INTO archive_versions
+                        (project_id, manifest_id, html_hash, arns_url, archive_size_mb, archive_time_seconds, status, created_at)
+                        SELECT project_id,
+                               CASE WHEN manifest_id = 'failed' THEN NULL ELSE manifest_id END,
+                               html_hash, arns_url, archive_size_mb, archive_time_seconds,
+                               COALESCE(status, 'success'), created_at
+                        FROM archives
+                        WHERE NOT EXISTS (SELECT 1 FROM archive_versions v WHERE v.project_id = archives.project_id)`,
+                function (err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        if (this.changes > 0) {
+                            console.log(`[Database] Backfilled ${this.changes} archive version(s)`);
+                        }
+                        console.log('[Database] Archive versions table ready');
+                        resolve();
+                    }
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Record an archive attempt in the version history
+ */
+function insertArchiveVersion(projectID, version) {
     return new Promise((resolve, reject) => {
-        console.log(`[Database] Saving mapping: ${projectID} -> ${manifestId}${htmlHash ? ` (hash: ${htmlHash.substring(0, 8)}...)` : ''}${arnsUrl ? ` (ArNS: ${arnsUrl})` : ''}${archiveSizeMB ? ` (${archiveSizeMB.toFixed(2)} MB)` : ''}${archiveTimeSeconds ? ` (${archiveTimeSeconds.toFixed(1)}s)` : ''}`);
         db.run(
-            `INSERT OR REPLACE INTO archives
-             (project_id, manifest_id, html_hash, arns_url, archive_size_mb, archive_time_seconds, status)
-             VALUES (?, ?, ?, ?, ?, ?, 'success')`,
-            [projectID, manifestId, htmlHash, arnsUrl, archiveSizeMB, archiveTimeSeconds],
-            (err) => {
+            `INSERT INTO archive_versions
+             (project_id, manifest_id, html_hash, arns_url, archive_size_mb, archive_time_seconds, status, cost_estimate, screenshots, web_archive, verification, report)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [projectID, version.manifestId, version.htmlHash, version.arnsUrl, version.archiveSizeMB, version.archiveTimeSeconds, version.status,
+                version.costEstimate ? JSON.stringify(version.costEstimate) : null,
+                version.screenshots ? JSON.stringify(version.screenshots) : null,
+                version.webArchive || null,
+                version.verification ? JSON.stringify(version.verification) : null,
+                version.report ? JSON.stringify(version.report) : null],
+            function (err) {
                 if (err) {
-                    console.error('[Database] Error saving mapping:', err);
                     reject(err);
                 } else {
-                    console.log('[Database] Successfully saved mapping');
-                    resolve();
+                    resolve(this.lastID);
                 }
             }
         );
@@ -93,22 +170,166 @@ function saveMappingToDB(projectID, manifestId, htmlHash = null, arnsUrl = null,
 }
 
 /**
- * Log failed archive attempt
+ * Add columns to an existing table, ignoring ones that are already there
+ */
+function addColumns(table, columns) {
+    return columns.reduce((previous, column) => previous.then(() => new Promise((resolve) => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.warn(`[Database] Could not add ${table}.${column.name} column:`, err.message);
+            } else if (!err) {
+                console.log(`[Database] Added ${table}.${column.name} column`);
+            }
+            resolve();
+        });
+    })), Promise.resolve());
+}
+
+/**
+ * Create the jobs table used by the durable archive queue
+ */
+function createJobsTable() {
+    return new Promise((resolve, reject) => {
+        db.run(`CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            project_id TEXT NOT NULL,
+            url TEXT NOT NULL,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            preview INTEGER NOT NULL DEFAULT 0,
+            estimate_only INTEGER NOT NULL DEFAULT 0,
+            workdir TEXT,
+            preview_expires_at DATETIME,
+            approved_at DATETIME,
+            html_hash TEXT,
+            manifest_id TEXT,
+            archive_size_mb REAL,
+            cost_estimate TEXT,
+            crawl TEXT,
+            validation TEXT,
+            policy TEXT,
+            result TEXT,
+            error_code TEXT,
+            error_message TEXT,
+            created_at DATETIME,
+            updated_at DATETIME,
+            started_at DATETIME,
+            finished_at DATETIME
+        )`, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            // Migration: preview, estimate, crawl, policy and validation columns for jobs tables created before them
+            addColumns('jobs', [
+                { name: 'preview', type: 'INTEGER NOT NULL DEFAULT 0' },
+                { name: 'workdir', type: 'TEXT' },
+                { name: 'preview_expires_at', type: 'DATETIME' },
+                { name: 'approved_at', type: 'DATETIME' },
+                { name: 'estimate_only', type: 'INTEGER NOT NULL DEFAULT 0' },
+                { name: 'cost_estimate', type: 'TEXT' },
+                { name: 'crawl', type: 'TEXT' },
+                { name: 'policy', type: 'TEXT' },
+                { name: 'validation', type: 'TEXT' }
+            ]).then(() => {
+                console.log('[Database] Jobs table ready');
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Create the uploaded_files table: every file uploaded per project, by content hash and type,
+ * so re-archives can point unchanged files at their existing transactions
+ */
+function createUploadedFilesTable() {
+    return new Promise((resolve, reject) => {
+        db.run(`CREATE TABLE IF NOT EXISTS uploaded_files (
+            project_id TEXT NOT NULL,
+            content_hash TEXT NOT NULL,
+            content_type TEXT NOT NULL,
+            tx_id TEXT NOT NULL,
+            byte_size INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (project_id, content_hash, content_type)
+        )`, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                console.log('[Database] Uploaded files table ready');
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Create the file_verifications table: the result of fetching each file of an uploaded
+ * archive back from the gateway and comparing hashes (see services/storage/verify.js)
  */
-function logFailedArchive(projectID, htmlHash = null, archiveTimeSeconds = null) {
+function createFileVerificationsTable() {
+    return new Promise((resolve, reject) => {
+        db.run(`CREATE TABLE IF NOT EXISTS file_verifications (
+            manifest_id TEXT NOT NULL,
+            path TEXT NOT NULL,
+            status TEXT NOT NULL,
+            expected_hash TEXT NOT NULL,
+            actual_hash TEXT,
+            error TEXT,
+            byte_size INTEGER,
+            verified_at DATETIME,
+            PRIMARY KEY (manifest_id, path)
+        )`, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                console.log('[Database] File verifications table ready');
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Save successful archive to database
+ * Adds a version to the history and points the project's archive record at it
+ * archive holds { htmlHash, arnsUrl, archiveSizeMB, archiveTimeSeconds, costEstimate, screenshots, webArchive, verification, report }, all optional
+ * screenshots lists { route, image, thumbnail } archive paths (see services/scrape/screenshots.js)
+ * webArchive is the archive path of the WARC/WACZ copy (see services/warc)
+ * verification is the upload verification summary, without the per-file results
+ * report is the completeness report's { path, summary } (see services/scrape/report.js)
+ */
+async function saveMappingToDB(projectID, manifestId, archive = {}) {
+    const {
+        htmlHash = null, arnsUrl = null, archiveSizeMB = null, archiveTimeSeconds = null, costEstimate = null,
+        screenshots = null, webArchive = null, verification = null, report = null
+    } = archive;
+    console.log(`[Database] Saving mapping: ${projectID} -> ${manifestId}${htmlHash ? ` (hash: ${htmlHash.substring(0, 8)}...)` : ''}${arnsUrl ? ` (ArNS: ${arnsUrl})` : ''}${archiveSizeMB ? ` (${archiveSizeMB.toFixed(2)} MB)` : ''}${archiveTimeSeconds ? ` (${archiveTimeSeconds.toFixed(1)}s)` : ''}`);
+
+    try {
+        await insertArchiveVersion(projectID, {
+            manifestId, htmlHash, arnsUrl, archiveSizeMB, archiveTimeSeconds, status: 'success', costEstimate, screenshots, webArchive, verification, report
+        });
+    } catch (err) {
+        console.error('[Database] Error saving archive version:', err);
+        throw err;
+    }
+
     return new Promise((resolve, reject) => {
-        console.log(`[Database] Logging failed archive: ${projectID}`);
         db.run(
             `INSERT OR REPLACE INTO archives
-             (project_id, manifest_id, html_hash, archive_time_seconds, status)
-             VALUES (?, 'failed', ?, ?, 'failed')`,
-            [projectID, htmlHash, archiveTimeSeconds],
+             (project_id, manifest_id, html_hash, arns_url, archive_size_mb, archive_time_seconds, status, cost_estimate, screenshots, web_archive)
+             VALUES (?, ?, ?, ?, ?, ?, 'success', ?, ?, ?)`,
+            [projectID, manifestId, htmlHash, arnsUrl, archiveSizeMB, archiveTimeSeconds, costEstimate ? JSON.stringify(costEstimate) : null,
+                screenshots ? JSON.stringify(screenshots) : null, webArchive],
             (err) => {
                 if (err) {
-                    console.error('[Database] Error logging failure:', err);
+                    console.error('[Database] Error saving mapping:', err);
                     reject(err);
                 } else {
-                    console.log('[Database] Logged failed archive');
+                    console.log('[Database] Successfully saved mapping');
                     resolve();
                 }
             }
@@ -116,6 +337,25 @@ function logFailedArchive(projectID, htmlHash = null, archiveTimeSeconds = null)
     });
 }
 
+/**
+ * Log failed archive attempt
+ * Only the version history is touched, so a previous good archive stays current
+ * upload holds { manifestId, archiveSizeMB, verification } when the archive was uploaded but failed verification
+ */
+async function logFailedArchive(projectID, htmlHash = null, archiveTimeSeconds = null, upload = {}) {
+    console.log(`[Database] Logging failed archive: ${projectID}`);
+    try {
+        await insertArchiveVersion(projectID, {
+            manifestId: upload.manifestId || null, htmlHash, arnsUrl: null, archiveSizeMB: upload.archiveSizeMB || null, archiveTimeSeconds,
+            status: 'failed', verification: upload.verification || null
+        });
+        console.log('[Database] Logged failed archive');
+    } catch (err) {
+        console.error('[Database] Error logging failure:', err);
+        throw err;
+    }
+}
+
 /**
  * Get archive record for a given projectID (includes manifestID, hash, and ArNS URL)
  */
@@ -139,6 +379,203 @@ function getManifestIDFromProjectID(projectID) {
     return getArchiveRecord(projectID).then(record => record ? record.manifest_id : null);
 }
 
+/**
+ * Insert a new archive job
+ */
+function createJob(job) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            `INSERT INTO jobs (id, project_id, url, status, preview, estimate_only, policy, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [job.id, job.projectId, job.url, job.status, job.preview ? 1 : 0, job.estimateOnly ? 1 : 0,
+             job.policy ? JSON.stringify(job.policy) : null, job.createdAt, job.updatedAt],
+            (err) => {
+                if (err) {
+                    console.error('[Database] Error creating job:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Update columns of an archive job, e.g. { status: 'uploading', attempts: 2 }
+ */
+function updateJob(jobId, fields) {
+    return new Promise((resolve, reject) => {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(column => `${column} = ?`).join(', ');
+        db.run(
+            `UPDATE jobs SET ${assignments} WHERE id = ?`,
+            [...columns.map(column => fields[column]), jobId],
+            (err) => {
+                if (err) {
+                    console.error(`[Database] Error updating job ${jobId}:`, err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Get an archive job by ID
+ */
+function getJobRecord(jobId) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
+            if (err) {
+                console.error(`[Database] Failed to get job ${jobId}:`, err);
+                reject(err);
+            } else {
+                resolve(row || null);
+            }
+        });
+    });
+}
+
+/**
+ * Get all jobs that have not reached a final state, oldest first
+ */
+function getUnfinishedJobs() {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT * FROM jobs WHERE status NOT IN ('done', 'failed', 'rejected') ORDER BY created_at ASC`,
+            (err, rows) => {
+                if (err) {
+                    console.error('[Database] Failed to get unfinished jobs:', err);
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Get the files already uploaded for a project
+ */
+function getUploadedFiles(projectID) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM uploaded_files WHERE project_id = ?', [projectID], (err, rows) => {
+            if (err) {
+                console.error(`[Database] Failed to get uploaded files for ${projectID}:`, err);
+                reject(err);
+            } else {
+                resolve(rows || []);
+            }
+        });
+    });
+}
+
+/**
+ * Remember the transaction a file was uploaded in
+ */
+function recordUploadedFile(projectID, file) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            `INSERT OR REPLACE INTO uploaded_files (project_id, content_hash, content_type, tx_id, byte_size)
+             VALUES (?, ?, ?, ?, ?)`,
+            [projectID, file.contentHash, file.contentType, file.txId, file.bytes],
+            (err) => {
+                if (err) {
+                    console.error(`[Database] Error recording uploaded file for ${projectID}:`, err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Record the verification result of one file of an uploaded archive
+ * file: { path, bytes, expectedHash, actualHash, status, error }
+ */
+function recordFileVerification(manifestId, file, verifiedAt) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            `INSERT OR REPLACE INTO file_verifications
+             (manifest_id, path, status, expected_hash, actual_hash, error, byte_size, verified_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [manifestId, file.path, file.status, file.expectedHash, file.actualHash, file.error, file.bytes, verifiedAt],
+            (err) => {
+                if (err) {
+                    console.error(`[Database] Error recording verification of ${file.path} in ${manifestId}:`, err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Get the per-file verification results of an uploaded archive, by path
+ */
+function getFileVerifications(manifestId) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM file_verifications WHERE manifest_id = ? ORDER BY path', [manifestId], (err, rows) => {
+            if (err) {
+                console.error(`[Database] Failed to get file verifications for ${manifestId}:`, err);
+                reject(err);
+            } else {
+                resolve(rows || []);
+            }
+        });
+    });
+}
+
+/**
+ * Get the most recent successful version of a project
+ */
+function getLatestSuccessfulVersion(projectID) {
+    return new Promise((resolve, reject) => {
+        db.get(
+            `SELECT * FROM archive_versions
+             WHERE project_id = ? AND status = 'success'
+             ORDER BY id DESC LIMIT 1`,
+            [projectID],
+            (err, row) => {
+                if (err) {
+                    console.error(`[Database] Failed to get latest version for project ${projectID}:`, err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Get every archive attempt for a project, newest first
+ */
+function getArchiveVersions(projectID) {
+    return new Promise((resolve, reject) => {
+        db.all(
+            'SELECT * FROM archive_versions WHERE project_id = ? ORDER BY id DESC',
+            [projectID],
+            (err, rows) => {
+                if (err) {
+                    console.error(`[Database] Failed to get versions for project ${projectID}:`, err);
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            }
+        );
+    });
+}
+
 /**
  * Get database statistics
  */
@@ -151,7 +588,7 @@ function getDatabaseStats() {
                 MAX(CASE WHEN status = 'success' THEN created_at END) as last_archive,
                 SUM(CASE WHEN status = 'success' THEN archive_size_mb ELSE 0 END) as total_size_mb,
                 AVG(CASE WHEN status = 'success' THEN archive_time_seconds END) as avg_archive_time_seconds
-            FROM archives
+            FROM archive_versions
         `, (err, row) => {
             if (err) {
                 console.error('[Database] Failed to get stats:', err);
@@ -191,6 +628,16 @@ module.exports = {
     logFailedArchive,
     getManifestIDFromProjectID,
     getArchiveRecord,
+    getLatestSuccessfulVersion,
+    getArchiveVersions,
+    createJob,
+    updateJob,
+    getJobRecord,
+    getUnfinishedJobs,
+    getUploadedFiles,
+    recordUploadedFile,
+    recordFileVerification,
+    getFileVerifications,
     getDatabaseStats,
     closeDatabase
 };
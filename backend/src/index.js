@@ -8,8 +8,12 @@ const express = require('express');
 const cors = require('cors');
 const { config } = require('./config/config');
 const { initDatabase, closeDatabase } = require('./db/database');
+const { resumeJobs, stopQueue } = require('./services/queue');
+const { warmBrowserPool, closeBrowserPool } = require('./services/browser-pool');
 const { validateEnvironment } = require('./utils/startup-checks');
 const archiveRoutes = require('./routes/archive');
+const localStorageRoutes = require('./routes/local');
+const previewRoutes = require('./routes/previews');
 
 const app = express();
 
@@ -47,6 +51,8 @@ app.use((req, res, next) => {
 
 // API Routes
 app.use('/', archiveRoutes);
+app.use('/local', localStorageRoutes); // Archives stored with STORAGE_BACKEND=local
+app.use('/previews', previewRoutes); // Scraped archives waiting for approval
 
 // 404 handler
 app.use((req, res) => {
@@ -70,6 +76,12 @@ async function startServer() {
         // Initialize database
         await initDatabase();
 
+        // Launch the shared browsers before jobs need them
+        await warmBrowserPool();
+
+        // Pick up archive jobs left unfinished by the previous run
+        await resumeJobs();
+
         // Start listening
         app.listen(config.port, () => {
             console.log('=====================================');
@@ -78,8 +90,10 @@ async function startServer() {
             console.log(`Environment: ${config.nodeEnv}`);
             console.log(`Server running on port ${config.port}`);
             console.log(`Archive endpoint: POST http://localhost:${config.port}/`);
+            console.log(`Job status: GET http://localhost:${config.port}/jobs/:id`);
             console.log(`Health check: GET http://localhost:${config.port}/health`);
             console.log(`CORS origin: ${config.corsOrigin}`);
+            console.log(`Storage backend: ${config.storage.backend}`);
             console.log(`ArNS name: ${config.arns.name}`);
             console.log('=====================================');
         });
@@ -91,14 +105,18 @@ async function startServer() {
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-    console.log('[Shutdown] SIGTERM received, closing database...');
+    console.log('[Shutdown] SIGTERM received, stopping queue, browsers and database...');
+    stopQueue();
+    await closeBrowserPool();
     await closeDatabase();
     console.log('[Shutdown] Database closed');
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-    console.log('[Shutdown] SIGINT received, closing database...');
+    console.log('[Shutdown] SIGINT received, stopping queue, browsers and database...');
+    stopQueue();
+    await closeBrowserPool();
     await closeDatabase();
     console.log('[Shutdown] Database closed');
     process.exit(0);
@@ -5,13 +5,20 @@
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { runArchiver } = require('../services/archiver');
-const { getManifestIDFromProjectID, getArchiveRecord } = require('../db/database');
+const { enqueueArchiveJob, approveJob, rejectJob, getJob, findActiveJobForProject, isFinished, subscribeToJob, serializeJob, getQueueStats } = require('../services/queue');
+const { getLatestSuccessfulVersion, getArchiveVersions, getFileVerifications } = require('../db/database');
 const { config } = require('../config/config');
 const { getHTMLHash } = require('../utils/hash');
+const { resolveSource, getSupportedUrlFormats, describeSources } = require('../services/sources');
+const { getManifestUrl, getArchiveFileUrl, describeScreenshots, describeReport } = require('../services/storage');
+const { getBrowserPoolStats } = require('../services/browser-pool');
+const { validatePolicyRules } = require('../services/policy');
 
 const router = express.Router();
 
+// Keep-alive comment interval for progress streams (proxies drop idle connections)
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
 // Rate limiter: 5 requests per IP per 15 minutes
 const archiveRateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -21,80 +28,61 @@ const archiveRateLimiter = rateLimit({
     legacyHeaders: false, // Disable X-RateLimit-* headers
 });
 
-// Concurrent request limiter: Max 3 simultaneous archive operations
-let activeArchiveRequests = 0;
-const MAX_CONCURRENT_ARCHIVES = 3;
-
-const concurrentLimiter = async (req, res, next) => {
-    // Atomic check-and-increment to prevent race condition
-    if (activeArchiveRequests >= MAX_CONCURRENT_ARCHIVES) {
-        return res.status(503).json({
-            error: 'Server is currently processing the maximum number of archive requests. Please try again in a few moments.'
-        });
-    }
-    activeArchiveRequests++;
-    console.log(`[Concurrent] Active archive requests: ${activeArchiveRequests}/${MAX_CONCURRENT_ARCHIVES}`);
-
-    // Ensure we decrement on BOTH finish and close events
-    // 'finish' = successful response sent
-    // 'close' = connection closed (timeout, client disconnect, etc.)
-    let decremented = false;
-    const decrementCounter = () => {
-        if (!decremented) {
-            decremented = true;
-            activeArchiveRequests--;
-            console.log(`[Concurrent] Active archive requests: ${activeArchiveRequests}/${MAX_CONCURRENT_ARCHIVES}`);
-        }
-    };
-
-    res.on('finish', decrementCounter);
-    res.on('close', decrementCounter);
-
-    next();
-};
-
 /**
  * POST /
- * Main archival endpoint that validates, archives, and uploads Lovable projects
+ * Main archival endpoint that validates a project URL and queues an archive job
+ * Responds 200 with the cached archive when unchanged, otherwise 202 with a job ID
+ * With preview=true the job stops after scraping until POST /jobs/:id/approve or /reject
+ * policy holds resource policy rules for this archive; requests with one skip the cache check
  */
-router.post('/', archiveRateLimiter, concurrentLimiter, async (req, res) => {
+router.post('/', archiveRateLimiter, async (req, res) => {
     console.log('[Archive] Request received');
 
-    const { url, force } = req.body;
+    const { url, force, preview } = req.body;
     if (!url) {
         return res.status(400).send('Bad Request: The "url" property is required in the request body.');
     }
 
+    let policy;
+    try {
+        policy = parseRequestPolicy(req.body.policy);
+    } catch (error) {
+        return res.status(400).send(`Bad Request: ${error.message}.`);
+    }
+
     const forceReArchive = force === true || force === 'true';
     if (forceReArchive) {
         console.log('[Archive] Force re-archive requested');
     }
 
-    // Support both old and new Lovable URL formats
-    // Old format: https://lovable.dev/projects/{uuid}
-    // New format: https://{project-id}.lovable.app/
-    const oldUrlRegex = /^https:\/\/lovable\.dev\/projects\/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}(\?.*)?$/i;
-    const newUrlRegex = /^https:\/\/([a-z0-9-]+)\.lovable\.app\/?(\?.*)?$/i;
+    const previewFirst = preview === true || preview === 'true';
 
-    let projectID;
-    let isOldFormat = false;
-
-    if (oldUrlRegex.test(url)) {
-        // Old format: extract UUID from path
-        isOldFormat = true;
-        projectID = url.split("/projects/")[1].split("?")[0];
-    } else if (newUrlRegex.test(url)) {
-        // New format: extract subdomain as project ID
-        const match = url.match(newUrlRegex);
-        projectID = match[1];
-    } else {
-        return res.status(400).send('Bad Request: Invalid URL format. Expected "https://lovable.dev/projects/{uuid}" or "https://{project-id}.lovable.app/".');
+    // Find the source adapter (Lovable, Bolt.new, Vercel, Netlify...) that handles this URL
+    const target = resolveSource(url);
+    if (!target) {
+        return sendInvalidUrl(res);
     }
+    const projectID = target.projectID;
 
     try {
-        // Cache check with HTML hash comparison (unless force=true)
-        if (!forceReArchive) {
-            const archiveRecord = await getArchiveRecord(projectID);
+        // Reuse an archive job that is already queued or running for this project
+        const activeJob = findActiveJobForProject(projectID);
+        if (activeJob?.estimateOnly) {
+            return res.status(409).send('A cost estimate is running for this project. Please try again when it finishes.');
+        }
+        if (activeJob) {
+            console.log(`[Archive] Job ${activeJob.id} already in progress for ${projectID}`);
+            return res.status(202).json({
+                success: true,
+                ...serializeJob(activeJob),
+                statusUrl: `/jobs/${activeJob.id}`
+            });
+        }
+
+        // Cache check against the latest successful version with HTML hash comparison (unless force=true)
+        // The cached version was captured under the default policy, so custom policies always re-archive
+        if (!forceReArchive && !policy) {
+            const archiveRecord = await getLatestSuccessfulVersion(projectID);
             if (archiveRecord) {
                 console.log(`[Archive] Found existing archive for ${projectID}`);
 
@@ -102,17 +90,20 @@ router.post('/', archiveRateLimiter, concurrentLimiter, async (req, res) => {
                 if (archiveRecord.html_hash) {
                     console.log(`[Archive] Checking if project has changed...`);
                     try {
-                        const currentHash = await getHTMLHash(url);
+                        const currentHash = await getHTMLHash(target.previewUrl);
                         if (currentHash && currentHash === archiveRecord.html_hash) {
                             console.log(`[Archive] Project unchanged (hash match). Returning cached archive.`);
-                            const manifestUrl = `https://arweave.net/${archiveRecord.manifest_id}`;
+                            const manifestUrl = getManifestUrl(archiveRecord.manifest_id);
                             return res.status(200).json({
                                 success: true,
                                 cached: true,
                                 projectId: projectID,
                                 manifestId: archiveRecord.manifest_id,
                                 manifestUrl: manifestUrl,
-                                arnsUrl: archiveRecord.arns_url || null
+                                arnsUrl: archiveRecord.arns_url || null,
+                                ...describeScreenshots(archiveRecord.manifest_id, parseScreenshots(archiveRecord)),
+                                webArchiveUrl: getWebArchiveUrl(archiveRecord),
+                                ...describeReport(archiveRecord.manifest_id, parseReport(archiveRecord))
                             });
                         } else if (currentHash) {
                             console.log(`[Archive] Project has changed (hash mismatch). Re-archiving...`);
@@ -126,64 +117,363 @@ router.post('/', archiveRateLimiter, concurrentLimiter, async (req, res) => {
                 } else {
                     // No hash stored - return cached archive anyway (backward compatibility)
                     console.log(`[Archive] No hash stored for existing archive. Returning cached version.`);
-                    const manifestUrl = `https://arweave.net/${archiveRecord.manifest_id}`;
+                    const manifestUrl = getManifestUrl(archiveRecord.manifest_id);
                     return res.status(200).json({
                         success: true,
                         cached: true,
                         projectId: projectID,
                         manifestId: archiveRecord.manifest_id,
                         manifestUrl: manifestUrl,
-                        arnsUrl: archiveRecord.arns_url || null
+                        arnsUrl: archiveRecord.arns_url || null,
+                        ...describeScreenshots(archiveRecord.manifest_id, parseScreenshots(archiveRecord)),
+                        webArchiveUrl: getWebArchiveUrl(archiveRecord),
+                        ...describeReport(archiveRecord.manifest_id, parseReport(archiveRecord))
                     });
                 }
             }
         }
 
-        console.log(`[Archive] Creating new archive for ${projectID}...`);
+        console.log(`[Archive] Queueing new archive for ${projectID}...`);
 
-        // Execute the full archival and upload process
-        const result = await runArchiver(url, projectID, isOldFormat);
-        const manifestUrl = `https://arweave.net/${result.manifestId}`;
+        // The archival and upload process runs in the background
+        const job = await enqueueArchiveJob({ url, projectID, preview: previewFirst, policy });
 
-        res.status(200).json({
+        res.status(202).json({
             success: true,
-            projectId: projectID,
-            manifestId: result.manifestId,
-            manifestUrl: manifestUrl,
-            arnsUrl: result.arnsInfo?.arnsUrl || null,
-            arnsTxId: result.arnsInfo?.txId || null
+            ...serializeJob(job),
+            statusUrl: `/jobs/${job.id}`
         });
 
     } catch (error) {
         console.error(`[Archive] Critical error for project ${projectID}:`, error);
 
-        // If error occurred after mapping was saved, return success
-        const archiveRecord = await getArchiveRecord(projectID);
-        if (archiveRecord) {
-            console.warn(`[Archive] Error occurred, but DB mapping for ${projectID} exists. Returning success response.`);
+        if (error.message === 'queuefull') {
+            res.status(503).send('The archive queue is full. Please try again in a few minutes.');
+        } else if (error.message === 'queueclosed') {
+            res.status(503).send('The server is restarting. Please try again in a few moments.');
+        } else {
+            res.status(500).send('Internal Server Error: An unknown error occurred during archiving.');
+        }
+    }
+});
+
+/**
+ * POST /estimate
+ * Scrapes a project to estimate what uploading it would cost, without uploading anything
+ * Responds 202 with a job ID; the finished job's result holds the estimate
+ * policy holds resource policy rules, so the estimate matches an archive made with them
+ */
+router.post('/estimate', archiveRateLimiter, async (req, res) => {
+    const { url } = req.body;
+    if (!url) {
+        return res.status(400).send('Bad Request: The "url" property is required in the request body.');
+    }
 
-            const manifestUrl = `https://arweave.net/${archiveRecord.manifest_id}`;
+    let policy;
+    try {
+        policy = parseRequestPolicy(req.body.policy);
+    } catch (error) {
+        return res.status(400).send(`Bad Request: ${error.message}.`);
+    }
 
-            return res.status(200).json({
-                success: true,
-                projectId: projectID,
-                manifestId: archiveRecord.manifest_id,
-                manifestUrl: manifestUrl,
-                arnsUrl: archiveRecord.arns_url || null
-            });
+    const target = resolveSource(url);
+    if (!target) {
+        return sendInvalidUrl(res);
+    }
+    const projectID = target.projectID;
+
+    try {
+        // The scrape folder is per project, so only one job per project can run at a time
+        const activeJob = findActiveJobForProject(projectID);
+        if (activeJob && !activeJob.estimateOnly) {
+            return res.status(409).send('An archive is running for this project. Please try again when it finishes.');
         }
 
-        // Return specific error strings
-        if (error.message === 'archiveerror') {
-            res.status(500).send('Failed to retrieve the page for archival, chances are Lovable blocked our connection, please try again in a few seconds.');
-        } else if (error.message === 'arerror') {
-            res.status(500).send('Error with ARWeave/Turbo');
+        const job = activeJob || await enqueueArchiveJob({ url, projectID, estimateOnly: true, policy });
+        console.log(`[Archive] Estimate job ${job.id} for ${projectID}`);
+
+        res.status(202).json({
+            success: true,
+            ...serializeJob(job),
+            statusUrl: `/jobs/${job.id}`
+        });
+    } catch (error) {
+        console.error(`[Archive] Could not queue estimate for ${projectID}:`, error);
+
+        if (error.message === 'queuefull') {
+            res.status(503).send('The archive queue is full. Please try again in a few minutes.');
+        } else if (error.message === 'queueclosed') {
+            res.status(503).send('The server is restarting. Please try again in a few moments.');
         } else {
-            res.status(500).send('Internal Server Error: An unknown error occurred during archiving.');
+            res.status(500).send('Internal Server Error: Could not queue the estimate.');
+        }
+    }
+});
+
+/**
+ * Respond 400 with the URL formats the source adapters accept
+ */
+function sendInvalidUrl(res) {
+    const formats = getSupportedUrlFormats().map(format => `"${format}"`).join(', ');
+    return res.status(400).send(`Bad Request: Invalid URL format. Expected one of: ${formats}.`);
+}
+
+/**
+ * Resource policy rules sent with a request (see services/policy.js), or null without any
+ * Throws 'Invalid resource policy: ...' for malformed rules
+ */
+function parseRequestPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return null;
+    }
+    return validatePolicyRules(policy);
+}
+
+/**
+ * Screenshot paths stored with an archive version (older versions have none)
+ */
+function parseScreenshots(version) {
+    return version.screenshots ? JSON.parse(version.screenshots) : [];
+}
+
+/**
+ * Completeness report ({ path, summary }) stored with an archive version, if it has one
+ */
+function parseReport(version) {
+    return version.report ? JSON.parse(version.report) : null;
+}
+
+/**
+ * Download URL of an archive version's WARC/WACZ copy, if it has one
+ */
+function getWebArchiveUrl(version) {
+    return version.manifest_id && version.web_archive ? getArchiveFileUrl(version.manifest_id, version.web_archive) : null;
+}
+
+/**
+ * GET /jobs/:id
+ * Reports the state of an archive job and, once done, the manifest and ArNS result
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.status(200).json(serializeJob(job));
+    } catch (error) {
+        console.error(`[Archive] Failed to get job ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Could not fetch job' });
+    }
+});
+
+/**
+ * POST /jobs/:id/approve
+ * Approves a preview: the scraped archive is uploaded and ArNS is assigned
+ */
+router.post('/jobs/:id/approve', async (req, res) => {
+    await handlePreviewDecision(req, res, approveJob, 202);
+});
+
+/**
+ * POST /jobs/:id/reject
+ * Rejects a preview: the scraped archive is deleted without uploading anything
+ */
+router.post('/jobs/:id/reject', async (req, res) => {
+    await handlePreviewDecision(req, res, rejectJob, 200);
+});
+
+/**
+ * Apply an approve/reject decision to a job and respond with the job
+ */
+async function handlePreviewDecision(req, res, decide, successStatus) {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const updatedJob = await decide(job.id);
+        res.status(successStatus).json({
+            success: true,
+            ...serializeJob(updatedJob),
+            statusUrl: `/jobs/${updatedJob.id}`
+        });
+    } catch (error) {
+        if (error.message === 'notawaitingapproval') {
+            res.status(409).json({ error: 'Job is not waiting for preview approval' });
+        } else if (error.message === 'queuefull') {
+            res.status(503).json({ error: 'The archive queue is full. Please try again in a few minutes.' });
+        } else if (error.message === 'queueclosed') {
+            res.status(503).json({ error: 'The server is restarting. Please try again in a few moments.' });
+        } else {
+            console.error(`[Archive] Failed to update preview for job ${req.params.id}:`, error);
+            res.status(500).json({ error: 'Could not update job' });
+        }
+    }
+}
+
+/**
+ * GET /jobs/:id/events
+ * Server-Sent Events stream of a job's stage changes and scrape/upload progress
+ * Events: 'status' (job snapshot), 'progress' (stage details) and 'end' (final job snapshot)
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+    let job;
+    try {
+        job = await getJob(req.params.id);
+    } catch (error) {
+        console.error(`[Archive] Failed to get job ${req.params.id}:`, error);
+        return res.status(500).json({ error: 'Could not fetch job' });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Archives can outlast the default request timeout
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx response buffering
+    });
+    res.flushHeaders();
+
+    const sendEvent = (type, payload) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Send the current state first so late subscribers are in sync
+    const snapshot = serializeJob(job);
+    if (isFinished(job)) {
+        sendEvent('end', snapshot);
+        return res.end();
+    }
+    sendEvent('status', snapshot);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    const unsubscribe = subscribeToJob(job.id, (type, payload) => {
+        sendEvent(type, payload);
+        if (type === 'end') {
+            res.end();
+        }
+    });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * GET /projects/:id/versions
+ * Lists every archive attempt for a project, newest first
+ */
+router.get('/projects/:id/versions', async (req, res) => {
+    const projectID = req.params.id;
+
+    try {
+        const versions = await getArchiveVersions(projectID);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'No archives found for this project' });
         }
+
+        res.status(200).json({
+            projectId: projectID,
+            versions: versions.map(version => ({
+                versionId: version.id,
+                status: version.status,
+                manifestId: version.manifest_id,
+                manifestUrl: version.manifest_id ? getManifestUrl(version.manifest_id) : null,
+                arnsUrl: version.arns_url,
+                htmlHash: version.html_hash,
+                archiveSizeMB: version.archive_size_mb,
+                archiveTimeSeconds: version.archive_time_seconds,
+                costEstimate: version.cost_estimate ? JSON.parse(version.cost_estimate) : null,
+                ...(version.manifest_id ? describeScreenshots(version.manifest_id, parseScreenshots(version)) : { previewImage: null, screenshots: [] }),
+                webArchiveUrl: getWebArchiveUrl(version),
+                ...describeReport(version.manifest_id, parseReport(version)),
+                verification: version.verification ? JSON.parse(version.verification) : null,
+                createdAt: version.created_at
+            }))
+        });
+    } catch (error) {
+        console.error(`[Archive] Failed to list versions for ${projectID}:`, error);
+        res.status(500).json({ error: 'Could not fetch archive versions' });
     }
 });
 
+/**
+ * GET /projects/:id/verification
+ * Per-file upload verification results of the project's latest successful archive,
+ * or of the version given as ?manifestId=
+ */
+router.get('/projects/:id/verification', async (req, res) => {
+    const projectID = req.params.id;
+    const { manifestId } = req.query;
+
+    try {
+        const versions = await getArchiveVersions(projectID);
+        const version = manifestId
+            ? versions.find(candidate => candidate.manifest_id === manifestId)
+            : versions.find(candidate => candidate.status === 'success');
+        if (!version || !version.verification) {
+            return res.status(404).json({ error: 'No verification found for this archive' });
+        }
+
+        const files = await getFileVerifications(version.manifest_id);
+        res.status(200).json({
+            projectId: projectID,
+            manifestId: version.manifest_id,
+            verification: JSON.parse(version.verification),
+            files: files.map(file => ({
+                path: file.path,
+                status: file.status,
+                error: file.error,
+                bytes: file.byte_size,
+                expectedHash: file.expected_hash,
+                actualHash: file.actual_hash
+            }))
+        });
+    } catch (error) {
+        console.error(`[Archive] Failed to get verification for ${projectID}:`, error);
+        res.status(500).json({ error: 'Could not fetch the verification results' });
+    }
+});
+
+/**
+ * GET /projects/:id/web-archive
+ * Redirects to the WARC/WACZ copy of the project's latest successful archive
+ */
+router.get('/projects/:id/web-archive', async (req, res) => {
+    const projectID = req.params.id;
+
+    try {
+        const version = await getLatestSuccessfulVersion(projectID);
+        const webArchiveUrl = version ? getWebArchiveUrl(version) : null;
+        if (!webArchiveUrl) {
+            return res.status(404).json({ error: 'No web archive found for this project' });
+        }
+        res.redirect(302, webArchiveUrl);
+    } catch (error) {
+        console.error(`[Archive] Failed to find web archive for ${projectID}:`, error);
+        res.status(500).json({ error: 'Could not fetch the web archive' });
+    }
+});
+
+/**
+ * GET /sources
+ * Lists the supported app builders/hosts and the URL formats they accept
+ */
+router.get('/sources', (req, res) => {
+    res.status(200).json({ sources: describeSources() });
+});
+
 /**
  * GET /health
  * Health check endpoint with archive metrics
@@ -205,8 +495,11 @@ router.get('/health', async (req, res) => {
                 totalSizeArchivedMB: dbStats.total_size_mb ? parseFloat(dbStats.total_size_mb.toFixed(2)) : 0,
                 averageArchiveTimeSeconds: dbStats.avg_archive_time_seconds ? parseFloat(dbStats.avg_archive_time_seconds.toFixed(1)) : null
             },
+            queue: getQueueStats(),
+            browserPool: getBrowserPoolStats(),
             config: {
                 arnsName: config.arns.name,
+                storageBackend: config.storage.backend,
                 uptimeHours: parseFloat((process.uptime() / 3600).toFixed(2))
             }
         });
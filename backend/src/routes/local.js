@@ -0,0 +1,34 @@
+/**
+ * Local Storage Routes
+ * Serves archives stored by the local storage backend with Arweave gateway path semantics
+ */
+
+const express = require('express');
+const path = require('path');
+const { resolveManifestPath } = require('../services/storage/local');
+
+const router = express.Router();
+
+/**
+ * GET /local/:manifestId/*
+ * Serves a file from a locally stored archive (index.html for "/", SPA fallback for unknown paths)
+ */
+router.get(['/:manifestId', '/:manifestId/*'], (req, res) => {
+    const { manifestId } = req.params;
+
+    // Relative URLs in the archive only resolve correctly below a trailing slash
+    if (!req.params[0] && !req.originalUrl.split('?')[0].endsWith('/')) {
+        return res.redirect(301, `${req.baseUrl}/${manifestId}/`);
+    }
+
+    const resolved = resolveManifestPath(manifestId, req.params[0]);
+    if (!resolved) {
+        return res.status(404).json({ error: 'Not Found' });
+    }
+
+    // Content type comes from the path in the manifest; the stored file has no extension
+    res.type(resolved.manifestPath ? path.extname(resolved.manifestPath) || 'application/octet-stream' : 'html');
+    res.sendFile(resolved.filePath);
+});
+
+module.exports = router;
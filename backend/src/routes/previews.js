@@ -0,0 +1,56 @@
+/**
+ * Preview Routes
+ * Serves scraped archives that are waiting for approval, before anything is uploaded
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { getJob, JOB_STATUS } = require('../services/queue');
+const { INDEX_FILE, getPathCandidates } = require('../utils/gateway');
+
+const router = express.Router();
+
+/**
+ * GET /previews/:jobId/*
+ * Serves a file from a preview job's scraped folder with the same path rules as the Arweave gateway
+ */
+router.get(['/:jobId', '/:jobId/*'], async (req, res) => {
+    let job;
+    try {
+        job = await getJob(req.params.jobId);
+    } catch (error) {
+        console.error(`[Preview] Failed to get job ${req.params.jobId}:`, error);
+        return res.status(500).json({ error: 'Could not fetch job' });
+    }
+
+    if (!job || job.status !== JOB_STATUS.AWAITING_APPROVAL || !job.workdir) {
+        return res.status(404).json({ error: 'Preview not found or no longer available' });
+    }
+
+    // Relative URLs in the archive only resolve correctly below a trailing slash
+    if (!req.params[0] && !req.originalUrl.split('?')[0].endsWith('/')) {
+        return res.redirect(301, `${req.baseUrl}/${job.id}/`);
+    }
+
+    // Previews are temporary: never cache or index them
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+
+    const rootDir = path.resolve(job.workdir);
+    for (const candidate of [...getPathCandidates(req.params[0]), INDEX_FILE]) {
+        const filePath = path.resolve(rootDir, candidate);
+
+        // Security: Stay inside the preview folder
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            return res.status(400).json({ error: 'Invalid path' });
+        }
+
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+            return res.sendFile(filePath);
+        }
+    }
+
+    res.status(404).json({ error: 'Not Found' });
+});
+
+module.exports = router;
@@ -1,37 +1,29 @@
 /**
  * Archiver Service
- * Orchestrates the entire archival process: scraping, uploading, and ArNS assignment
+ * Orchestrates the entire archival process: scraping, offline validation, uploading, verification and ArNS assignment
+ * Uploads go through the configured storage backend (Arweave via Turbo, or local disk)
  */
 
+const { config } = require('../config/config');
 const { directScrape } = require('./scraper');
-const { uploadFolderToArweave } = require('./arweave');
+const { getStorage, getArchiveTags } = require('./storage');
+const { hashFolderFiles, verifyUpload } = require('./storage/verify');
+const { validateArchive } = require('./validation');
+const { QUOTA_ERRORS, checkArchiveQuotas } = require('./quotas');
 const { setArNSUndername } = require('./arns');
-const { saveMappingToDB, logFailedArchive } = require('../db/database');
+const { getSourceTags } = require('./sources');
+const { saveMappingToDB, logFailedArchive, recordFileVerification } = require('../db/database');
+const { estimateUploadCost } = require('./pricing');
 const { getHTMLHash } = require('../utils/hash');
+const { listFolderFiles } = require('../utils/folder');
 const fs = require('fs');
-const path = require('path');
 
 /**
  * Calculate folder size recursively
  */
 function getFolderSize(folderPath) {
-    let totalSize = 0;
-
-    function walkDir(dir) {
-        const files = fs.readdirSync(dir);
-        for (const file of files) {
-            const filePath = path.join(dir, file);
-            const stat = fs.statSync(filePath);
-            if (stat.isDirectory()) {
-                walkDir(filePath);
-            } else {
-                totalSize += stat.size;
-            }
-        }
-    }
-
     try {
-        walkDir(folderPath);
+        const totalSize = listFolderFiles(folderPath).reduce((sum, file) => sum + file.bytes, 0);
         return totalSize / (1024 * 1024); // Convert to MB
     } catch (error) {
         console.warn('[Archiver] Could not calculate folder size:', error);
@@ -40,15 +32,45 @@ function getFolderSize(folderPath) {
 }
 
 /**
- * Orchestrates the entire archival process for a Lovable project
+ * Delete a scraped folder once it has been uploaded or discarded
+ */
+function removeScrapedFolder(downloadFolder) {
+    if (downloadFolder && fs.existsSync(downloadFolder)) {
+        fs.rmSync(downloadFolder, { recursive: true, force: true });
+        console.log(`[Archiver] Cleaned up temporary folder: ${downloadFolder}`);
+    }
+}
+
+/**
+ * Log a failed archive to the database, unless the server is shutting down (options.isStopping()):
+ * the job is resumed on the next start then, so the archive hasn't failed
+ * upload is passed on to logFailedArchive() for archives that were uploaded
  */
-async function runArchiver(targetUrl, projectID, isOldFormat) {
+async function logFailure(projectID, htmlHash, startTime, options, upload) {
+    if (options.isStopping && options.isStopping()) {
+        console.log(`[Archiver] ${projectID} interrupted by shutdown, not logging a failure`);
+        return;
+    }
+    try {
+        await logFailedArchive(projectID, htmlHash, (Date.now() - startTime) / 1000, upload);
+    } catch (dbError) {
+        console.warn('[Archiver] Could not log failure to database:', dbError);
+    }
+}
+
+/**
+ * Scrape the project into a local folder (steps 0-1 of the archival process)
+ * Returns { downloadFolder, htmlHash, archiveSizeMB, costEstimate, crawl }; the folder is kept until it is uploaded
+ * Archives over the size or file-count limits throw 'archivetoolarge' or 'toomanyfiles' (see services/quotas.js)
+ * options.onStage, options.onProgress and options.isStopping work as in runArchiver; options.policy holds the request's resource policy rules
+ */
+async function scrapeProject(target, options = {}) {
     const startTime = Date.now();
-    // For old format, construct the preview URL
-    // For new format, the URL is already in the correct format
-    const urlToArchive = isOldFormat
-        ? `https://id-preview--${projectID}.lovable.app/`
-        : targetUrl;
+    const { projectID, previewUrl: urlToArchive } = target;
+    const onStage = options.onStage || (() => {});
+    const onProgress = options.onProgress || (() => {});
+
+    onStage('scraping');
 
     // STEP 0: Compute HTML hash for version detection
     console.log(`[Archiver] Computing HTML hash for ${urlToArchive}...`);
@@ -63,18 +85,26 @@ async function runArchiver(targetUrl, projectID, isOldFormat) {
     // STEP 1: Scrape the project
     console.log(`[Archiver] Starting direct scraping for ${urlToArchive}`);
     let downloadFolder;
+    let crawl;
     try {
-        downloadFolder = await directScrape(urlToArchive, projectID);
+        ({ downloadFolder, crawl } = await directScrape(urlToArchive, projectID, {
+            isFirstPartyHost: target.isFirstPartyHost,
+            policy: options.policy,
+            onProgress: (scrape) => onProgress({ scrape })
+        }));
     } catch (error) {
         console.error(`[Archiver] Scraping failed for ${projectID}:`, error);
-        const elapsedSeconds = (Date.now() - startTime) / 1000;
-        // Log failure to database
-        try {
-            await logFailedArchive(projectID, htmlHash, elapsedSeconds);
-        } catch (dbError) {
-            console.warn('[Archiver] Could not log failure to database:', dbError);
-        }
-        throw new Error('archiveerror');
+        await logFailure(projectID, htmlHash, startTime, options);
+        throw new Error(QUOTA_ERRORS.includes(error.message) ? error.message : 'archiveerror');
+    }
+
+    // Nothing over the limits is uploaded, previewed or estimated (the scraper only saw captured resources)
+    try {
+        checkArchiveQuotas(downloadFolder);
+    } catch (error) {
+        removeScrapedFolder(downloadFolder);
+        await logFailure(projectID, htmlHash, startTime, options);
+        throw error;
     }
 
     // Calculate archive size
@@ -83,49 +113,229 @@ async function runArchiver(targetUrl, projectID, isOldFormat) {
         console.log(`[Archiver] Archive size: ${archiveSizeMB.toFixed(2)} MB`);
     }
 
-    // STEP 2: Upload to Arweave with custom tags (including hash)
-    console.log(`[Archiver] Uploading to Arweave...`);
+    // Estimate the upload cost (stored with the version, shown for previews and estimates)
+    let costEstimate = null;
+    try {
+        costEstimate = await estimateUploadCost(downloadFolder, projectID);
+    } catch (error) {
+        console.warn(`[Archiver] Cost estimate failed, continuing without it:`, error.message);
+    }
+
+    return { downloadFolder, htmlHash, archiveSizeMB, costEstimate, crawl };
+}
+
+/**
+ * Load the scraped routes offline before paying for the upload (step 1b of the archival process)
+ * Returns the validation result (see services/validation.js), or null when it is turned off;
+ * below the minimum score, or when validation can't run, the scraped folder is discarded and
+ * 'validationfailed' is thrown with the result as error.validation
+ */
+async function validateScraped(target, scraped, startTime, options) {
+    if (!config.validation.enabled) {
+        return null;
+    }
+    const { projectID } = target;
+    const { downloadFolder, htmlHash, crawl } = scraped;
+    const onStage = options.onStage || (() => {});
+    const onProgress = options.onProgress || (() => {});
+
+    onStage('validating');
+    const routes = (crawl?.nodes || []).filter(node => node.status === 'visited').map(node => node.route);
+    let validation;
+    try {
+        validation = await validateArchive(downloadFolder, routes.length > 0 ? routes : ['/'], (validate) => onProgress({ validate }));
+    } catch (error) {
+        // The folder isn't recorded anywhere yet: a resumed job scrapes again
+        removeScrapedFolder(downloadFolder);
+        // Its browser was closed by a shutdown: nothing is uploaded, the job resumes on restart
+        if (options.isStopping && options.isStopping()) {
+            throw error;
+        }
+        console.error(`[Archiver] Offline validation of ${projectID} could not run, not uploading:`, error.message);
+        await logFailure(projectID, htmlHash, startTime, options);
+        const failure = new Error('validationfailed');
+        failure.validation = {
+            score: null,
+            minScore: config.validation.minScore,
+            passed: false,
+            error: error.message,
+            routes: [],
+            validatedAt: new Date().toISOString()
+        };
+        throw failure;
+    }
+
+    if (!validation.passed) {
+        console.error(`[Archiver] ${projectID} scored ${validation.score}/100 offline (minimum ${validation.minScore}), not uploading`);
+        removeScrapedFolder(downloadFolder);
+        await logFailure(projectID, htmlHash, startTime, options);
+        const error = new Error('validationfailed');
+        error.validation = validation;
+        throw error;
+    }
+    return validation;
+}
+
+/**
+ * Upload a scraped folder to storage (step 2 of the archival process)
+ * Returns the manifest ID along with the HTML hash, archive size, cost estimate and crawl graph,
+ * and the hash of every uploaded file (files) when uploads are verified
+ */
+async function uploadProject(target, scraped, startTime, options) {
+    const { projectID } = target;
+    const { downloadFolder, htmlHash, archiveSizeMB, costEstimate, crawl } = scraped;
+    const onStage = options.onStage || (() => {});
+    const onProgress = options.onProgress || (() => {});
+
+    // STEP 2: Upload with custom tags (including hash)
+    onStage('uploading');
+    const storage = getStorage();
+    console.log(`[Archiver] Uploading with ${storage.name} storage...`);
     let manifestId;
+    let files = null;
     try {
-        manifestId = await uploadFolderToArweave(downloadFolder, projectID, htmlHash);
+        // Hashed before the upload, so verification compares against exactly what was scraped
+        if (config.verification.enabled) {
+            files = hashFolderFiles(downloadFolder);
+        }
+
+        const tags = getArchiveTags(projectID, htmlHash, getSourceTags(target.source));
+        manifestId = await storage.uploadFolder(downloadFolder, {
+            projectID,
+            tags,
+            onProgress: (upload) => onProgress({ upload })
+        });
     } catch (error) {
-        console.error(`[Archiver] Arweave upload failed for ${projectID}:`, error);
-        const elapsedSeconds = (Date.now() - startTime) / 1000;
-        // Log failure to database
+        console.error(`[Archiver] Upload failed for ${projectID}:`, error);
+        await logFailure(projectID, htmlHash, startTime, options);
+        throw new Error('arerror');
+    } finally {
+        removeScrapedFolder(downloadFolder);
+    }
+
+    return { manifestId, htmlHash, archiveSizeMB, costEstimate, crawl, files };
+}
+
+/**
+ * Fetch an uploaded archive back from the gateway and compare it with the hashes taken before
+ * the upload (step 3), recording each file's result in the database
+ * Returns the verification summary, or null when verification couldn't run (runArchiver fails the job on a failed one)
+ */
+async function verifyArchive(manifestId, files, onProgress) {
+    let verification;
+    try {
+        verification = await verifyUpload(manifestId, files, (verify) => onProgress({ verify }));
+    } catch (error) {
+        console.warn(`[Archiver] Verification of ${manifestId} could not run:`, error.message);
+        return null;
+    }
+
+    const { files: results, ...summary } = verification;
+    for (const file of results) {
         try {
-            await logFailedArchive(projectID, htmlHash, elapsedSeconds);
+            await recordFileVerification(manifestId, file, summary.verifiedAt);
         } catch (dbError) {
-            console.warn('[Archiver] Could not log failure to database:', dbError);
+            console.warn('[Archiver] Could not record file verification:', dbError.message);
         }
-        throw new Error('arerror');
+    }
+    return summary;
+}
+
+/**
+ * Orchestrates the entire archival process for a project
+ * target comes from resolveSource(): { source, projectID, previewUrl, isFirstPartyHost }
+ * options.onStage is called with 'scraping', 'validating', 'uploading', 'verifying' and 'assigning_arns' as the run progresses
+ * options.onProgress receives { scrape }, { validate }, { upload } and { verify } progress snapshots within those stages
+ * options.policy is passed to the scraper (see scrapeProject)
+ * options.isStopping() is true once the server is shutting down; failures from then on aren't logged
+ * options.onUploaded is awaited with { manifestId, htmlHash, archiveSizeMB, costEstimate, crawl } once the upload finished
+ * options.resume takes that same object to skip straight to ArNS and the database save,
+ * or the result of scrapeProject() with the preview's validation to upload an approved preview without
+ * scraping or validating again
+ */
+async function runArchiver(target, options = {}) {
+    const startTime = Date.now();
+    const onStage = options.onStage || (() => {});
+    const { projectID } = target;
+
+    let upload;
+    let validation = null;
+    if (options.resume?.manifestId) {
+        console.log(`[Archiver] Upload already finished for ${projectID} (${options.resume.manifestId}), resuming at ArNS`);
+        upload = options.resume;
+    } else {
+        const scraped = options.resume?.downloadFolder ? options.resume : await scrapeProject(target, options);
+        // Approved previews were validated before they were approved
+        validation = scraped.validation || await validateScraped(target, scraped, startTime, options);
+        upload = await uploadProject(target, scraped, startTime, options);
+        if (options.onUploaded) {
+            await options.onUploaded(upload);
+        }
+    }
+    const { manifestId, htmlHash, archiveSizeMB, costEstimate, crawl } = upload;
+
+    // STEP 3: Check that the uploaded files are retrievable and match what was scraped
+    // The hashes only live in memory, so an upload resumed after a restart isn't verified
+    let verification = null;
+    if (config.verification.enabled && upload.files) {
+        onStage('verifying');
+        verification = await verifyArchive(manifestId, upload.files, options.onProgress || (() => {}));
+    } else if (config.verification.enabled) {
+        console.log(`[Archiver] Skipping verification for ${manifestId} (upload resumed after a restart)`);
+    }
+    // Files that never arrived or came back different: no ArNS name or cache entry points at the archive
+    if (verification?.status === 'failed') {
+        console.error(`[Archiver] ${verification.failed} of ${verification.total} files of ${manifestId} failed verification`);
+        await logFailure(projectID, htmlHash, startTime, options, { manifestId, archiveSizeMB, verification });
+        const error = new Error('verificationfailed');
+        error.manifestId = manifestId;
+        error.verification = verification;
+        throw error;
     }
 
-    // STEP 3: Set ArNS undername (before database save so we can store the URL)
-    console.log(`[Archiver] Setting ArNS undername...`);
+    // STEP 4: Set ArNS undername (before database save so we can store the URL)
+    onStage('assigning_arns');
     let arnsInfo = null;
-    try {
-        arnsInfo = await setArNSUndername(projectID, manifestId);
-    } catch (error) {
-        console.warn(`[Archiver] ArNS undername assignment failed, but archive succeeded:`, error);
+    if (getStorage().supportsArNS) {
+        console.log(`[Archiver] Setting ArNS undername...`);
+        try {
+            arnsInfo = await setArNSUndername(projectID, manifestId);
+        } catch (error) {
+            console.warn(`[Archiver] ArNS undername assignment failed, but archive succeeded:`, error);
+        }
+    } else {
+        console.log(`[Archiver] Skipping ArNS undername (${getStorage().name} storage)`);
     }
 
-    // STEP 4: Save to database with HTML hash, ArNS URL, size, and time
+    // STEP 5: Save to database with HTML hash, ArNS URL, size, and time
     console.log(`[Archiver] Saving mapping to database...`);
     const elapsedSeconds = (Date.now() - startTime) / 1000;
     console.log(`[Archiver] Total archive time: ${elapsedSeconds.toFixed(1)}s`);
 
     try {
-        const arnsUrl = arnsInfo?.arnsUrl || null;
-        await saveMappingToDB(projectID, manifestId, htmlHash, arnsUrl, archiveSizeMB, elapsedSeconds);
+        await saveMappingToDB(projectID, manifestId, {
+            htmlHash,
+            arnsUrl: arnsInfo?.arnsUrl || null,
+            archiveSizeMB,
+            archiveTimeSeconds: elapsedSeconds,
+            costEstimate,
+            screenshots: crawl?.screenshots || null,
+            webArchive: crawl?.webArchive?.path || null,
+            verification,
+            report: crawl?.report || null
+        });
     } catch (error) {
         console.error(`[Archiver] Database save failed for ${projectID}:`, error);
         // Don't throw - the archive succeeded even if DB save failed
     }
 
     console.log(`[Archiver] Archive complete for ${projectID}!`);
-    return { manifestId, arnsInfo, htmlHash };
+    return { manifestId, arnsInfo, htmlHash, costEstimate, crawl, validation, verification };
 }
 
 module.exports = {
-    runArchiver
+    runArchiver,
+    scrapeProject,
+    validateScraped,
+    removeScrapedFolder
 };
@@ -0,0 +1,201 @@
+/**
+ * Browser Pool
+ * Keeps warm Chromium instances that archive jobs share instead of launching a browser per job
+ * Each job gets its own browser context (separate cookies, storage and cache); browsers are
+ * replaced after serving maxJobsPerBrowser jobs or when they crash
+ */
+
+const puppeteer = require('puppeteer');
+const { config } = require('../config/config');
+
+const LAUNCH_OPTIONS = {
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+// Pooled browsers: { id, browser (null while launching), ready, jobs, activeContexts, retiring }
+// Retiring browsers take no new jobs and close once their last context is released
+const entries = [];
+const counters = { launched: 0, recycled: 0, crashed: 0, launchFailures: 0, jobsServed: 0 };
+let nextBrowserId = 1;
+let closing = false;
+
+/**
+ * Browsers that still take new jobs
+ */
+function getLiveEntries() {
+    return entries.filter(entry => !entry.retiring);
+}
+
+/**
+ * Remove an entry from the pool; returns false if it was already gone
+ */
+function removeEntry(entry) {
+    const index = entries.indexOf(entry);
+    if (index === -1) {
+        return false;
+    }
+    entries.splice(index, 1);
+    return true;
+}
+
+/**
+ * Launch a browser into the pool; the entry is usable (through entry.ready) right away
+ */
+function launchBrowser() {
+    const entry = { id: nextBrowserId++, browser: null, ready: null, jobs: 0, activeContexts: 0, retiring: false };
+    entries.push(entry);
+
+    entry.ready = puppeteer.launch(LAUNCH_OPTIONS).then((browser) => {
+        entry.browser = browser;
+        counters.launched++;
+        browser.on('disconnected', () => handleDisconnect(entry));
+        console.log(`[Browser Pool] Launched browser #${entry.id}`);
+        return browser;
+    }, (error) => {
+        removeEntry(entry);
+        counters.launchFailures++;
+        console.error(`[Browser Pool] Failed to launch browser #${entry.id}:`, error.message);
+        throw error;
+    });
+    return entry;
+}
+
+/**
+ * Launch browsers until the pool is back to its configured size
+ * Launch failures are only logged: the next job that needs a browser tries again
+ */
+function replenish() {
+    const launches = [];
+    while (!closing && getLiveEntries().length < config.browserPool.size) {
+        launches.push(launchBrowser().ready.catch(() => null));
+    }
+    return Promise.all(launches);
+}
+
+/**
+ * A pooled browser exited without being closed by us (crash or killed process)
+ * Jobs using it fail on their own; the pool launches a replacement
+ */
+function handleDisconnect(entry) {
+    if (closing || !removeEntry(entry)) {
+        return;
+    }
+    counters.crashed++;
+    console.warn(`[Browser Pool] Browser #${entry.id} disconnected with ${entry.activeContexts} active jobs, replacing it`);
+    replenish();
+}
+
+/**
+ * Close a retiring browser once no job uses it anymore
+ */
+function closeIfRetired(entry) {
+    if (!entry.retiring || entry.activeContexts > 0 || !removeEntry(entry)) {
+        return;
+    }
+    counters.recycled++;
+    console.log(`[Browser Pool] Recycling browser #${entry.id} after ${entry.jobs} jobs`);
+    entry.ready.then(browser => browser.close()).catch(() => {});
+    replenish();
+}
+
+/**
+ * Pick the browser for a new job: an idle one, else a new one while the pool has room,
+ * else the one with the fewest active jobs
+ */
+function pickEntry() {
+    const live = getLiveEntries();
+    const idle = live.find(entry => entry.activeContexts === 0);
+    if (idle) {
+        return idle;
+    }
+    if (live.length < config.browserPool.size) {
+        return launchBrowser();
+    }
+    return live.reduce((best, entry) => entry.activeContexts < best.activeContexts ? entry : best);
+}
+
+/**
+ * Get an isolated browser context for one job
+ * Returns { browser, context, release }; release() closes the context and must be called
+ * when the job is done with it, successful or not
+ */
+async function acquireBrowserContext() {
+    if (closing) {
+        throw new Error('Browser pool is shut down');
+    }
+
+    const entry = pickEntry();
+    entry.jobs++;
+    entry.activeContexts++;
+    if (entry.jobs >= config.browserPool.maxJobsPerBrowser) {
+        entry.retiring = true;
+        replenish();
+    }
+
+    let browser;
+    let context;
+    try {
+        browser = await entry.ready;
+        context = await browser.createBrowserContext();
+    } catch (error) {
+        entry.activeContexts--;
+        closeIfRetired(entry);
+        throw error;
+    }
+    counters.jobsServed++;
+
+    let released = false;
+    const release = async () => {
+        if (released) return;
+        released = true;
+        await context.close().catch(() => {}); // Fails if the browser crashed, nothing left to close then
+        entry.activeContexts--;
+        closeIfRetired(entry);
+    };
+
+    return { browser, context, release };
+}
+
+/**
+ * Launch the configured number of browsers ahead of the first job
+ */
+async function warmBrowserPool() {
+    await replenish();
+    console.log(`[Browser Pool] ${entries.filter(entry => entry.browser).length}/${config.browserPool.size} browsers ready`);
+}
+
+/**
+ * Close every pooled browser (used on shutdown)
+ */
+async function closeBrowserPool() {
+    closing = true;
+    const closed = entries.splice(0, entries.length);
+    await Promise.all(closed.map(entry => entry.ready.then(browser => browser.close()).catch(() => {})));
+    console.log(`[Browser Pool] Closed ${closed.length} browsers`);
+}
+
+/**
+ * Pool size, per-browser usage and lifetime counters, for /health
+ */
+function getBrowserPoolStats() {
+    return {
+        size: config.browserPool.size,
+        maxJobsPerBrowser: config.browserPool.maxJobsPerBrowser,
+        activeJobs: entries.reduce((sum, entry) => sum + entry.activeContexts, 0),
+        browsers: entries.map(entry => ({
+            id: entry.id,
+            state: !entry.browser ? 'launching' : entry.retiring ? 'retiring' : entry.activeContexts > 0 ? 'busy' : 'idle',
+            activeJobs: entry.activeContexts,
+            jobsServed: entry.jobs
+        })),
+        ...counters
+    };
+}
+
+module.exports = {
+    acquireBrowserContext,
+    warmBrowserPool,
+    closeBrowserPool,
+    getBrowserPoolStats
+};
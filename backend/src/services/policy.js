@@ -0,0 +1,177 @@
+/**
+ * Resource Policy
+ * Decides what happens to each resource a site loads: 'capture' (the default), 'block' (never
+ * captured or saved, elements and inline scripts loading it are removed from archived pages) or
+ * 'strip' (captured and kept in the archive and web archive, but removed from archived pages).
+ * The same decision is used when capturing responses, saving files and rewriting HTML/JS.
+ *
+ * Rules are { host, path, mime, action }; every field given must match, and the first matching
+ * rule wins. Request rules come first, then the deployment's RESOURCE_POLICY, then the defaults.
+ * - host: "*.hotjar.com" matches hotjar.com and its subdomains, "*" any host, "cdn*.example.com" one label
+ * - path: "*" matches within one path segment, "**" across segments (as in CRAWL_INCLUDE)
+ * - mime: "video/mp4" or "video/*"; rules with a mime only match once the type is known
+ */
+
+const fs = require('fs');
+const { config } = require('../config/config');
+const { patternToRegex } = require('./scrape/crawl');
+
+const ACTIONS = ['capture', 'block', 'strip'];
+const RULE_FIELDS = ['host', 'path', 'mime', 'action'];
+
+// Analytics, tracking and ad services - they don't work in archived sites anyway.
+// www.google.com is deliberately not blocked (one of the old host lists did): it also serves Maps
+// embeds, reCAPTCHA and sign-in, and its ad and conversion endpoints live under /pagead/
+const DEFAULT_RULES = [
+    ...['google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'googleadservices.com',
+        'hotjar.com', 'hotjar.io', 'ahrefs.com'].map(host => ({ host: `*.${host}`, action: 'block' })),
+    { path: '**/pagead/**', action: 'block' }
+];
+
+// Inline snippets that load a tracker without spelling out its URL, and the URL they stand for:
+// an inline script matching one is removed whenever the policy blocks or strips that URL
+const INLINE_SNIPPETS = [
+    { pattern: /window\.dataLayer[\s\S]*?gtag\s*\(/, url: 'https://www.googletagmanager.com/gtag/js' },
+    { pattern: /_hjSettings/, url: 'https://static.hotjar.com/c/hotjar.js' }
+];
+
+/**
+ * Turn a host pattern into a regex: a leading "*." also matches the bare domain, other "*" one label
+ */
+function hostPatternToRegex(pattern) {
+    const escape = (text) => text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*');
+    const lower = pattern.toLowerCase();
+    if (lower === '*') {
+        return /^.*$/;
+    }
+    if (lower.startsWith('*.')) {
+        return new RegExp(`^(?:.+\\.)?${escape(lower.slice(2))}$`);
+    }
+    return new RegExp(`^${escape(lower)}$`);
+}
+
+/**
+ * Turn a MIME pattern ("image/*", "text/html") into a regex
+ */
+function mimePatternToRegex(pattern) {
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+    const [type, subtype] = pattern.toLowerCase().split('/');
+    return new RegExp(`^${escape(type)}/${subtype === '*' ? '[^;]+' : escape(subtype)}$`);
+}
+
+/**
+ * Compile a rule's patterns into regexes; throws if one can't be compiled
+ */
+function compileRule(rule) {
+    return {
+        action: rule.action,
+        host: rule.host ? hostPatternToRegex(rule.host) : null,
+        path: rule.path ? patternToRegex(rule.path) : null,
+        mime: rule.mime ? mimePatternToRegex(rule.mime) : null
+    };
+}
+
+/**
+ * Check a list of rules, throwing 'Invalid resource policy: ...' for the first problem
+ */
+function validatePolicyRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Invalid resource policy: expected an array of rules');
+    }
+
+    rules.forEach((rule, index) => {
+        const fail = (problem) => {
+            throw new Error(`Invalid resource policy: rule ${index + 1} ${problem}`);
+        };
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            fail('is not an object');
+        }
+        const unknown = Object.keys(rule).find(key => !RULE_FIELDS.includes(key));
+        if (unknown) {
+            fail(`has an unknown field "${unknown}"`);
+        }
+        if (!ACTIONS.includes(rule.action)) {
+            fail(`needs an action: ${ACTIONS.join(', ')}`);
+        }
+        if (!rule.host && !rule.path && !rule.mime) {
+            fail('needs a host, path or mime pattern');
+        }
+        for (const field of ['host', 'path', 'mime']) {
+            if (rule[field] !== undefined && (typeof rule[field] !== 'string' || !rule[field].trim())) {
+                fail(`has an empty or non-string ${field}`);
+            }
+        }
+        if (rule.path && !rule.path.startsWith('/') && !rule.path.startsWith('*')) {
+            fail('has a path that doesn\'t start with "/" or "*"');
+        }
+        if (rule.mime && !/^[\w.+-]+\/([\w.+-]+|\*)$/.test(rule.mime)) {
+            fail('has a mime that isn\'t "type/subtype" or "type/*"');
+        }
+
+        // Compiled here too, so a bad pattern is rejected up front instead of failing a queued job
+        try {
+            compileRule(rule);
+        } catch (error) {
+            fail(`has a pattern that can't be used: ${error.message}`);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Read the deployment's rules from RESOURCE_POLICY: a JSON array, or the path of a JSON file
+ */
+function getDeploymentRules() {
+    const value = config.policy.rules.trim();
+    if (!value) {
+        return [];
+    }
+
+    let json = value;
+    if (!value.startsWith('[')) {
+        if (!fs.existsSync(value)) {
+            throw new Error(`Invalid resource policy: ${value} is neither a JSON array nor an existing file`);
+        }
+        json = fs.readFileSync(value, 'utf8');
+    }
+
+    try {
+        return validatePolicyRules(JSON.parse(json));
+    } catch (error) {
+        throw error instanceof SyntaxError ? new Error(`Invalid resource policy: ${error.message}`) : error;
+    }
+}
+
+/**
+ * Create the policy for one archive; requestRules (already validated) take precedence
+ * getAction(url, mimeType) returns 'capture', 'block' or 'strip' for a URL (string or URL)
+ * getSnippetUrls(script) lists the tracker URLs an inline script stands for (see INLINE_SNIPPETS)
+ */
+function createResourcePolicy(requestRules = []) {
+    const rules = [...requestRules, ...getDeploymentRules(), ...DEFAULT_RULES].map(compileRule);
+
+    const getAction = (url, mimeType) => {
+        const parsedUrl = typeof url === 'string' ? new URL(url) : url;
+        const hostname = parsedUrl.hostname.toLowerCase();
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+        const rule = rules.find(candidate =>
+            (!candidate.host || candidate.host.test(hostname)) &&
+            (!candidate.path || candidate.path.test(parsedUrl.pathname)) &&
+            (!candidate.mime || (type && candidate.mime.test(type))));
+        return rule ? rule.action : 'capture';
+    };
+
+    const getSnippetUrls = (script) => INLINE_SNIPPETS.filter(snippet => snippet.pattern.test(script)).map(snippet => snippet.url);
+
+    return { getAction, getSnippetUrls };
+}
+
+module.exports = {
+    ACTIONS,
+    DEFAULT_RULES,
+    validatePolicyRules,
+    getDeploymentRules,
+    createResourcePolicy
+};
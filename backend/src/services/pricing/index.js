@@ -0,0 +1,130 @@
+/**
+ * Pricing Service
+ * Estimates what uploading a scraped archive will cost, with a pluggable price source
+ *
+ * Price source shape:
+ *   name                        - 'turbo' or 'static'
+ *   getUploadCosts(byteCounts)  - BigInt winc cost of uploading one data item per byte count
+ */
+
+const path = require('path');
+const { config } = require('../../config/config');
+const { buildPathManifest } = require('../storage/manifest');
+const { planFolderUpload } = require('../storage/incremental');
+
+// Required lazily so the static source works without reaching Turbo
+const PRICE_SOURCES = {
+    turbo: () => require('./turbo'),
+    static: () => require('./static')
+};
+
+// 1 Turbo credit = 10^12 winc
+const WINC_PER_CREDIT = 10n ** 12n;
+// Signature, owner and tags added to every file when it becomes an ANS-104 data item (approximate)
+const DATA_ITEM_OVERHEAD_BYTES = 1100;
+// Length of an Arweave transaction ID in the path manifest
+const TX_ID_LENGTH = 43;
+
+// File categories reported in estimates, by extension
+const FILE_TYPES = {
+    html: ['.html', '.htm'],
+    js: ['.js', '.mjs'],
+    css: ['.css'],
+    image: ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico', '.bmp'],
+    font: ['.woff', '.woff2', '.ttf', '.otf', '.eot'],
+    media: ['.mp4', '.webm', '.mp3', '.wav', '.ogg'],
+    data: ['.json', '.xml', '.txt', '.map']
+};
+
+/**
+ * Get the configured price source (PRICE_SOURCE)
+ */
+function getPriceSource() {
+    const loadSource = PRICE_SOURCES[config.pricing.source];
+    if (!loadSource) {
+        throw new Error(`Unknown price source "${config.pricing.source}" (expected ${Object.keys(PRICE_SOURCES).join(' or ')})`);
+    }
+    return loadSource();
+}
+
+/**
+ * Category of a file for the per-type counts
+ */
+function getFileType(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].includes(extension)) || 'other';
+}
+
+/**
+ * Size of the path manifest that will be uploaded alongside the files
+ */
+function getManifestSize(files) {
+    const placeholderId = 'x'.repeat(TX_ID_LENGTH);
+    const paths = {};
+    for (const file of files) {
+        paths[file.path] = { id: placeholderId };
+    }
+
+    return Buffer.byteLength(JSON.stringify(buildPathManifest(paths)));
+}
+
+/**
+ * Format a winc amount as Turbo credits
+ */
+function wincToCredits(winc) {
+    const whole = winc / WINC_PER_CREDIT;
+    const fraction = (winc % WINC_PER_CREDIT).toString().padStart(12, '0');
+    return parseFloat(`${whole}.${fraction}`);
+}
+
+/**
+ * Estimate the upload of a scraped folder: sizes, file counts by type and the cost of the data items
+ * that would be uploaded (one per new or changed file plus the path manifest). Files already uploaded
+ * for projectID are reused by incremental uploads, so they count towards the size but not the cost.
+ * Sizes are counted the way getFolderSize does.
+ */
+async function estimateUploadCost(folderPath, projectID = null) {
+    const files = await planFolderUpload(folderPath, projectID);
+    const newFiles = files.filter(file => !file.existingId);
+    const totalBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+    const newBytes = newFiles.reduce((sum, file) => sum + file.bytes, 0);
+
+    const filesByType = {};
+    for (const file of files) {
+        const type = getFileType(file.path);
+        filesByType[type] = filesByType[type] || { count: 0, bytes: 0 };
+        filesByType[type].count++;
+        filesByType[type].bytes += file.bytes;
+    }
+
+    const priceSource = getPriceSource();
+    const itemSizes = [...newFiles.map(file => file.bytes), getManifestSize(files)]
+        .map(bytes => bytes + DATA_ITEM_OVERHEAD_BYTES);
+    const costs = await priceSource.getUploadCosts(itemSizes);
+    const winc = costs.reduce((sum, cost) => sum + cost, 0n);
+
+    console.log(`[Pricing] ${newFiles.length} of ${files.length} files to upload, ${newBytes} of ${totalBytes} bytes: ${winc} winc (${priceSource.name} prices)`);
+
+    return {
+        totalBytes,
+        totalSizeMB: totalBytes / (1024 * 1024),
+        fileCount: files.length,
+        filesByType,
+        upload: {
+            fileCount: newFiles.length,
+            bytes: newBytes,
+            reusedFiles: files.length - newFiles.length
+        },
+        cost: {
+            winc: winc.toString(),
+            credits: wincToCredits(winc),
+            priceSource: priceSource.name
+        },
+        estimatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    PRICE_SOURCES: Object.keys(PRICE_SOURCES),
+    estimateUploadCost
+};
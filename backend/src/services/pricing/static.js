@@ -0,0 +1,21 @@
+/**
+ * Static Price Source
+ * Fixed price per GiB from the configuration, for offline development and tests
+ */
+
+const { config } = require('../../config/config');
+
+const BYTES_PER_GIB = 1024n ** 3n;
+
+/**
+ * Cost in winc of uploading one data item per byte count
+ */
+async function getUploadCosts(byteCounts) {
+    const wincPerGiB = BigInt(config.pricing.staticWincPerGiB);
+    return byteCounts.map(bytes => (BigInt(bytes) * wincPerGiB + BYTES_PER_GIB - 1n) / BYTES_PER_GIB);
+}
+
+module.exports = {
+    name: 'static',
+    getUploadCosts
+};
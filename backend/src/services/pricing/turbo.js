@@ -0,0 +1,25 @@
+/**
+ * Turbo Price Source
+ * Asks the Turbo payment service what each data item would cost, including its fees and free tier
+ */
+
+const { TurboFactory } = require('@ardrive/turbo-sdk');
+
+let turbo = null; // Unauthenticated client, no wallet needed for prices
+
+/**
+ * Cost in winc of uploading one data item per byte count
+ */
+async function getUploadCosts(byteCounts) {
+    if (!turbo) {
+        turbo = TurboFactory.unauthenticated();
+    }
+
+    const prices = await turbo.getUploadCosts({ bytes: byteCounts });
+    return prices.map(price => BigInt(price.winc));
+}
+
+module.exports = {
+    name: 'turbo',
+    getUploadCosts
+};
@@ -0,0 +1,593 @@
+/**
+ * Job Queue Service
+ * Runs archive jobs in the background with a bounded number of workers
+ * Jobs are persisted in SQLite so they survive restarts
+ * Preview jobs stop after scraping and wait for approval before anything is uploaded
+ * Estimate jobs only scrape to measure the upload cost, then discard the scrape
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { config } = require('../config/config');
+const { runArchiver, scrapeProject, validateScraped, removeScrapedFolder } = require('./archiver');
+const { resolveSource } = require('./sources');
+const { getManifestUrl, getArchiveFileUrl, describeScreenshots, describeReport } = require('./storage');
+const { createJob, updateJob, getJobRecord, getUnfinishedJobs } = require('../db/database');
+
+// Worker limit: Max 3 simultaneous archive operations, the rest wait in the queue
+const MAX_CONCURRENT_ARCHIVES = 3;
+// Queue limit: Refuse new jobs once this many are waiting for a worker
+const MAX_QUEUED_ARCHIVES = 50;
+// Jobs interrupted by a restart are retried until they have been started this many times
+const MAX_JOB_ATTEMPTS = 3;
+// How often previews are checked for expiry
+const PREVIEW_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    SCRAPING: 'scraping',
+    AWAITING_APPROVAL: 'awaiting_approval',
+    VALIDATING: 'validating',
+    UPLOADING: 'uploading',
+    VERIFYING: 'verifying',
+    ASSIGNING_ARNS: 'assigning_arns',
+    DONE: 'done',
+    FAILED: 'failed',
+    REJECTED: 'rejected'
+};
+
+// User-facing messages for the error codes thrown by the archiver
+const ARCHIVE_ERROR_MESSAGES = {
+    archiveerror: 'Failed to retrieve the page for archival, chances are the host blocked our connection, please try again in a few seconds.',
+    arerror: 'Error uploading the archive (Arweave/Turbo or local storage)',
+    interrupted: 'The archive was interrupted by server restarts too many times. Please try again.',
+    previewexpired: 'The preview expired or its files were removed before it was approved. Please archive the project again.',
+    estimateerror: 'Could not estimate the upload cost. Please try again in a few minutes.',
+    validationfailed: 'The archive did not work offline, so nothing was uploaded. See result.validation for the pages that failed, or why validation could not run.',
+    verificationfailed: 'The archive was uploaded, but some of its files could not be fetched back intact, so no ArNS name was assigned. See result.verification.',
+    archivetoolarge: `The archive is over the size limit (${config.quotas.maxArchiveMB} MB in total, ${config.quotas.maxFileMB} MB per file), so nothing was uploaded.`,
+    toomanyfiles: `The archive has more than ${config.quotas.maxFiles} files, so nothing was uploaded.`
+};
+
+// Unfinished jobs, in memory so workers and progress streams can share them
+const jobs = new Map();
+const pendingJobs = [];
+let activeWorkers = 0;
+let accepting = true;
+let previewSweeper = null;
+
+// Emits 'status', 'progress' and 'end' events under each job's ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open progress stream
+
+/**
+ * Check whether a job has reached a final state
+ */
+function isFinished(job) {
+    return job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.REJECTED;
+}
+
+/**
+ * Write job columns to the database
+ * Writes for a job are chained so they land in the order they were made
+ */
+function persistJob(job, fields) {
+    job.saving = job.saving
+        .then(() => updateJob(job.id, { ...fields, updated_at: job.updatedAt }))
+        .catch((error) => {
+            console.warn(`[Queue] Could not persist job ${job.id}:`, error.message);
+        });
+    return job.saving;
+}
+
+/**
+ * Update a job's status and timestamp
+ */
+function setJobStatus(job, status, fields = {}) {
+    job.status = status;
+    job.updatedAt = new Date().toISOString();
+    console.log(`[Queue] Job ${job.id} (${job.projectId}) -> ${status}`);
+
+    jobEvents.emit(job.id, isFinished(job) ? 'end' : 'status', serializeJob(job));
+    return persistJob(job, { status, ...fields });
+}
+
+/**
+ * Merge a progress update from the archiver into the job and notify listeners
+ */
+function updateJobProgress(job, update) {
+    job.progress = { ...job.progress, ...update };
+    job.updatedAt = new Date().toISOString();
+
+    jobEvents.emit(job.id, 'progress', {
+        jobId: job.id,
+        status: job.status,
+        ...job.progress
+    });
+}
+
+/**
+ * Build an in-memory job from a database row
+ */
+function jobFromRecord(record) {
+    return {
+        id: record.id,
+        projectId: record.project_id,
+        url: record.url,
+        status: record.status,
+        attempts: record.attempts,
+        preview: record.preview === 1,
+        workdir: record.workdir,
+        previewExpiresAt: record.preview_expires_at,
+        approvedAt: record.approved_at,
+        estimateOnly: record.estimate_only === 1,
+        costEstimate: record.cost_estimate ? JSON.parse(record.cost_estimate) : null,
+        crawl: record.crawl ? JSON.parse(record.crawl) : null,
+        validation: record.validation ? JSON.parse(record.validation) : null,
+        policy: record.policy ? JSON.parse(record.policy) : null,
+        htmlHash: record.html_hash,
+        manifestId: record.manifest_id,
+        archiveSizeMB: record.archive_size_mb,
+        createdAt: record.created_at,
+        updatedAt: record.updated_at,
+        startedAt: record.started_at,
+        finishedAt: record.finished_at,
+        progress: { scrape: null, upload: null },
+        result: record.result ? JSON.parse(record.result) : null,
+        error: record.error_code ? { code: record.error_code, message: record.error_message } : null,
+        saving: Promise.resolve()
+    };
+}
+
+/**
+ * Add an archive job to the queue and return it once it is persisted
+ * With preview set, the job stops after scraping until it is approved or rejected
+ * With estimateOnly set, the job scrapes and estimates the upload cost without uploading
+ * policy holds the request's resource policy rules, if any
+ * Throws 'queuefull' when too many jobs are already waiting and 'queueclosed' during shutdown
+ */
+async function enqueueArchiveJob({ url, projectID, preview = false, estimateOnly = false, policy = null }) {
+    if (!accepting) {
+        throw new Error('queueclosed');
+    }
+    if (pendingJobs.length >= MAX_QUEUED_ARCHIVES) {
+        throw new Error('queuefull');
+    }
+
+    const now = new Date().toISOString();
+    const job = jobFromRecord({
+        id: crypto.randomUUID(),
+        project_id: projectID,
+        url: url,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        preview: preview ? 1 : 0,
+        estimate_only: estimateOnly ? 1 : 0,
+        policy: policy ? JSON.stringify(policy) : null,
+        created_at: now,
+        updated_at: now
+    });
+
+    await createJob(job);
+
+    jobs.set(job.id, job);
+    pendingJobs.push(job);
+    console.log(`[Queue] Enqueued job ${job.id} for ${projectID} (${pendingJobs.length} waiting)`);
+
+    processQueue();
+    return job;
+}
+
+/**
+ * What resumeJobs() does with a job left unfinished by a previous run of the server:
+ * 'queue' (it never started), 'resume' (its upload finished, it resumes at ArNS), 'retry' (it starts over),
+ * 'fail' (it was interrupted too many times), 'wait' (a preview whose scraped files are still there keeps
+ * waiting for approval) or 'expire' (the preview's files are gone)
+ */
+function getResumeAction(job) {
+    if (job.status === JOB_STATUS.AWAITING_APPROVAL) {
+        return job.workdir && fs.existsSync(job.workdir) ? 'wait' : 'expire';
+    }
+    if (job.status === JOB_STATUS.QUEUED) {
+        return 'queue';
+    }
+    if (job.manifestId) {
+        return 'resume';
+    }
+    return job.attempts >= MAX_JOB_ATTEMPTS ? 'fail' : 'retry';
+}
+
+/**
+ * Re-queue jobs left unfinished by a previous run of the server
+ * Jobs whose upload already finished resume at ArNS; others start over
+ */
+async function resumeJobs() {
+    const records = await getUnfinishedJobs();
+
+    for (const record of records) {
+        const job = jobFromRecord(record);
+        const action = getResumeAction(job);
+
+        if (action === 'wait') {
+            jobs.set(job.id, job);
+            continue;
+        }
+        if (action === 'expire') {
+            console.warn(`[Queue] Preview files for job ${job.id} are gone, discarding the preview`);
+            await discardPreview(job, 'previewexpired');
+            continue;
+        }
+        if (action === 'fail') {
+            console.warn(`[Queue] Job ${job.id} was interrupted ${job.attempts} times, giving up`);
+            job.error = { code: 'interrupted', message: ARCHIVE_ERROR_MESSAGES.interrupted };
+            job.finishedAt = new Date().toISOString();
+            await setJobStatus(job, JOB_STATUS.FAILED, {
+                error_code: job.error.code,
+                error_message: job.error.message,
+                finished_at: job.finishedAt
+            });
+            continue;
+        }
+
+        if (action === 'resume') {
+            console.log(`[Queue] Job ${job.id} was interrupted after upload (${job.manifestId}), resuming at ArNS`);
+            await setJobStatus(job, JOB_STATUS.QUEUED);
+        } else if (action === 'retry') {
+            console.log(`[Queue] Job ${job.id} was interrupted during ${job.status}, retrying`);
+            await setJobStatus(job, JOB_STATUS.QUEUED);
+        }
+        jobs.set(job.id, job);
+        pendingJobs.push(job);
+    }
+
+    if (pendingJobs.length > 0) {
+        console.log(`[Queue] Resumed ${pendingJobs.length} unfinished job(s)`);
+    }
+    processQueue();
+
+    previewSweeper = setInterval(expirePreviews, PREVIEW_SWEEP_INTERVAL_MS);
+    previewSweeper.unref();
+}
+
+/**
+ * Stop starting new jobs (used on shutdown)
+ * Running and queued jobs stay in the database and are resumed on the next start; running jobs
+ * that fail from now on (their browsers and database are being closed) aren't marked as failed
+ */
+function stopQueue() {
+    accepting = false;
+    clearInterval(previewSweeper);
+    console.log(`[Queue] Stopped (${activeWorkers} running, ${pendingJobs.length} queued jobs will resume on restart)`);
+}
+
+/**
+ * Get a job by ID, from memory while it is unfinished, otherwise from the database
+ */
+async function getJob(jobId) {
+    if (jobs.has(jobId)) {
+        return jobs.get(jobId);
+    }
+
+    const record = await getJobRecord(jobId);
+    return record ? jobFromRecord(record) : null;
+}
+
+/**
+ * Find a queued or running job for a project, if any
+ */
+function findActiveJobForProject(projectID) {
+    for (const job of jobs.values()) {
+        if (job.projectId === projectID && !isFinished(job)) {
+            return job;
+        }
+    }
+    return null;
+}
+
+/**
+ * Listen to a job's events; returns a function that removes the listener
+ * The listener is called with (type, payload) where type is 'status', 'progress' or 'end'
+ */
+function subscribeToJob(jobId, listener) {
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Approve a preview job: queue it again to upload exactly what was previewed
+ * Throws 'notawaitingapproval' if the job isn't waiting for approval, and 'queuefull'/'queueclosed' like enqueueArchiveJob
+ */
+async function approveJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || job.status !== JOB_STATUS.AWAITING_APPROVAL) {
+        throw new Error('notawaitingapproval');
+    }
+    if (!accepting) {
+        throw new Error('queueclosed');
+    }
+    if (pendingJobs.length >= MAX_QUEUED_ARCHIVES) {
+        throw new Error('queuefull');
+    }
+
+    job.approvedAt = new Date().toISOString();
+    await setJobStatus(job, JOB_STATUS.QUEUED, { approved_at: job.approvedAt });
+
+    pendingJobs.push(job);
+    console.log(`[Queue] Preview for job ${job.id} approved (${pendingJobs.length} waiting)`);
+    processQueue();
+    return job;
+}
+
+/**
+ * Reject a preview job: delete its scraped files without uploading anything
+ * Throws 'notawaitingapproval' if the job isn't waiting for approval
+ */
+async function rejectJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || job.status !== JOB_STATUS.AWAITING_APPROVAL) {
+        throw new Error('notawaitingapproval');
+    }
+
+    console.log(`[Queue] Preview for job ${job.id} rejected`);
+    await discardPreview(job);
+    return job;
+}
+
+/**
+ * Delete a preview's files and mark its job rejected, with an error code if it wasn't the user's choice
+ */
+async function discardPreview(job, errorCode = null) {
+    removeScrapedFolder(job.workdir);
+
+    job.error = errorCode ? { code: errorCode, message: ARCHIVE_ERROR_MESSAGES[errorCode] } : null;
+    job.finishedAt = new Date().toISOString();
+    await setJobStatus(job, JOB_STATUS.REJECTED, {
+        error_code: job.error?.code || null,
+        error_message: job.error?.message || null,
+        finished_at: job.finishedAt
+    });
+    jobs.delete(job.id);
+}
+
+/**
+ * Discard previews that were not approved in time (config.preview.ttlHours)
+ */
+async function expirePreviews() {
+    const now = new Date().toISOString();
+    for (const job of Array.from(jobs.values())) {
+        if (job.status === JOB_STATUS.AWAITING_APPROVAL && job.previewExpiresAt && job.previewExpiresAt < now) {
+            console.log(`[Queue] Preview for job ${job.id} expired`);
+            await discardPreview(job, 'previewexpired');
+        }
+    }
+}
+
+/**
+ * Start workers for pending jobs while below the concurrency limit
+ */
+function processQueue() {
+    while (accepting && activeWorkers < MAX_CONCURRENT_ARCHIVES && pendingJobs.length > 0) {
+        const job = pendingJobs.shift();
+        activeWorkers++;
+        console.log(`[Queue] Active archive workers: ${activeWorkers}/${MAX_CONCURRENT_ARCHIVES}`);
+
+        runJob(job).finally(() => {
+            activeWorkers--;
+            console.log(`[Queue] Active archive workers: ${activeWorkers}/${MAX_CONCURRENT_ARCHIVES}`);
+            processQueue();
+        });
+    }
+}
+
+/**
+ * Whether the queue was stopped for shutdown
+ */
+function isStopping() {
+    return !accepting;
+}
+
+/**
+ * Run a single job through the archiver, tracking its stages
+ */
+async function runJob(job) {
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    persistJob(job, { attempts: job.attempts, started_at: job.startedAt });
+
+    try {
+        // The source adapter is derived from the URL, so it needs no storage of its own
+        const target = resolveSource(job.url);
+        if (!target) {
+            throw new Error(`No source adapter for ${job.url}`);
+        }
+
+        const onStage = (stage) => setJobStatus(job, stage);
+        const onProgress = (update) => updateJobProgress(job, update);
+
+        // Estimate mode: scrape to measure the archive, then discard it without uploading
+        if (job.estimateOnly) {
+            const scraped = await scrapeProject(target, { onStage, onProgress, isStopping, policy: job.policy });
+            removeScrapedFolder(scraped.downloadFolder);
+            if (!scraped.costEstimate) {
+                throw new Error('estimateerror');
+            }
+
+            job.costEstimate = scraped.costEstimate;
+            job.result = { estimate: scraped.costEstimate };
+            job.finishedAt = new Date().toISOString();
+            await setJobStatus(job, JOB_STATUS.DONE, {
+                html_hash: scraped.htmlHash,
+                archive_size_mb: scraped.archiveSizeMB,
+                cost_estimate: JSON.stringify(scraped.costEstimate),
+                result: JSON.stringify(job.result),
+                finished_at: job.finishedAt
+            });
+            return;
+        }
+
+        // Preview mode: scrape and validate, then wait for approval before anything is uploaded
+        if (job.preview && !job.approvedAt) {
+            const scraped = await scrapeProject(target, { onStage, onProgress, isStopping, policy: job.policy });
+            // Validated now, so the preview is approved knowing how the archive works offline
+            job.validation = await validateScraped(target, scraped, Date.parse(job.startedAt), { onStage, onProgress, isStopping });
+            job.workdir = scraped.downloadFolder;
+            job.htmlHash = scraped.htmlHash;
+            job.archiveSizeMB = scraped.archiveSizeMB;
+            job.costEstimate = scraped.costEstimate;
+            job.crawl = scraped.crawl;
+            job.previewExpiresAt = new Date(Date.now() + config.preview.ttlHours * 60 * 60 * 1000).toISOString();
+            await setJobStatus(job, JOB_STATUS.AWAITING_APPROVAL, {
+                workdir: job.workdir,
+                html_hash: job.htmlHash,
+                archive_size_mb: job.archiveSizeMB,
+                cost_estimate: job.costEstimate ? JSON.stringify(job.costEstimate) : null,
+                crawl: job.crawl ? JSON.stringify(job.crawl) : null,
+                validation: job.validation ? JSON.stringify(job.validation) : null,
+                preview_expires_at: job.previewExpiresAt
+            });
+            return;
+        }
+
+        let resume = null;
+        if (job.manifestId) {
+            resume = { manifestId: job.manifestId, htmlHash: job.htmlHash, archiveSizeMB: job.archiveSizeMB, costEstimate: job.costEstimate, crawl: job.crawl };
+        } else if (job.preview) {
+            // Approved previews upload what was previewed, never a fresh scrape
+            if (!job.workdir || !fs.existsSync(job.workdir)) {
+                throw new Error('previewexpired');
+            }
+            resume = { downloadFolder: job.workdir, htmlHash: job.htmlHash, archiveSizeMB: job.archiveSizeMB, costEstimate: job.costEstimate, crawl: job.crawl, validation: job.validation };
+        }
+
+        const result = await runArchiver(target, {
+            resume,
+            onStage,
+            onProgress,
+            isStopping,
+            policy: job.policy,
+            onUploaded: (upload) => {
+                // Recorded so a restart after this point skips the scrape and upload
+                job.manifestId = upload.manifestId;
+                job.htmlHash = upload.htmlHash;
+                job.archiveSizeMB = upload.archiveSizeMB;
+                job.costEstimate = upload.costEstimate;
+                job.crawl = upload.crawl;
+                return persistJob(job, {
+                    manifest_id: upload.manifestId,
+                    html_hash: upload.htmlHash,
+                    archive_size_mb: upload.archiveSizeMB,
+                    cost_estimate: upload.costEstimate ? JSON.stringify(upload.costEstimate) : null,
+                    crawl: upload.crawl ? JSON.stringify(upload.crawl) : null
+                });
+            }
+        });
+
+        job.result = {
+            manifestId: result.manifestId,
+            manifestUrl: getManifestUrl(result.manifestId),
+            arnsUrl: result.arnsInfo?.arnsUrl || null,
+            arnsTxId: result.arnsInfo?.txId || null,
+            ...describeScreenshots(result.manifestId, result.crawl?.screenshots),
+            webArchiveUrl: result.crawl?.webArchive ? getArchiveFileUrl(result.manifestId, result.crawl.webArchive.path) : null,
+            ...describeReport(result.manifestId, result.crawl?.report),
+            validation: result.validation || null,
+            verification: result.verification || null,
+            crawl: result.crawl || null
+        };
+        job.finishedAt = new Date().toISOString();
+        await setJobStatus(job, JOB_STATUS.DONE, {
+            result: JSON.stringify(job.result),
+            finished_at: job.finishedAt
+        });
+    } catch (error) {
+        // Interrupted by shutdown: left in its current stage so it resumes on the next start
+        if (isStopping()) {
+            console.warn(`[Queue] Job ${job.id} interrupted by shutdown, will resume on restart:`, error.message);
+            return;
+        }
+        console.error(`[Queue] Job ${job.id} failed for ${job.projectId}:`, error);
+        job.error = {
+            code: ARCHIVE_ERROR_MESSAGES[error.message] ? error.message : 'unknown',
+            message: ARCHIVE_ERROR_MESSAGES[error.message] || 'An unknown error occurred during archiving.'
+        };
+        // An archive that failed offline validation reports what failed
+        if (error.validation) {
+            job.result = { validation: error.validation };
+        }
+        // An archive that failed verification was uploaded; its manifest is kept for inspection
+        if (error.verification) {
+            job.result = { manifestId: error.manifestId, manifestUrl: getManifestUrl(error.manifestId), verification: error.verification };
+        }
+        job.finishedAt = new Date().toISOString();
+        await setJobStatus(job, JOB_STATUS.FAILED, {
+            error_code: job.error.code,
+            error_message: job.error.message,
+            result: job.result ? JSON.stringify(job.result) : null,
+            finished_at: job.finishedAt
+        });
+    } finally {
+        // Finished jobs are served from the database from now on; previews stay until approved or rejected
+        if (isFinished(job)) {
+            jobs.delete(job.id);
+        }
+    }
+}
+
+/**
+ * Public representation of a job for API responses
+ */
+function serializeJob(job) {
+    const queuePosition = pendingJobs.indexOf(job);
+    return {
+        jobId: job.id,
+        projectId: job.projectId,
+        status: job.status,
+        attempts: job.attempts,
+        queuePosition: queuePosition >= 0 ? queuePosition + 1 : null,
+        preview: job.preview
+            ? {
+                url: job.status === JOB_STATUS.AWAITING_APPROVAL ? `/previews/${job.id}/` : null,
+                report: job.crawl?.report?.summary || null,
+                validation: job.validation,
+                expiresAt: job.previewExpiresAt,
+                approvedAt: job.approvedAt
+            }
+            : null,
+        estimate: job.costEstimate,
+        policy: job.policy,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+    };
+}
+
+/**
+ * Get queue statistics
+ */
+function getQueueStats() {
+    return {
+        activeWorkers: activeWorkers,
+        maxWorkers: MAX_CONCURRENT_ARCHIVES,
+        queuedJobs: pendingJobs.length
+    };
+}
+
+module.exports = {
+    JOB_STATUS,
+    enqueueArchiveJob,
+    resumeJobs,
+    getResumeAction,
+    stopQueue,
+    approveJob,
+    rejectJob,
+    getJob,
+    findActiveJobForProject,
+    isFinished,
+    subscribeToJob,
+    serializeJob,
+    getQueueStats
+};
@@ -0,0 +1,92 @@
+/**
+ * Archive Quotas
+ * Limits on what a single archive may upload: the size of one file, the total size and the
+ * number of files. Enforced while capturing (oversized resources are skipped, the scrape stops once
+ * the archive is over budget) and on the scraped folder before it is uploaded.
+ * Over-budget archives fail with 'archivetoolarge' or 'toomanyfiles'.
+ */
+
+const { config } = require('../config/config');
+const { listFolderFiles } = require('../utils/folder');
+
+const QUOTA_ERRORS = ['archivetoolarge', 'toomanyfiles'];
+
+const MB = 1024 * 1024;
+
+/**
+ * Size in MB for messages, e.g. "12.5"
+ */
+function formatMB(bytes) {
+    return (bytes / MB).toFixed(1);
+}
+
+/**
+ * Why a file of this size can't be archived, or null if it fits the single-file limit
+ */
+function getOversizeReason(bytes) {
+    const { maxFileMB } = config.quotas;
+    return bytes > maxFileMB * MB ? `${formatMB(bytes)} MB is over the ${maxFileMB} MB file size limit` : null;
+}
+
+/**
+ * Track captured resources against the archive size and file-count limits
+ * add(url, bytes) counts a resource (a URL captured again replaces its earlier size) and returns
+ * the quota error code once the archive is over budget; exceeded holds that code, or null
+ */
+function createCaptureBudget() {
+    const { maxArchiveMB, maxFiles } = config.quotas;
+    const sizes = new Map();
+    let totalBytes = 0;
+
+    const budget = {
+        exceeded: null,
+        add: (url, bytes) => {
+            totalBytes += bytes - (sizes.get(url) || 0);
+            sizes.set(url, bytes);
+            if (!budget.exceeded && totalBytes > maxArchiveMB * MB) {
+                budget.exceeded = 'archivetoolarge';
+                console.warn(`[Quotas] Captured ${formatMB(totalBytes)} MB, over the ${maxArchiveMB} MB archive limit`);
+            } else if (!budget.exceeded && sizes.size > maxFiles) {
+                budget.exceeded = 'toomanyfiles';
+                console.warn(`[Quotas] Captured ${sizes.size} files, over the ${maxFiles} file limit`);
+            }
+            return budget.exceeded;
+        }
+    };
+    return budget;
+}
+
+/**
+ * Check a scraped folder against every limit before it is uploaded
+ * Our own files (reserved folder: web archive, screenshots, reports) count towards the archive
+ * size and file count, but may be larger than the single-file limit
+ * Throws 'archivetoolarge' or 'toomanyfiles'; returns { files, bytes } otherwise
+ */
+function checkArchiveQuotas(folderPath) {
+    const { maxArchiveMB, maxFiles } = config.quotas;
+    const files = listFolderFiles(folderPath);
+    const bytes = files.reduce((sum, file) => sum + file.bytes, 0);
+    const reservedPrefix = `${config.archive.reservedDir}/`;
+
+    const oversized = files.find(file => !file.path.startsWith(reservedPrefix) && getOversizeReason(file.bytes));
+    if (oversized) {
+        console.warn(`[Quotas] ${oversized.path}: ${getOversizeReason(oversized.bytes)}`);
+        throw new Error('archivetoolarge');
+    }
+    if (bytes > maxArchiveMB * MB) {
+        console.warn(`[Quotas] Archive is ${formatMB(bytes)} MB, over the ${maxArchiveMB} MB limit`);
+        throw new Error('archivetoolarge');
+    }
+    if (files.length > maxFiles) {
+        console.warn(`[Quotas] Archive has ${files.length} files, over the ${maxFiles} file limit`);
+        throw new Error('toomanyfiles');
+    }
+    return { files: files.length, bytes };
+}
+
+module.exports = {
+    QUOTA_ERRORS,
+    getOversizeReason,
+    createCaptureBudget,
+    checkArchiveQuotas
+};
@@ -0,0 +1,139 @@
+/**
+ * CSS URL Rewriting
+ * Tokenizes CSS just far enough to find url() references and @import strings,
+ * skipping comments and copying everything else through unchanged
+ */
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_\-\\\u0080-\uffff]/;
+
+/**
+ * Index of the closing quote of the string starting at start (or where the string breaks off)
+ */
+function findStringEnd(css, start) {
+    const quote = css[start];
+    let index = start + 1;
+    while (index < css.length && css[index] !== quote && css[index] !== '\n') {
+        index += css[index] === '\\' ? 2 : 1;
+    }
+    return Math.min(index, css.length);
+}
+
+/**
+ * Resolve CSS escapes (\" or hex escapes like \26) in a string or url() value
+ */
+function unescapeCss(raw) {
+    return raw.replace(/\\([0-9a-fA-F]{1,6}\s?|[\s\S])/g, (match, escaped) => {
+        if (/^[0-9a-fA-F]/.test(escaped)) {
+            return String.fromCodePoint(parseInt(escaped.trim(), 16));
+        }
+        return escaped === '\n' ? '' : escaped;
+    });
+}
+
+/**
+ * Escape a value for a quoted CSS string
+ */
+function escapeCssString(value, quote) {
+    return value.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`).replace(/\n/g, '\\a ');
+}
+
+/**
+ * Rewrite the URLs in a stylesheet or a style attribute
+ * rewriteUrl(url, where) returns the new URL, or null to keep it; where is 'url()' or '@import'
+ */
+function rewriteCss(css, rewriteUrl) {
+    let output = '';
+    let copiedUpTo = 0;
+    let index = 0;
+    let inImport = false; // Between @import and the end of its rule
+
+    const replace = (start, end, text) => {
+        output += css.slice(copiedUpTo, start) + text;
+        copiedUpTo = end;
+    };
+
+    while (index < css.length) {
+        const char = css[index];
+
+        // Comments
+        if (char === '/' && css[index + 1] === '*') {
+            const end = css.indexOf('*/', index + 2);
+            index = end === -1 ? css.length : end + 2;
+            continue;
+        }
+
+        // Strings: only the one after @import holds a URL
+        if (char === '"' || char === "'") {
+            const end = findStringEnd(css, index);
+            if (inImport && css[end] === char) {
+                const newUrl = rewriteUrl(unescapeCss(css.slice(index + 1, end)), '@import');
+                if (newUrl !== null) {
+                    replace(index + 1, end, escapeCssString(newUrl, char));
+                }
+                inImport = false;
+            }
+            index = end + 1;
+            continue;
+        }
+
+        // At-rules
+        if (char === '@') {
+            const name = /^@[A-Za-z-]+/.exec(css.slice(index, index + 32));
+            inImport = Boolean(name) && name[0].toLowerCase() === '@import';
+            index += name ? name[0].length : 1;
+            continue;
+        }
+
+        if (char === ';' || char === '{' || char === '}') {
+            inImport = false;
+            index++;
+            continue;
+        }
+
+        // url(...) - quoted or unquoted, not part of a longer identifier
+        if ((char === 'u' || char === 'U') && css.slice(index, index + 4).toLowerCase() === 'url(' &&
+            (index === 0 || !IDENTIFIER_CHAR.test(css[index - 1]))) {
+            const where = inImport ? '@import' : 'url()';
+            let valueStart = index + 4;
+            while (/\s/.test(css[valueStart] || '')) valueStart++;
+
+            const quote = css[valueStart];
+            let valueEnd;
+            let closeParen;
+            if (quote === '"' || quote === "'") {
+                valueEnd = findStringEnd(css, valueStart);
+                closeParen = css.indexOf(')', valueEnd);
+                valueStart++;
+            } else {
+                valueEnd = valueStart;
+                while (valueEnd < css.length && css[valueEnd] !== ')' && !/\s/.test(css[valueEnd])) {
+                    valueEnd += css[valueEnd] === '\\' ? 2 : 1;
+                }
+                closeParen = css.indexOf(')', valueEnd);
+            }
+
+            if (closeParen === -1) {
+                break; // Unterminated url( - leave the rest alone
+            }
+
+            const value = css.slice(valueStart, valueEnd);
+            const newUrl = value ? rewriteUrl(unescapeCss(value), where) : null;
+            if (newUrl !== null) {
+                const isQuoted = quote === '"' || quote === "'";
+                replace(valueStart, valueEnd, isQuoted ? escapeCssString(newUrl, quote) : newUrl.replace(/[\s"'()\\]/g, '\\$&'));
+            }
+
+            inImport = false;
+            index = closeParen + 1;
+            continue;
+        }
+
+        index++;
+    }
+
+    return output + css.slice(copiedUpTo);
+}
+
+module.exports = {
+    rewriteCss
+};
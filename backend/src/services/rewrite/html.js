@@ -0,0 +1,353 @@
+/**
+ * HTML URL Rewriting
+ * Tokenizes HTML into tags, attributes, comments and raw text, and rewrites every attribute that
+ * references a URL (src, href, srcset, poster, og:image, ...) plus CSS in style attributes and
+ * <style>, and URL literals in inline scripts. Everything else is copied through unchanged.
+ * Elements that load a URL the caller wants gone (scripts, iframes, images...) can be removed,
+ * along with inline scripts the caller wants gone and <noscript> blocks left empty by removals.
+ */
+
+const { rewriteCss } = require('./css');
+const { rewriteJs } = require('./js');
+
+// Elements whose contents are text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+// Elements removed as a whole when they load a URL the caller wants gone
+const REMOVABLE_ELEMENTS = new Set(['script', 'iframe', 'img', 'link', 'source', 'embed']);
+
+// Script types whose contents are JavaScript or JSON
+const SCRIPT_TYPES = /^(|module|importmap|speculationrules|(text|application)\/(javascript|ecmascript|json|ld\+json))$/i;
+
+// Script types the browser runs; only these inline scripts can be removed
+const EXECUTABLE_SCRIPT_TYPES = /^(|module|(text|application)\/(javascript|ecmascript))$/i;
+
+// Comment left in place of a removed element
+const REMOVED_COMMENT = /<!-- \w+ removed by resource policy -->/g;
+
+// Attributes holding a single URL that the browser loads by itself
+const RESOURCE_ATTRIBUTES = new Set(['src', 'poster', 'data', 'background', 'manifest', 'xlink:href']);
+
+// Attributes holding a URL the user navigates to
+const NAVIGATION_ATTRIBUTES = {
+    a: 'href',
+    area: 'href',
+    form: 'action',
+    button: 'formaction',
+    input: 'formaction',
+    base: 'href'
+};
+
+// <link rel> values that point at other documents rather than resources of the page
+const NAVIGATION_RELS = new Set(['canonical', 'alternate', 'author', 'help', 'license', 'me', 'next', 'prev', 'search', 'bookmark', 'external']);
+
+// <meta property|name> values whose content is a URL
+const META_RESOURCES = new Set([
+    'og:image', 'og:image:url', 'og:image:secure_url', 'og:video', 'og:video:url', 'og:video:secure_url',
+    'og:audio', 'og:audio:url', 'og:audio:secure_url', 'twitter:image', 'twitter:image:src',
+    'twitter:player', 'msapplication-tileimage', 'msapplication-config', 'thumbnail'
+]);
+const META_NAVIGATION = new Set(['og:url', 'twitter:url']);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Decode the character references in an attribute value
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);?/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Escape a value for a double- or single-quoted attribute
+ */
+function encodeAttribute(value, quote) {
+    return value.replace(/&/g, '&amp;').replace(quote === "'" ? /'/g : /"/g, quote === "'" ? '&#39;' : '&quot;');
+}
+
+/**
+ * Parse a start tag beginning at start ("<name ...>")
+ * Returns { name, attributes: [{ name, value, valueStart, valueEnd, quote }], end } or null
+ */
+function parseStartTag(html, start) {
+    const nameMatch = /^<([A-Za-z][^\s/>]*)/.exec(html.slice(start, start + 256));
+    if (!nameMatch) {
+        return null;
+    }
+
+    const attributes = [];
+    let index = start + nameMatch[0].length;
+
+    while (index < html.length) {
+        while (/[\s/]/.test(html[index] || '')) index++;
+        if (index >= html.length) {
+            return null;
+        }
+        if (html[index] === '>') {
+            return { name: nameMatch[1].toLowerCase(), attributes, end: index + 1 };
+        }
+
+        // Attribute name (may start with "=")
+        const nameStart = index;
+        index++;
+        while (index < html.length && !/[\s/>=]/.test(html[index])) index++;
+        const name = html.slice(nameStart, index).toLowerCase();
+
+        let afterName = index;
+        while (/\s/.test(html[afterName] || '')) afterName++;
+        if (html[afterName] !== '=') {
+            attributes.push({ name, value: '', valueStart: index, valueEnd: index, quote: null });
+            continue;
+        }
+
+        // Attribute value: quoted or unquoted
+        index = afterName + 1;
+        while (/\s/.test(html[index] || '')) index++;
+        const quote = html[index] === '"' || html[index] === "'" ? html[index] : null;
+        let valueStart = index;
+        let valueEnd;
+        if (quote) {
+            valueStart++;
+            valueEnd = html.indexOf(quote, valueStart);
+            if (valueEnd === -1) {
+                return null;
+            }
+            index = valueEnd + 1;
+        } else {
+            valueEnd = valueStart;
+            while (valueEnd < html.length && !/[\s>]/.test(html[valueEnd])) valueEnd++;
+            index = valueEnd;
+        }
+
+        attributes.push({ name, value: decodeEntities(html.slice(valueStart, valueEnd)), valueStart, valueEnd, quote });
+    }
+
+    return null;
+}
+
+/**
+ * Rewrite the URLs in a srcset value ("a.png 1x, b.png 2x")
+ * Candidates are split the way browsers do, so URLs containing commas survive
+ */
+function rewriteSrcset(srcset, rewriteUrl) {
+    let output = '';
+    let index = 0;
+
+    while (index < srcset.length) {
+        // Leading whitespace and separators
+        const separator = /^[\s,]*/.exec(srcset.slice(index))[0];
+        output += separator;
+        index += separator.length;
+        if (index >= srcset.length) break;
+
+        // URL: everything up to whitespace; trailing commas end the candidate
+        let urlEnd = index;
+        while (urlEnd < srcset.length && !/\s/.test(srcset[urlEnd])) urlEnd++;
+        let url = srcset.slice(index, urlEnd);
+        const trailingCommas = /,*$/.exec(url)[0];
+        url = url.slice(0, url.length - trailingCommas.length);
+
+        output += (rewriteUrl(url) ?? url) + trailingCommas;
+        index = urlEnd;
+
+        // Descriptors up to the next comma outside parentheses
+        if (!trailingCommas) {
+            let descriptorEnd = index;
+            let depth = 0;
+            while (descriptorEnd < srcset.length && (depth > 0 || srcset[descriptorEnd] !== ',')) {
+                if (srcset[descriptorEnd] === '(') depth++;
+                if (srcset[descriptorEnd] === ')') depth--;
+                descriptorEnd++;
+            }
+            output += srcset.slice(index, descriptorEnd);
+            index = descriptorEnd;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * How an attribute references a URL: 'resource', 'navigation', 'srcset', 'style', or null
+ */
+function getAttributeKind(tag, attribute) {
+    const { name } = attribute;
+    const getValue = (attributeName) => (tag.attributes.find(a => a.name === attributeName)?.value || '').toLowerCase();
+
+    if (name === 'style') return 'style';
+    if (name === 'srcset' || name === 'imagesrcset') return 'srcset';
+    if (NAVIGATION_ATTRIBUTES[tag.name] === name) return 'navigation';
+
+    if (name === 'href') {
+        if (tag.name === 'link') {
+            const rels = getValue('rel').split(/\s+/);
+            return rels.some(rel => NAVIGATION_RELS.has(rel)) ? 'navigation' : 'resource';
+        }
+        // SVG <image href> and <use href>
+        return tag.name === 'image' || tag.name === 'use' || tag.name === 'feimage' ? 'resource' : null;
+    }
+
+    if (name === 'content' && tag.name === 'meta') {
+        const property = getValue('property') || getValue('name') || getValue('itemprop');
+        if (META_RESOURCES.has(property) || property === 'image') return 'resource';
+        if (META_NAVIGATION.has(property)) return 'navigation';
+        return null;
+    }
+
+    return RESOURCE_ATTRIBUTES.has(name) ? 'resource' : null;
+}
+
+/**
+ * Whether an element loads a URL (through a resource attribute) for which shouldRemove(url, { kind, where }) is true
+ * URLs in inline scripts are left to options.shouldRemoveScript
+ */
+function loadsRemovedUrl(tag, shouldRemove) {
+    return tag.attributes.some((attribute) => {
+        const value = attribute.value.trim();
+        return value && getAttributeKind(tag, attribute) === 'resource' &&
+            shouldRemove(value, { kind: 'resource', where: `${tag.name}[${attribute.name}]` });
+    });
+}
+
+/**
+ * Rewrite the URLs in an HTML document
+ * rewriteUrl(url, { kind, where }) returns the new URL, or null to keep it;
+ * kind is 'resource', 'navigation' or 'script', where describes the reference (e.g. "img[srcset]")
+ * options.shouldRemove(url, { kind, where }) returning true removes the script, iframe, image, link,
+ * source or embed element loading the URL through an attribute, leaving a comment in its place;
+ * a <noscript> left with nothing but such comments is removed as a whole
+ * options.shouldRemoveScript(content) returning true removes an inline script the same way
+ */
+function rewriteHtml(html, rewriteUrl, options = {}) {
+    const shouldRemove = options.shouldRemove || null;
+    const shouldRemoveScript = options.shouldRemoveScript || null;
+    let output = '';
+    let copiedUpTo = 0;
+    let index = 0;
+
+    const replace = (start, end, text) => {
+        output += html.slice(copiedUpTo, start) + text;
+        copiedUpTo = end;
+    };
+
+    const rewriteAttribute = (tag, attribute) => {
+        const kind = getAttributeKind(tag, attribute);
+        if (!kind || !attribute.value.trim()) {
+            return;
+        }
+
+        const where = `${tag.name}[${attribute.name}]`;
+        let newValue;
+        if (kind === 'style') {
+            newValue = rewriteCss(attribute.value, (url, cssWhere) => rewriteUrl(url, { kind: 'resource', where: `${where} ${cssWhere}` }));
+        } else if (kind === 'srcset') {
+            newValue = rewriteSrcset(attribute.value, (url) => rewriteUrl(url, { kind: 'resource', where }));
+        } else {
+            newValue = rewriteUrl(attribute.value.trim(), { kind, where });
+        }
+
+        if (newValue !== null && newValue !== attribute.value) {
+            const quote = attribute.quote || '"';
+            const encoded = encodeAttribute(newValue, quote);
+            replace(attribute.valueStart, attribute.valueEnd, attribute.quote ? encoded : `${quote}${encoded}${quote}`);
+        }
+    };
+
+    while (index < html.length) {
+        const tagStart = html.indexOf('<', index);
+        if (tagStart === -1) {
+            break;
+        }
+
+        // Comments, doctype and processing instructions
+        if (html.startsWith('<!--', tagStart)) {
+            const end = html.indexOf('-->', tagStart + 4);
+            index = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (html[tagStart + 1] === '!' || html[tagStart + 1] === '?' || html[tagStart + 1] === '/') {
+            const end = html.indexOf('>', tagStart);
+            index = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        const tag = parseStartTag(html, tagStart);
+        if (!tag) {
+            index = tagStart + 1;
+            continue;
+        }
+
+        const isRaw = RAW_TEXT_ELEMENTS.has(tag.name);
+        const closeMatch = isRaw || tag.name === 'iframe' || tag.name === 'noscript' ? new RegExp(`</${tag.name}[\\s/>]`, 'i').exec(html.slice(tag.end)) : null;
+        const contentEnd = closeMatch ? tag.end + closeMatch.index : html.length;
+        const type = (tag.attributes.find(a => a.name === 'type')?.value || '').trim();
+
+        // Elements with an end tag go up to it, the rest are void elements
+        let elementEnd = tag.end;
+        if (closeMatch) {
+            const endTagClose = html.indexOf('>', contentEnd);
+            elementEnd = endTagClose === -1 ? html.length : endTagClose + 1;
+        } else if (isRaw) {
+            elementEnd = html.length;
+        }
+
+        const removeElement =
+            (shouldRemove && REMOVABLE_ELEMENTS.has(tag.name) && loadsRemovedUrl(tag, shouldRemove)) ||
+            (shouldRemoveScript && tag.name === 'script' && !tag.attributes.some(a => a.name === 'src') &&
+                EXECUTABLE_SCRIPT_TYPES.test(type) && shouldRemoveScript(html.slice(tag.end, contentEnd)));
+        if (removeElement) {
+            replace(tagStart, elementEnd, `<!-- ${tag.name} removed by resource policy -->`);
+            index = elementEnd;
+            continue;
+        }
+
+        // Tracking fallbacks (<noscript><iframe src="...ns.html"></noscript>) go entirely
+        if ((shouldRemove || shouldRemoveScript) && tag.name === 'noscript' && closeMatch) {
+            const content = html.slice(tag.end, contentEnd);
+            const newContent = rewriteHtml(content, rewriteUrl, options);
+            if (newContent !== content && !newContent.replace(REMOVED_COMMENT, '').trim()) {
+                replace(tagStart, elementEnd, '<!-- noscript removed by resource policy -->');
+                index = elementEnd;
+                continue;
+            }
+            tag.attributes.forEach(attribute => rewriteAttribute(tag, attribute));
+            replace(tag.end, contentEnd, newContent);
+            index = contentEnd;
+            continue;
+        }
+
+        tag.attributes.forEach(attribute => rewriteAttribute(tag, attribute));
+        index = tag.end;
+
+        if (!isRaw) {
+            continue;
+        }
+
+        // Raw text up to the matching end tag: rewrite <style> as CSS and inline scripts as JS
+        const content = html.slice(index, contentEnd);
+
+        let newContent = content;
+        if (tag.name === 'style') {
+            newContent = rewriteCss(content, (url, cssWhere) => rewriteUrl(url, { kind: 'resource', where: `style ${cssWhere}` }));
+        } else if (tag.name === 'script' && SCRIPT_TYPES.test(type)) {
+            newContent = rewriteJs(content, (url, jsWhere) => rewriteUrl(url, { kind: 'script', where: `script ${jsWhere}` }));
+        }
+
+        if (newContent !== content) {
+            replace(index, contentEnd, newContent);
+        }
+        index = contentEnd;
+    }
+
+    return output + html.slice(copiedUpTo);
+}
+
+module.exports = {
+    rewriteHtml
+};
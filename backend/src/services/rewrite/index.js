@@ -0,0 +1,235 @@
+/**
+ * URL Rewriting
+ * Points URLs in archived HTML, CSS and JS at the copies inside the archive:
+ * first-party URLs become absolute paths and external ones move under /_external/{host}.
+ * URLs the resource policy blocks are never pointed into the archive, where they don't exist;
+ * elements and inline scripts loading them are removed from HTML instead.
+ * Every URL that is rewritten, missing from the archive, blocked, removed or left pointing at a
+ * live origin is recorded per file in the archive's rewrite log (/_forever/rewrite-log.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+const { rewriteHtml } = require('./html');
+const { rewriteCss } = require('./css');
+const { rewriteJs } = require('./js');
+
+const EXTERNAL_PREFIX = '/_external/';
+const LOG_FILENAME = 'rewrite-log.json';
+
+// Schemes that never reach an origin
+const IGNORED_URL = /^(#|data:|blob:|about:|javascript:|mailto:|tel:|sms:)/i;
+
+/**
+ * Archive path a URL is stored under: first-party paths are kept as-is,
+ * external ones move under /_external/{host} without a trailing slash
+ */
+function getArchivePath(parsedUrl, isFirstPartyHost) {
+    if (isFirstPartyHost(parsedUrl.hostname)) {
+        return parsedUrl.pathname;
+    }
+
+    let pathname = parsedUrl.pathname;
+    if (pathname.endsWith('/') && pathname.length > 1) {
+        pathname = pathname.slice(0, -1);
+    }
+    return `${EXTERNAL_PREFIX}${parsedUrl.hostname}${pathname === '/' ? '' : pathname}`;
+}
+
+/**
+ * Which rewriter handles a saved file, by extension or by the type Puppeteer reported
+ */
+function getFileKind(filePath, resourceType) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.js' || extension === '.mjs' || extension === '.cjs' || resourceType === 'script') return 'js';
+    if (extension === '.css' || resourceType === 'stylesheet') return 'css';
+    if (extension === '.html' || extension === '.htm' || resourceType === 'document') return 'html';
+    return null;
+}
+
+/**
+ * Resolve a URL found in a file against the file's URL; null for non-http(s) URLs and fragments
+ */
+function resolveUrl(rawUrl, documentUrl) {
+    const trimmed = rawUrl.trim();
+    if (!trimmed || IGNORED_URL.test(trimmed)) {
+        return null;
+    }
+
+    try {
+        const url = new URL(trimmed, documentUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List the resource URLs an HTML or CSS file references, absolute and without fragments
+ * Navigation links and URLs in scripts are left out
+ */
+function collectResourceUrls(kind, content, documentUrl) {
+    const urls = new Set();
+    const collect = (rawUrl, context) => {
+        if (typeof context === 'string' || context.kind === 'resource') {
+            const url = resolveUrl(rawUrl, documentUrl);
+            if (url) {
+                url.hash = '';
+                urls.add(url.href);
+            }
+        }
+        return null;
+    };
+
+    if (kind === 'html') rewriteHtml(content, collect);
+    if (kind === 'css') rewriteCss(content, collect);
+    return Array.from(urls);
+}
+
+/**
+ * Create a rewriter for one archive
+ * options.isFirstPartyHost decides which URLs belong to the site itself
+ * options.archivedPaths lists the archive paths of the external resources that were saved
+ * options.policy (see services/policy.js) removes elements and inline scripts loading blocked or
+ * stripped resources from HTML; options.mimeTypes maps URLs to their captured MIME types for its MIME rules
+ */
+function createRewriter(options) {
+    const { isFirstPartyHost, policy } = options;
+    const archivedPaths = new Set(options.archivedPaths || []);
+    const mimeTypes = options.mimeTypes || new Map();
+    const logs = new Map(); // archive path -> Map of entries
+
+    const record = (file, entry) => {
+        if (!logs.has(file)) logs.set(file, new Map());
+        const entries = logs.get(file);
+        const key = `${entry.action} ${entry.where} ${entry.url}`;
+        if (entries.has(key)) {
+            entries.get(key).count++;
+        } else {
+            entries.set(key, { ...entry, count: 1 });
+        }
+    };
+
+    // What the policy does with a resolved URL ('capture' without a policy)
+    const getPolicyAction = (url) => policy ? policy.getAction(url, mimeTypes.get(url.href.split('#')[0])) : 'capture';
+
+    /**
+     * Decide what a URL in a file becomes; returns the new URL or null to leave it
+     * Resources missing from the archive are still pointed at the archive so pages never load
+     * them from the live origin; external navigation links and script URLs that weren't
+     * captured are kept live (they're links, API endpoints or identifiers, not page resources).
+     * URLs the policy blocks or strips that aren't in the archive are left as they are: pointing
+     * them into the archive would only make pages request files that don't exist
+     */
+    const rewriteUrl = (rawUrl, { kind, where }, documentUrl, file) => {
+        const url = resolveUrl(rawUrl, documentUrl);
+        if (!url) {
+            return null;
+        }
+        const trimmed = rawUrl.trim();
+
+        const archivePath = getArchivePath(url, isFirstPartyHost);
+        const isArchived = isFirstPartyHost(url.hostname) || archivedPaths.has(archivePath);
+        const target = `${archivePath}${url.search}${url.hash}`;
+
+        let action;
+        if (isArchived) {
+            action = 'rewritten';
+        } else if (kind !== 'navigation' && getPolicyAction(url) !== 'capture') {
+            action = 'blocked';
+        } else if (kind === 'resource') {
+            action = 'missing';
+        } else {
+            action = 'kept';
+        }
+
+        const keep = action === 'kept' || action === 'blocked';
+        if (!keep && target === trimmed) {
+            return null; // Already points into the archive
+        }
+
+        record(file, { url: trimmed, to: keep ? null : target, action, where });
+        return keep ? null : target;
+    };
+
+    /**
+     * Whether an element loading rawUrl is removed from HTML: the policy blocks or strips the URL
+     */
+    const shouldRemove = (rawUrl, { where }, documentUrl, file) => {
+        const url = resolveUrl(rawUrl, documentUrl);
+        if (!url || getPolicyAction(url) === 'capture') {
+            return false;
+        }
+        record(file, { url: rawUrl.trim(), to: null, action: 'removed', where });
+        return true;
+    };
+
+    /**
+     * Whether an inline script is removed from HTML: it contains a URL the policy blocks or strips
+     * (a tag manager or tracker building its script URL) or is a snippet standing for one
+     */
+    const shouldRemoveScript = (content, documentUrl, file) => {
+        const urls = policy.getSnippetUrls(content);
+        rewriteJs(content, (url) => {
+            urls.push(url);
+            return null;
+        });
+        return urls.some(url => shouldRemove(url, { where: 'script' }, documentUrl, file));
+    };
+
+    /**
+     * Rewrite the URLs in a file's contents
+     * kind is 'html', 'css' or 'js'; documentUrl is the file's original URL (relative URLs resolve against it);
+     * file is its path in the archive, used for the log
+     */
+    const rewrite = (kind, content, documentUrl, file) => {
+        const rewriteWith = (kindOverride) => (url, context) =>
+            rewriteUrl(url, typeof context === 'string' ? { kind: kindOverride, where: context } : context, documentUrl, file);
+
+        if (kind === 'html') {
+            return rewriteHtml(content, rewriteWith(null), {
+                shouldRemove: policy ? (url, context) => shouldRemove(url, context, documentUrl, file) : null,
+                shouldRemoveScript: policy ? (content) => shouldRemoveScript(content, documentUrl, file) : null
+            });
+        }
+        if (kind === 'css') return rewriteCss(content, rewriteWith('resource'));
+        if (kind === 'js') return rewriteJs(content, rewriteWith('script'));
+        return content;
+    };
+
+    /**
+     * Write the rewrite log into the archive's reserved folder and return its summary
+     */
+    const writeLog = (downloadDir) => {
+        const summary = { files: logs.size, rewritten: 0, missing: 0, blocked: 0, removed: 0, kept: 0 };
+        const files = {};
+        for (const file of Array.from(logs.keys()).sort()) {
+            files[file] = Array.from(logs.get(file).values());
+            for (const entry of files[file]) {
+                summary[entry.action] += entry.count;
+            }
+        }
+
+        const logDir = path.join(downloadDir, config.archive.reservedDir);
+        fs.mkdirSync(logDir, { recursive: true });
+        fs.writeFileSync(path.join(logDir, LOG_FILENAME), JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            summary,
+            files
+        }, null, 2), 'utf8');
+
+        console.log(`[Rewrite] ${summary.rewritten} URLs rewritten, ${summary.missing} missing from the archive, ${summary.blocked} blocked, ${summary.removed} elements removed, ${summary.kept} left live across ${summary.files} files`);
+        return summary;
+    };
+
+    return { rewrite, writeLog };
+}
+
+module.exports = {
+    EXTERNAL_PREFIX,
+    getArchivePath,
+    getFileKind,
+    collectResourceUrls,
+    createRewriter
+};
@@ -0,0 +1,183 @@
+/**
+ * JavaScript URL Rewriting
+ * Scans JavaScript (and JSON) for string and template literals, skipping comments and
+ * regular expressions, and rewrites literals holding absolute http(s) URLs. Code is never
+ * rewritten, only literal contents, re-escaped for the quote they sit in.
+ */
+
+// Words after which a "/" starts a regular expression rather than a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Absolute URL with a path; bare origins are often API base URLs passed to new URL()
+const URL_LITERAL = /^https?:\/\/[^/\s]+\//i;
+
+const WORD_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Decode a literal's contents, or return null if it uses escapes a URL never needs
+ */
+function decodeLiteral(raw) {
+    let invalid = false;
+    const value = raw.replace(/\\(u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|[\s\S])/g,
+        (match, escape, codePoint, unicode, hex) => {
+            if (codePoint || unicode || hex) {
+                return String.fromCodePoint(parseInt(codePoint || unicode || hex, 16));
+            }
+            if ('\\/\'"`$'.includes(escape)) {
+                return escape;
+            }
+            invalid = true;
+            return match;
+        });
+    return invalid ? null : value;
+}
+
+/**
+ * Encode a value for a literal with the given quote, keeping "\/" escaping if the original used it
+ */
+function encodeLiteral(value, quote, escapeSlashes) {
+    let raw = value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+    if (quote === '`') {
+        raw = raw.replace(/\$\{/g, '\\${');
+    }
+    return escapeSlashes ? raw.replace(/\//g, '\\/') : raw;
+}
+
+/**
+ * Rewrite the URL literals in a script
+ * rewriteUrl(url, where) returns the new URL, or null to keep it; where is 'string' or 'template'
+ */
+function rewriteJs(source, rewriteUrl) {
+    let output = '';
+    let copiedUpTo = 0;
+    let index = 0;
+    let regexAllowed = true; // Whether a "/" here starts a regular expression
+    let braceDepth = 0;
+    const templateBraces = []; // Brace depth at each open ${ ... } inside a template
+
+    const rewriteLiteral = (start, end, quote, where) => {
+        const raw = source.slice(start, end);
+        if (!URL_LITERAL.test(raw.replace(/\\\//g, '/'))) {
+            return;
+        }
+        const value = decodeLiteral(raw);
+        const newUrl = value === null ? null : rewriteUrl(value, where);
+        if (newUrl !== null) {
+            output += source.slice(copiedUpTo, start) + encodeLiteral(newUrl, quote, raw.includes('\\/'));
+            copiedUpTo = end;
+        }
+    };
+
+    // Read template text up to the closing backtick or the next ${; returns the index after it
+    const readTemplate = (start, isFirstPart) => {
+        let end = start;
+        while (end < source.length && source[end] !== '`' && !(source[end] === '$' && source[end + 1] === '{')) {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        end = Math.min(end, source.length);
+        // Only the leading text of a template can be a URL (`https://host/${path}`)
+        if (isFirstPart) {
+            rewriteLiteral(start, end, '`', 'template');
+        }
+        if (source[end] === '$') {
+            templateBraces.push(braceDepth);
+            braceDepth++;
+            regexAllowed = true;
+            return end + 2;
+        }
+        regexAllowed = false;
+        return end + 1;
+    };
+
+    while (index < source.length) {
+        const char = source[index];
+
+        // Whitespace
+        if (char === ' ' || char === '\n' || char === '\t' || char === '\r') {
+            index++;
+            continue;
+        }
+
+        // Comments
+        if (char === '/' && source[index + 1] === '/') {
+            const end = source.indexOf('\n', index);
+            index = end === -1 ? source.length : end;
+            continue;
+        }
+        if (char === '/' && source[index + 1] === '*') {
+            const end = source.indexOf('*/', index + 2);
+            index = end === -1 ? source.length : end + 2;
+            continue;
+        }
+
+        // String literals
+        if (char === '"' || char === "'") {
+            let end = index + 1;
+            while (end < source.length && source[end] !== char && source[end] !== '\n') {
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            if (source[end] === char) {
+                rewriteLiteral(index + 1, end, char, 'string');
+            }
+            index = end + 1;
+            regexAllowed = false;
+            continue;
+        }
+
+        // Template literals, including the rest of a template after a ${ ... } expression
+        if (char === '`') {
+            index = readTemplate(index + 1, true);
+            continue;
+        }
+        if (char === '}' && templateBraces.length > 0 && templateBraces[templateBraces.length - 1] === braceDepth - 1) {
+            templateBraces.pop();
+            braceDepth--;
+            index = readTemplate(index + 1, false);
+            continue;
+        }
+
+        // Regular expression literals
+        if (char === '/' && regexAllowed) {
+            let end = index + 1;
+            let inClass = false;
+            while (end < source.length && source[end] !== '\n' && (inClass || source[end] !== '/')) {
+                if (source[end] === '\\') end++;
+                else if (source[end] === '[') inClass = true;
+                else if (source[end] === ']') inClass = false;
+                end++;
+            }
+            if (source[end] === '/') {
+                index = end + 1;
+                while (index < source.length && WORD_CHAR.test(source[index])) index++;
+                regexAllowed = false;
+                continue;
+            }
+        }
+
+        // Identifiers, keywords and numbers
+        if (WORD_CHAR.test(char)) {
+            let end = index + 1;
+            while (end < source.length && WORD_CHAR.test(source[end])) end++;
+            const word = source.slice(index, end);
+            const isProperty = source[index - 1] === '.';
+            regexAllowed = !isProperty && KEYWORDS_BEFORE_EXPRESSION.has(word);
+            index = end;
+            continue;
+        }
+
+        // Punctuation
+        if (char === '{') braceDepth++;
+        if (char === '}') braceDepth--;
+        regexAllowed = char !== ')' && char !== ']';
+        index++;
+    }
+
+    return output + source.slice(copiedUpTo);
+}
+
+module.exports = {
+    rewriteJs
+};
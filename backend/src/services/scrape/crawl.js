@@ -0,0 +1,254 @@
+/**
+ * Route Crawling
+ * Breadth-first crawl of a site's routes, limited by depth, route count and include/exclude
+ * path patterns. Every link found is recorded as an edge of the crawl graph, which is
+ * returned with the archive so it's clear which routes were captured and why others weren't.
+ * Concrete links matching a parameterized route (e.g. /blog/:slug) are archived up to a
+ * sample size per route, so detail pages are captured without crawling every instance.
+ */
+
+// Paths with one of these extensions (or none) are pages; anything else is a file, not a route
+const PAGE_EXTENSIONS = /(\/|\/[^/.]*|\.html?)$/i;
+
+/**
+ * Turn a path pattern into a regex: "*" matches within one path segment, "**" across segments
+ * e.g. "/blog/*" matches "/blog/post" but not "/blog/2024/post"; "/docs/**" matches /docs and everything below it
+ */
+function patternToRegex(pattern) {
+    // A trailing "/**" makes the rest of the path optional, so it also matches the prefix itself
+    const subtree = pattern.endsWith('/**');
+    const source = (subtree ? pattern.slice(0, -3) : pattern)
+        .split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}${subtree ? '(?:/.*)?' : ''}/?$`);
+}
+
+/**
+ * Drop a path's trailing slashes, keeping "/" itself
+ */
+function trimTrailingSlash(pathname) {
+    return pathname.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Turn a React Router path into a regex matching its concrete routes
+ * ":param" matches one segment, ":param?" an optional one, "*" the rest of the path
+ * Returns null for catch-all routes ("*", "/:lang/...") that would match every page
+ */
+function routePatternToRegex(pattern) {
+    const segments = pattern.split('/').filter(Boolean);
+    if (segments.length === 0 || segments[0].startsWith(':') || segments[0].startsWith('*')) {
+        return null;
+    }
+
+    const source = segments.map(segment => {
+        if (segment === '*') return '(?:/.*)?';
+        if (segment.startsWith(':')) return segment.endsWith('?') ? '(?:/[^/]+)?' : '/[^/]+';
+        return `/${segment.replace(/[.+?^${}()|[\]\\*]/g, '\\$&')}`;
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalize a route: no query, fragment or trailing slash
+ * Every route the crawler and the scraper compare goes through here, so /about, /about/ and /about?x=1 are one route
+ */
+function normalizeRoute(route) {
+    return trimTrailingSlash(route.split('?')[0].split('#')[0]);
+}
+
+/**
+ * Create a crawl frontier starting at the homepage ("/", depth 0), which is always the first route next() returns
+ * options: { maxDepth, maxRoutes, include: [patterns], exclude: [patterns], samplesPerPattern }
+ * maxRoutes doesn't count the homepage; include limits crawling to matching paths when not empty
+ */
+function createCrawler(options) {
+    const { maxDepth, maxRoutes, samplesPerPattern } = options;
+    const include = (options.include || []).map(patternToRegex);
+    const exclude = (options.exclude || []).map(patternToRegex);
+
+    const nodes = new Map(); // route -> { route, depth, status, reason, pattern, sources }
+    const edges = new Map(); // "from to" -> { from, to }
+    const routePatterns = new Map(); // pattern -> { pattern, regex, staticSegments, samples, matched }
+    const queue = [];
+    let accepted = 0; // Routes queued for a visit, not counting the homepage
+
+    /**
+     * Register parameterized routes (e.g. "/blog/:slug") that concrete links are sampled against
+     * Routes found before their pattern is known are crawled like any other route
+     */
+    const addPatterns = (patterns) => {
+        for (const rawPattern of patterns) {
+            // Not normalizeRoute(): "?" marks an optional parameter here, not a query
+            const pattern = trimTrailingSlash(rawPattern);
+            const regex = routePatternToRegex(pattern);
+            if (!regex || routePatterns.has(pattern)) continue;
+
+            const staticSegments = pattern.split('/').filter(segment => segment && !segment.startsWith(':') && segment !== '*').length;
+            routePatterns.set(pattern, { pattern, regex, staticSegments, samples: [], matched: 0 });
+        }
+    };
+
+    /**
+     * The most specific parameterized route a concrete route is an instance of, if any
+     */
+    const findPattern = (route) => {
+        let best = null;
+        for (const candidate of routePatterns.values()) {
+            if (candidate.regex.test(route) && (!best || candidate.staticSegments > best.staticSegments)) {
+                best = candidate;
+            }
+        }
+        return best;
+    };
+
+    /**
+     * Why a newly found route won't be visited, or null if it will
+     */
+    const getSkipReason = (route, depth, routePattern) => {
+        if (exclude.some(regex => regex.test(route))) return 'excluded';
+        if (include.length > 0 && !include.some(regex => regex.test(route))) return 'not_included';
+        if (routePattern && routePattern.samples.length >= samplesPerPattern) return 'pattern_sampled';
+        if (depth > maxDepth) return 'max_depth';
+        if (accepted >= maxRoutes) return 'max_routes';
+        return null;
+    };
+
+    /**
+     * Record a route found at depth (linked from the route "from", if any) and queue it for a visit
+     * source says where the route was found ('dom', 'js' or 'sitemap'); every source that finds it is kept
+     */
+    const add = (rawRoute, depth, from = null, source = null) => {
+        const route = normalizeRoute(rawRoute);
+        if (!route.startsWith('/') || !PAGE_EXTENSIONS.test(route)) {
+            return;
+        }
+
+        if (from && from !== route) {
+            edges.set(`${from} ${route}`, { from, to: route });
+        }
+        if (nodes.has(route)) {
+            const { sources } = nodes.get(route);
+            if (source && !sources.includes(source)) sources.push(source);
+            return;
+        }
+
+        const routePattern = route === '/' ? null : findPattern(route);
+        const reason = route === '/' ? null : getSkipReason(route, depth, routePattern);
+        nodes.set(route, {
+            route,
+            depth,
+            status: reason ? 'skipped' : 'queued',
+            reason,
+            pattern: routePattern ? routePattern.pattern : null,
+            sources: source ? [source] : []
+        });
+
+        if (routePattern) {
+            routePattern.matched++;
+            if (!reason) routePattern.samples.push(route);
+        }
+        if (!reason) {
+            if (route !== '/') accepted++;
+            queue.push(route);
+        }
+    };
+
+    /**
+     * Next route to visit in breadth-first order, or null when the crawl is done
+     */
+    const next = () => {
+        const route = queue.shift();
+        return route ? nodes.get(route) : null;
+    };
+
+    const markVisited = (route) => {
+        nodes.get(route).status = 'visited';
+    };
+
+    const markFailed = (route, error) => {
+        Object.assign(nodes.get(route), { status: 'failed', reason: error.message });
+    };
+
+    /**
+     * Counts for progress reporting (the homepage isn't counted)
+     */
+    const getCounts = () => {
+        const counts = { discovered: nodes.size - 1, toVisit: accepted, visited: 0, failed: 0, skipped: 0 };
+        for (const node of nodes.values()) {
+            if (node.route === '/') continue;
+            if (node.status === 'visited') counts.visited++;
+            if (node.status === 'failed') counts.failed++;
+            if (node.status === 'skipped') counts.skipped++;
+        }
+        return counts;
+    };
+
+    /**
+     * The crawl graph: limits, every route found with its depth and outcome, the links between them,
+     * and the parameterized routes with the concrete instances sampled for each
+     */
+    const getGraph = () => ({
+        limits: {
+            maxDepth,
+            maxRoutes,
+            include: options.include || [],
+            exclude: options.exclude || [],
+            samplesPerPattern
+        },
+        nodes: Array.from(nodes.values()),
+        edges: Array.from(edges.values()),
+        patterns: Array.from(routePatterns.values()).map(({ pattern, samples, matched }) => ({ pattern, samples, matched }))
+    });
+
+    add('/', 0);
+    return { add, addPatterns, next, markVisited, markFailed, getCounts, getGraph };
+}
+
+/**
+ * Find the routes a loaded page links to: same-origin <a href> links, plus route definitions
+ * in inline scripts (React Router path: "/route", navigate("/route"), <Route path="/route">)
+ * Returns { routes, patterns } where patterns are parameterized routes like /blog/:slug
+ */
+async function extractPageRoutes(page) {
+    return page.evaluate(() => {
+        const routes = new Set();
+        const patterns = new Set();
+
+        document.querySelectorAll('a[href]').forEach(link => {
+            try {
+                const url = new URL(link.getAttribute('href'), location.href);
+                if (url.origin === location.origin) {
+                    routes.add(url.pathname);
+                }
+            } catch (e) {
+                // Invalid URL, skip
+            }
+        });
+
+        const scriptText = Array.from(document.querySelectorAll('script:not([src])')).map(s => s.textContent).join('\n');
+        const routeRegexes = [
+            /path:\s*["'](\/[a-zA-Z0-9_/:*?-]+)["']/g,          // path: "/route" or "/route/:id"
+            /to=["'](\/[a-zA-Z0-9_/-]+)["']/g,                  // to="/route" (Link components)
+            /navigate\(["'](\/[a-zA-Z0-9_/-]+)["']/g,           // navigate("/route")
+            /<Route[^>]+path=["'](\/[a-zA-Z0-9_/:*?-]+)["']/g    // <Route path="/route">
+        ];
+        routeRegexes.forEach(regex => {
+            let match;
+            while ((match = regex.exec(scriptText)) !== null) {
+                const route = match[1];
+                (route.includes(':') || route.includes('*') ? patterns : routes).add(route);
+            }
+        });
+
+        return { routes: Array.from(routes), patterns: Array.from(patterns) };
+    });
+}
+
+module.exports = {
+    patternToRegex,
+    createCrawler,
+    extractPageRoutes,
+    normalizeRoute
+};
@@ -0,0 +1,106 @@
+/**
+ * Interaction Pass
+ * Clicks a route's visible, non-navigating interactive elements (tabs, accordions, dialog
+ * triggers, menus, "load more" buttons) so the code-split chunks, images and API data they
+ * load are requested. The page's response handler captures whatever the clicks load.
+ */
+
+const { config } = require('../../config/config');
+
+// Marks the candidates of a pass so they can be found again after re-renders
+const MARKER_ATTRIBUTE = 'data-forever-click';
+
+// Never clicked whatever the selector lists say: links away, form submits, disabled controls
+const SAFETY_DENY = 'a[href]:not([href^="#"]), [type="submit"], form button:not([type="button"]), [disabled], [aria-disabled="true"]';
+
+// Labels of buttons with side effects on the live site
+const DESTRUCTIVE_LABEL = /\b(log ?out|sign ?out|delete|remove|unsubscribe|cancel (my )?(subscription|account)|pay|buy|checkout|purchase|order now)\b/i;
+
+/**
+ * Mark the clickable candidates on the page with their index and return how many there are
+ */
+async function markCandidates(page, allow, deny) {
+    return page.evaluate((marker, allowSelector, denySelector, destructiveSource) => {
+        const destructive = new RegExp(destructiveSource, 'i');
+        const isVisible = (element) => {
+            const rect = element.getBoundingClientRect();
+            const style = getComputedStyle(element);
+            return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+        };
+
+        let count = 0;
+        document.querySelectorAll(`[${marker}]`).forEach(element => element.removeAttribute(marker));
+        document.querySelectorAll(allowSelector).forEach(element => {
+            if (element.closest(denySelector) || !isVisible(element)) return;
+            const label = `${element.textContent || ''} ${element.getAttribute('aria-label') || ''}`;
+            if (destructive.test(label)) return;
+            element.setAttribute(marker, String(count++));
+        });
+        return count;
+    }, MARKER_ATTRIBUTE, allow, deny, DESTRUCTIVE_LABEL.source);
+}
+
+/**
+ * Remove the candidate markers so they don't end up in captured HTML
+ */
+async function clearMarkers(page) {
+    await page.evaluate((marker) => {
+        document.querySelectorAll(`[${marker}]`).forEach(element => element.removeAttribute(marker));
+    }, MARKER_ATTRIBUTE).catch(() => {});
+}
+
+/**
+ * Run the interaction pass on the route loaded at routeUrl, clicking up to the configured budget
+ * A click that navigates away reloads routeUrl and the pass continues with the next candidate
+ * Returns { candidates, clicked, navigations, failed }
+ */
+async function runInteractionPass(page, routeUrl) {
+    const { maxClicks, allow, deny, settleTime } = config.scraping.interactions;
+    const denySelector = deny ? `${SAFETY_DENY}, ${deny}` : SAFETY_DENY;
+    const stats = { candidates: 0, clicked: 0, navigations: 0, failed: 0 };
+    const stripHash = (url) => url.split('#')[0];
+
+    // Alerts and confirms would block the page, new windows aren't part of the route
+    const onDialog = (dialog) => dialog.dismiss().catch(() => {});
+    const onPopup = (popup) => popup && popup.close().catch(() => {});
+    page.on('dialog', onDialog);
+    page.on('popup', onPopup);
+
+    try {
+        stats.candidates = await markCandidates(page, allow, denySelector);
+
+        for (let index = 0; index < stats.candidates && stats.clicked < maxClicks; index++) {
+            const element = await page.$(`[${MARKER_ATTRIBUTE}="${index}"]`);
+            if (!element) continue; // Removed by an earlier click
+
+            try {
+                await element.click();
+                stats.clicked++;
+                await page.waitForNetworkIdle({ timeout: 3000, idleTime: settleTime }).catch(() => {});
+
+                if (stripHash(page.url()) !== stripHash(routeUrl)) {
+                    stats.navigations++;
+                    await page.goto(routeUrl, { waitUntil: 'networkidle2', timeout: 20000 });
+                    await markCandidates(page, allow, denySelector);
+                } else {
+                    // Close whatever the click opened so it doesn't cover the next candidate
+                    await page.keyboard.press('Escape');
+                }
+            } catch (error) {
+                stats.failed++;
+            } finally {
+                await element.dispose().catch(() => {});
+            }
+        }
+    } finally {
+        page.off('dialog', onDialog);
+        page.off('popup', onPopup);
+        await clearMarkers(page);
+    }
+
+    return stats;
+}
+
+module.exports = {
+    runInteractionPass
+};
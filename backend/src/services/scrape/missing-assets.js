@@ -0,0 +1,113 @@
+/**
+ * Missing Assets
+ * After the crawl, finds assets that the captured HTML and CSS reference but the browser never
+ * requested (unused @font-face weights, hover-state images, srcset candidates for other DPRs)
+ * and fetches them through the same browser session, so the archive works on other devices
+ */
+
+const { config } = require('../../config/config');
+const { collectResourceUrls, getFileKind } = require('../rewrite');
+const { openFetcher } = require('./network');
+
+/**
+ * Resource type Puppeteer would have reported, from the response's Content-Type
+ */
+function getResourceType(contentType) {
+    if (/text\/css/i.test(contentType)) return 'stylesheet';
+    if (/^font\/|woff|opentype|truetype/i.test(contentType)) return 'font';
+    if (/^image\//i.test(contentType)) return 'image';
+    if (/^(video|audio)\//i.test(contentType)) return 'media';
+    if (/javascript|ecmascript/i.test(contentType)) return 'script';
+    if (/text\/html/i.test(contentType)) return 'document';
+    return 'other';
+}
+
+/**
+ * Fetch the assets referenced by captured pages and stylesheets that are missing from resources,
+ * adding them to resources in the same shape as crawled ones. Fetched stylesheets are scanned too.
+ * pages maps each page URL to its HTML
+ * options.isSkipped(url) excludes URLs (e.g. blocked by the resource policy); options.onAsset is called per added asset
+ * and options.onFailed with { url, reason } per asset that couldn't be fetched
+ * Returns { referenced, fetched, failed, skipped }
+ */
+async function fetchMissingAssets(page, resources, pages, options = {}) {
+    const { maxAssets, timeout } = config.scraping.missingAssets;
+    const isSkipped = options.isSkipped || (() => false);
+    const onAsset = options.onAsset || (() => {});
+    const onFailed = options.onFailed || (() => {});
+
+    const known = new Set(resources.keys());
+    const queue = [];
+    const enqueue = (urls) => {
+        for (const url of urls) {
+            const parsedUrl = new URL(url);
+            // A site root is a page, not an asset (e.g. <link rel="preconnect" href="https://fonts.gstatic.com">)
+            if (known.has(url) || parsedUrl.pathname === '/' || isSkipped(parsedUrl)) continue;
+            known.add(url);
+            queue.push(url);
+        }
+    };
+
+    for (const [pageUrl, html] of pages.entries()) {
+        enqueue(collectResourceUrls('html', html, pageUrl));
+    }
+    for (const [url, resource] of resources.entries()) {
+        const kind = getFileKind(new URL(url).pathname, resource.type);
+        if (kind === 'html' || kind === 'css') {
+            enqueue(collectResourceUrls(kind, resource.buffer.toString('utf8'), url));
+        }
+    }
+
+    const stats = { referenced: queue.length, fetched: 0, failed: 0, skipped: 0 };
+    if (queue.length === 0) {
+        return stats;
+    }
+
+    console.log(`[Missing Assets] ${queue.length} referenced assets were never requested, fetching...`);
+    const fetcher = await openFetcher(page);
+
+    try {
+        for (let url = queue.shift(); url; url = queue.shift()) {
+            if (stats.fetched + stats.failed >= maxAssets) {
+                stats.skipped = queue.length + 1;
+                console.warn(`[Missing Assets] Reached the limit of ${maxAssets} assets, skipping ${stats.skipped}`);
+                break;
+            }
+
+            try {
+                const asset = await fetcher.load(url, timeout);
+                if (!asset) {
+                    stats.failed++;
+                    onFailed({ url, reason: 'No successful response' });
+                    continue;
+                }
+
+                const type = getResourceType(asset.contentType);
+                resources.set(url, { buffer: asset.buffer, type, url, mimeType: asset.contentType });
+                stats.fetched++;
+                onAsset({ url, type, mimeType: asset.contentType, bytes: asset.buffer.length });
+                console.log(`[Missing Assets] Fetched: ${url.substring(0, 80)}`);
+
+                // Stylesheets can reference more assets (fonts, images, @import)
+                if (type === 'stylesheet') {
+                    const before = queue.length;
+                    enqueue(collectResourceUrls('css', asset.buffer.toString('utf8'), url));
+                    stats.referenced += queue.length - before;
+                }
+            } catch (error) {
+                stats.failed++;
+                onFailed({ url, reason: error.message });
+                console.warn(`[Missing Assets] Could not fetch ${url.substring(0, 80)}: ${error.message}`);
+            }
+        }
+    } finally {
+        await fetcher.close();
+    }
+
+    console.log(`[Missing Assets] Fetched ${stats.fetched} of ${stats.referenced} missing assets (${stats.failed} failed, ${stats.skipped} skipped)`);
+    return stats;
+}
+
+module.exports = {
+    fetchMissingAssets
+};
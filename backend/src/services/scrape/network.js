@@ -0,0 +1,80 @@
+/**
+ * Browser Network Fetching
+ * Fetches URLs through a page's own network stack over CDP (cookies, cache and user agent
+ * of the browser session, no CORS checks), for files the page itself never requests
+ */
+
+// Bytes read per IO.read call when streaming a fetched resource
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Reject if a promise takes longer than ms
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fetch a URL with the browser's network stack
+ * Returns { buffer, contentType } or null if the response wasn't a success
+ */
+async function loadResource(client, frameId, url) {
+    const { resource } = await client.send('Network.loadNetworkResource', {
+        frameId,
+        url,
+        options: { disableCache: false, includeCredentials: true }
+    });
+
+    const isSuccess = resource.success && resource.httpStatusCode >= 200 && resource.httpStatusCode < 300;
+    if (!isSuccess || !resource.stream) {
+        if (resource.stream) {
+            await client.send('IO.close', { handle: resource.stream }).catch(() => {});
+        }
+        return null;
+    }
+
+    const chunks = [];
+    try {
+        for (;;) {
+            const chunk = await client.send('IO.read', { handle: resource.stream, size: READ_CHUNK_SIZE });
+            chunks.push(Buffer.from(chunk.data, chunk.base64Encoded ? 'base64' : 'utf8'));
+            if (chunk.eof) break;
+        }
+    } finally {
+        await client.send('IO.close', { handle: resource.stream }).catch(() => {});
+    }
+
+    const headers = resource.headers || {};
+    const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    return {
+        buffer: Buffer.concat(chunks),
+        contentType: contentTypeHeader ? headers[contentTypeHeader] : ''
+    };
+}
+
+/**
+ * Open a CDP session on page for fetching
+ * Returns { load(url, timeout), close() }; load resolves to { buffer, contentType } or null
+ */
+async function openFetcher(page) {
+    const client = await page.createCDPSession();
+    try {
+        const { frameTree } = await client.send('Page.getFrameTree');
+        const frameId = frameTree.frame.id;
+        return {
+            load: (url, timeout) => withTimeout(loadResource(client, frameId, url), timeout),
+            close: () => client.detach().catch(() => {})
+        };
+    } catch (error) {
+        await client.detach().catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = {
+    openFetcher
+};
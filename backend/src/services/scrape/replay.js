@@ -0,0 +1,233 @@
+/**
+ * API Replay
+ * Records XHR/fetch responses during scraping and generates a shim that
+ * answers the same requests in the archived site, so data-driven pages
+ * (e.g. Recharts dashboards) keep the data they had at capture time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+
+const SHIM_FILENAME = 'replay.js';
+
+// Content types stored as text; everything else is stored base64-encoded
+const TEXT_CONTENT_TYPES = /^(text\/|application\/(json|.*\+json|javascript|xml|.*\+xml|x-www-form-urlencoded|graphql))/i;
+
+/**
+ * Small string hash used to tell apart requests to the same URL with different bodies
+ * (e.g. GraphQL or Supabase RPC POSTs). Also runs in the browser as part of the shim.
+ */
+function hashBody(text) {
+    var hash = 5381;
+    for (var i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Check whether a captured response came from an API call
+ */
+function isApiResponse(resourceType) {
+    return resourceType === 'xhr' || resourceType === 'fetch';
+}
+
+/**
+ * Build a fixture from a captured Puppeteer response and its body
+ * First-party requests are stored without a host so they match wherever the archive is served
+ */
+function createFixture(response, buffer, isFirstPartyHost) {
+    const request = response.request();
+    const parsedUrl = new URL(response.url());
+    const contentType = response.headers()['content-type'] || 'application/octet-stream';
+    const isText = TEXT_CONTENT_TYPES.test(contentType);
+    const postData = request.postData();
+
+    return {
+        method: request.method().toUpperCase(),
+        host: isFirstPartyHost(parsedUrl.hostname) ? '' : parsedUrl.host,
+        path: parsedUrl.pathname,
+        search: parsedUrl.search,
+        bodyHash: postData ? hashBody(postData) : null,
+        status: response.status(),
+        contentType: contentType,
+        encoding: isText ? 'text' : 'base64',
+        body: isText ? buffer.toString('utf8') : buffer.toString('base64')
+    };
+}
+
+/**
+ * Browser-side replay shim (serialized into the archive, never called in Node)
+ * Patches fetch and XMLHttpRequest to answer captured requests from fixtures
+ */
+function replayShim(data, hashBody) {
+    var exact = {};
+    var withoutBody = {};
+    var pathOnly = {};
+
+    data.fixtures.forEach(function (fixture) {
+        var base = fixture.method + ' ' + fixture.host + fixture.path;
+        var withQuery = base + fixture.search;
+        var full = withQuery + (fixture.bodyHash ? ' #' + fixture.bodyHash : '');
+        if (!exact[full]) exact[full] = fixture;
+        if (!withoutBody[withQuery]) withoutBody[withQuery] = fixture;
+        if (!pathOnly[base]) pathOnly[base] = fixture;
+    });
+
+    function findFixture(method, rawUrl, body) {
+        var url;
+        try {
+            url = new URL(rawUrl, location.href);
+        } catch (e) {
+            return null;
+        }
+
+        var host = url.host;
+        var pathname = url.pathname;
+        if (url.origin === location.origin) {
+            host = '';
+            // Rewritten external URLs: /_external/{host}/{path}
+            if (pathname.indexOf(data.externalPrefix) === 0) {
+                var rest = pathname.slice(data.externalPrefix.length);
+                var slash = rest.indexOf('/');
+                host = slash === -1 ? rest : rest.slice(0, slash);
+                pathname = slash === -1 ? '/' : rest.slice(slash);
+            }
+        } else if (data.firstPartyHosts.indexOf(url.host) !== -1) {
+            host = '';
+        }
+
+        var base = String(method || 'GET').toUpperCase() + ' ' + host + pathname;
+        var withQuery = base + url.search;
+        var bodyKey = typeof body === 'string' && body ? ' #' + hashBody(body) : '';
+        return exact[withQuery + bodyKey] || withoutBody[withQuery] || pathOnly[base] || null;
+    }
+
+    function fixtureBody(fixture) {
+        if (fixture.encoding === 'text') return fixture.body;
+        var binary = atob(fixture.body);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // fetch()
+    var originalFetch = window.fetch;
+    if (originalFetch) {
+        window.fetch = function (input, init) {
+            var isRequest = typeof Request !== 'undefined' && input instanceof Request;
+            var method = (init && init.method) || (isRequest ? input.method : 'GET');
+            var rawUrl = isRequest ? input.url : String(input);
+            var fixture = findFixture(method, rawUrl, init && init.body);
+            if (!fixture) return originalFetch.apply(this, arguments);
+
+            return Promise.resolve(new Response(fixtureBody(fixture), {
+                status: fixture.status,
+                headers: { 'Content-Type': fixture.contentType }
+            }));
+        };
+    }
+
+    // XMLHttpRequest
+    var xhrProto = window.XMLHttpRequest && window.XMLHttpRequest.prototype;
+    if (xhrProto) {
+        var originalOpen = xhrProto.open;
+        var originalSend = xhrProto.send;
+
+        xhrProto.open = function (method, rawUrl) {
+            this.__foreverRequest = { method: method, url: rawUrl };
+            return originalOpen.apply(this, arguments);
+        };
+
+        xhrProto.send = function (body) {
+            var request = this.__foreverRequest;
+            var fixture = request && findFixture(request.method, request.url, body);
+            if (!fixture) return originalSend.apply(this, arguments);
+
+            var xhr = this;
+            var text = fixture.encoding === 'text' ? fixture.body : '';
+            var response;
+            if (xhr.responseType === 'json') {
+                try { response = JSON.parse(text); } catch (e) { response = null; }
+            } else if (xhr.responseType === 'arraybuffer') {
+                var bytes = fixtureBody(fixture);
+                response = typeof bytes === 'string' ? new TextEncoder().encode(bytes).buffer : bytes.buffer;
+            } else if (xhr.responseType === 'blob') {
+                response = new Blob([fixtureBody(fixture)], { type: fixture.contentType });
+            } else {
+                response = text;
+            }
+
+            var define = function (name, value) {
+                Object.defineProperty(xhr, name, { configurable: true, get: function () { return value; } });
+            };
+            define('readyState', 4);
+            define('status', fixture.status);
+            define('statusText', 'OK');
+            define('responseURL', new URL(request.url, location.href).href);
+            define('responseText', text);
+            define('response', response);
+            xhr.getResponseHeader = function (name) {
+                return String(name).toLowerCase() === 'content-type' ? fixture.contentType : null;
+            };
+            xhr.getAllResponseHeaders = function () {
+                return 'content-type: ' + fixture.contentType + '\r\n';
+            };
+
+            setTimeout(function () {
+                // dispatchEvent also runs the onreadystatechange/onload/onloadend handlers
+                ['readystatechange', 'load', 'loadend'].forEach(function (type) {
+                    xhr.dispatchEvent(new Event(type));
+                });
+            }, 0);
+        };
+    }
+}
+
+/**
+ * Write the replay shim with all captured fixtures into the archive
+ * Returns the shim's absolute URL path, or null when there is nothing to replay
+ */
+function writeReplayShim(fixtures, firstPartyHosts, downloadDir) {
+    if (fixtures.length === 0) {
+        return null;
+    }
+
+    const data = {
+        fixtures: fixtures,
+        firstPartyHosts: Array.from(firstPartyHosts),
+        externalPrefix: '/_external/'
+    };
+
+    const source = `/* Forever Loved API replay shim - answers captured API calls from fixtures */\n` +
+        `(function () {\n` +
+        `var hashBody = ${hashBody.toString()};\n` +
+        `(${replayShim.toString()})(${JSON.stringify(data)}, hashBody);\n` +
+        `})();\n`;
+
+    const shimDir = path.join(downloadDir, config.archive.reservedDir);
+    fs.mkdirSync(shimDir, { recursive: true });
+    fs.writeFileSync(path.join(shimDir, SHIM_FILENAME), source, 'utf8');
+
+    console.log(`[Replay] Wrote replay shim with ${fixtures.length} API fixtures`);
+    return `/${config.archive.reservedDir}/${SHIM_FILENAME}`;
+}
+
+/**
+ * Insert the replay shim as the first script in the page so it runs before the app
+ */
+function injectReplayShim(html, shimPath) {
+    const tag = `<script src="${shimPath}"></script>`;
+    if (/<head[^>]*>/i.test(html)) {
+        return html.replace(/<head[^>]*>/i, (match) => `${match}${tag}`);
+    }
+    return tag + html;
+}
+
+module.exports = {
+    isApiResponse,
+    createFixture,
+    writeReplayShim,
+    injectReplayShim
+};
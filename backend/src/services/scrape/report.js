@@ -0,0 +1,110 @@
+/**
+ * Completeness Report
+ * Everything the scraper couldn't capture - failed routes, resources that failed and why,
+ * non-2xx responses and blocked hosts - next to what it did capture, written inside each archive
+ * as /_forever/report.json so holes in an archive are visible instead of only logged
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+
+const REPORT_FILENAME = 'report.json';
+
+/**
+ * Create a report for one scrape of urlToArchive; the scraper calls the record* functions as
+ * it goes and write() at the end, once every file of the archive is saved
+ * - recordResponse(url, status, type): every response, non-2xx ones are listed once per URL and status
+ * - recordCaptured(url, { type, mimeType, bytes }) / recordFailed(url, { type, stage, reason })
+ * - recordBlocked(url): a response the resource policy kept out of the archive
+ * - recordRouteFailed(route, stage, reason): failures the crawl graph doesn't know about
+ */
+function createScrapeReport(urlToArchive) {
+    const captured = new Map(); // URL -> { url, type, mimeType, bytes }
+    const failed = new Map(); // URL -> { url, type, stage, reason }, the last failure per URL
+    const responses = new Map(); // "status URL" -> { url, status, type }, once however often it was requested
+    const blockedHosts = new Map(); // hostname -> blocked responses
+    const routeFailures = [];
+
+    const recordResponse = (url, status, type) => {
+        if (status < 200 || status >= 300) {
+            responses.set(`${status} ${url}`, { url, status, type });
+        }
+    };
+
+    const recordCaptured = (url, { type, mimeType, bytes }) => {
+        captured.set(url, { url, type, mimeType: mimeType || null, bytes });
+    };
+
+    const recordFailed = (url, { type = null, stage, reason }) => {
+        failed.set(url, { url, type, stage, reason });
+    };
+
+    const recordBlocked = (url) => {
+        const host = new URL(url).hostname;
+        blockedHosts.set(host, (blockedHosts.get(host) || 0) + 1);
+    };
+
+    const recordRouteFailed = (route, stage, reason) => {
+        routeFailures.push({ route, stage, reason });
+    };
+
+    /**
+     * Write report.json into downloadDir's reserved folder
+     * crawl is the crawl graph (see crawl.js); savedUrls are the resources written to the archive
+     * Returns { path, summary } with the archive path of the report
+     */
+    const write = (downloadDir, crawl, savedUrls) => {
+        const saved = new Set(savedUrls);
+        const nodes = crawl.nodes || [];
+        const visited = nodes.filter(node => node.status === 'visited').map(node => node.route);
+        const failedRoutes = [
+            ...nodes.filter(node => node.status === 'failed').map(node => ({ route: node.route, stage: 'crawl', reason: node.reason })),
+            ...routeFailures
+        ];
+        const skipped = nodes.filter(node => node.status === 'skipped').map(node => ({ route: node.route, reason: node.reason || null }));
+
+        // A resource that failed once but was captured later (another route, device profile or
+        // the missing-assets pass) isn't a hole; one captured but not saved is
+        const capturedResources = Array.from(captured.values()).filter(resource => saved.has(resource.url));
+        const failedResources = Array.from(failed.values()).filter(resource => !saved.has(resource.url));
+
+        const summary = {
+            complete: failedRoutes.length === 0 && failedResources.length === 0,
+            routes: { visited: visited.length, failed: failedRoutes.length, skipped: skipped.length },
+            resources: {
+                captured: capturedResources.length,
+                failed: failedResources.length,
+                bytes: capturedResources.reduce((sum, resource) => sum + resource.bytes, 0)
+            },
+            nonSuccessResponses: responses.size,
+            blockedHosts: blockedHosts.size
+        };
+
+        const report = {
+            url: urlToArchive,
+            generatedAt: new Date().toISOString(),
+            summary,
+            routes: { visited, failed: failedRoutes, skipped },
+            resources: { captured: capturedResources, failed: failedResources },
+            responses: Array.from(responses.values()),
+            blockedHosts: Array.from(blockedHosts.entries())
+                .map(([host, requests]) => ({ host, requests }))
+                .sort((a, b) => b.requests - a.requests)
+        };
+
+        const folder = path.join(downloadDir, config.archive.reservedDir);
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, REPORT_FILENAME), JSON.stringify(report, null, 2));
+
+        const archivePath = `/${config.archive.reservedDir}/${REPORT_FILENAME}`;
+        console.log(`[Report] ${summary.routes.visited} routes (${summary.routes.failed} failed), ${summary.resources.captured} resources (${summary.resources.failed} failed), ${summary.nonSuccessResponses} non-2xx responses, ${summary.blockedHosts} blocked hosts in ${archivePath}`);
+        return { path: archivePath, summary };
+    };
+
+    return { recordResponse, recordCaptured, recordFailed, recordBlocked, recordRouteFailed, write };
+}
+
+module.exports = {
+    createScrapeReport
+};
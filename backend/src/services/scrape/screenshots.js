@@ -0,0 +1,68 @@
+/**
+ * Route Screenshots
+ * A full-page screenshot and a small thumbnail of every captured route, taken when its HTML
+ * is saved and stored inside the archive under /_forever/screenshots/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+
+const SCREENSHOTS_DIR = 'screenshots';
+
+/**
+ * File name for a route's screenshots: "/" is "index", "/blog/post" is "blog_post"
+ */
+function getScreenshotName(route) {
+    return route.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9_-]+/g, '_') || 'index';
+}
+
+/**
+ * Create a screenshotter writing into downloadDir's reserved folder
+ * capture(page, route) saves the page as it is now; getScreenshots() lists
+ * { route, image, thumbnail } with archive paths, in capture order
+ */
+function createScreenshotter(downloadDir) {
+    const { thumbnailWidth, quality } = config.scraping.screenshots;
+    const folder = path.join(downloadDir, config.archive.reservedDir, SCREENSHOTS_DIR);
+    const archiveFolder = `/${config.archive.reservedDir}/${SCREENSHOTS_DIR}`;
+    const screenshots = [];
+    const usedNames = new Set();
+
+    const capture = async (page, route) => {
+        // Routes that differ only in punctuation get a numbered name
+        const baseName = getScreenshotName(route);
+        let name = baseName;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${baseName}-${n}`;
+        }
+
+        try {
+            fs.mkdirSync(folder, { recursive: true });
+            await page.screenshot({ path: path.join(folder, `${name}.jpg`), type: 'jpeg', quality, fullPage: true });
+
+            // The thumbnail is the first screen, scaled down to thumbnailWidth
+            const viewport = page.viewport();
+            await page.screenshot({
+                path: path.join(folder, `${name}.thumb.jpg`),
+                type: 'jpeg',
+                quality,
+                clip: { x: 0, y: 0, width: viewport.width, height: viewport.height, scale: thumbnailWidth / viewport.width }
+            });
+        } catch (error) {
+            console.warn(`[Screenshots] Could not capture ${route}: ${error.message}`);
+            return null;
+        }
+
+        usedNames.add(name);
+        const screenshot = { route, image: `${archiveFolder}/${name}.jpg`, thumbnail: `${archiveFolder}/${name}.thumb.jpg` };
+        screenshots.push(screenshot);
+        return screenshot;
+    };
+
+    return { capture, getScreenshots: () => screenshots.slice() };
+}
+
+module.exports = {
+    createScreenshotter
+};
@@ -0,0 +1,137 @@
+/**
+ * Sitemap Discovery
+ * Finds routes listed in the site's sitemaps: the sitemaps robots.txt points at, or
+ * /sitemap.xml by default. Sitemap indexes are followed and gzipped sitemaps unpacked.
+ * Only sitemaps and pages on the site's own origin are used.
+ */
+
+const zlib = require('zlib');
+const { config } = require('../../config/config');
+const { openFetcher } = require('./network');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * The sitemap URLs listed in a robots.txt ("Sitemap: https://...")
+ */
+function parseRobotsSitemaps(robotsTxt, baseUrl) {
+    const sitemaps = [];
+    for (const line of robotsTxt.split(/\r?\n/)) {
+        const match = /^\s*sitemap\s*:\s*(\S+)/i.exec(line);
+        if (!match) continue;
+        try {
+            sitemaps.push(new URL(match[1], baseUrl).href);
+        } catch (error) {
+            // Invalid URL, skip
+        }
+    }
+    return sitemaps;
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * Returns { type: 'index' | 'urlset', locs } or null if the document isn't a sitemap
+ * (single-page apps answer every path with their index.html)
+ */
+function parseSitemap(xml) {
+    const root = /<(?:[\w-]+:)?(sitemapindex|urlset)[\s>]/i.exec(xml);
+    if (!root) {
+        return null;
+    }
+
+    const locs = [];
+    const locRegex = /<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi;
+    let match;
+    while ((match = locRegex.exec(xml)) !== null) {
+        locs.push(match[1].trim().replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]));
+    }
+    return { type: root[1].toLowerCase() === 'sitemapindex' ? 'index' : 'urlset', locs };
+}
+
+/**
+ * Sitemap contents as text, unpacking gzip (sitemap.xml.gz served without Content-Encoding)
+ */
+function decodeSitemap(buffer) {
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+/**
+ * Collect the same-origin routes listed in siteUrl's sitemaps, fetched through page's browser session
+ * Returns { routes, sitemaps } where sitemaps lists the sitemap URLs that were read
+ */
+async function discoverSitemapRoutes(page, siteUrl) {
+    const { maxSitemaps, timeout } = config.scraping.sitemap;
+    const origin = new URL(siteUrl).origin;
+    const routes = new Set();
+    const sitemaps = [];
+
+    const fetcher = await openFetcher(page);
+    try {
+        let candidates = [];
+        try {
+            const robots = await fetcher.load(`${origin}/robots.txt`, timeout);
+            if (robots) {
+                candidates = parseRobotsSitemaps(robots.buffer.toString('utf8'), origin);
+            }
+        } catch (error) {
+            console.warn(`[Sitemap] Could not read robots.txt: ${error.message}`);
+        }
+        if (candidates.length === 0) {
+            candidates = [`${origin}/sitemap.xml`];
+        }
+
+        const queue = [];
+        const seen = new Set();
+        const enqueue = (url) => {
+            if (seen.has(url) || new URL(url).origin !== origin) return;
+            seen.add(url);
+            queue.push(url);
+        };
+        candidates.forEach(enqueue);
+
+        for (let url = queue.shift(); url; url = queue.shift()) {
+            if (sitemaps.length >= maxSitemaps) {
+                console.warn(`[Sitemap] Reached the limit of ${maxSitemaps} sitemaps, skipping ${queue.length + 1}`);
+                break;
+            }
+
+            try {
+                const response = await fetcher.load(url, timeout);
+                const sitemap = response ? parseSitemap(decodeSitemap(response.buffer)) : null;
+                if (!sitemap) continue;
+
+                sitemaps.push(url);
+                for (const loc of sitemap.locs) {
+                    let locUrl;
+                    try {
+                        locUrl = new URL(loc, url);
+                    } catch (error) {
+                        continue;
+                    }
+                    if (sitemap.type === 'index') {
+                        enqueue(locUrl.href);
+                    } else if (locUrl.origin === origin) {
+                        routes.add(locUrl.pathname);
+                    }
+                }
+            } catch (error) {
+                console.warn(`[Sitemap] Could not read ${url}: ${error.message}`);
+            }
+        }
+    } finally {
+        await fetcher.close();
+    }
+
+    if (sitemaps.length > 0) {
+        console.log(`[Sitemap] Found ${routes.size} routes in ${sitemaps.length} sitemaps`);
+    }
+    return { routes: Array.from(routes), sitemaps };
+}
+
+module.exports = {
+    parseRobotsSitemaps,
+    parseSitemap,
+    decodeSitemap,
+    discoverSitemapRoutes
+};
@@ -0,0 +1,53 @@
+/**
+ * Device Profiles
+ * Viewports, pixel densities and user agents the scraper captures routes under. Images and
+ * chunks that only load at mobile breakpoints or on high-DPR screens are requested by
+ * re-visiting the crawled routes under each extra profile.
+ */
+
+const IPHONE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+// Profiles without a userAgent keep the browser's own
+const DEVICE_PROFILES = {
+    desktop: {
+        viewport: { width: 1366, height: 768, deviceScaleFactor: 1 }
+    },
+    'desktop-2x': {
+        viewport: { width: 1366, height: 768, deviceScaleFactor: 2 }
+    },
+    tablet: {
+        viewport: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+        userAgent: IPAD_USER_AGENT
+    },
+    mobile: {
+        viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+        userAgent: IPHONE_USER_AGENT
+    }
+};
+
+/**
+ * Whether a profile name is known
+ */
+function isDeviceProfile(name) {
+    return Object.prototype.hasOwnProperty.call(DEVICE_PROFILES, name);
+}
+
+/**
+ * Switch page to a device profile; defaultUserAgent is restored for profiles without their own
+ */
+async function applyDeviceProfile(page, name, defaultUserAgent) {
+    const profile = DEVICE_PROFILES[name];
+    if (!profile) {
+        throw new Error(`Unknown device profile: ${name}`);
+    }
+
+    await page.setViewport(profile.viewport);
+    await page.setUserAgent(profile.userAgent || defaultUserAgent);
+}
+
+module.exports = {
+    DEVICE_PROFILES,
+    isDeviceProfile,
+    applyDeviceProfile
+};
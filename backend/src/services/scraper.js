@@ -3,10 +3,25 @@
  * Handles direct scraping of Lovable projects using Puppeteer
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 const { config } = require('../config/config');
+const { isApiResponse, createFixture, writeReplayShim, injectReplayShim } = require('./scrape/replay');
+const { fetchMissingAssets } = require('./scrape/missing-assets');
+const { createCrawler, extractPageRoutes, normalizeRoute } = require('./scrape/crawl');
+const { discoverSitemapRoutes } = require('./scrape/sitemap');
+const { runInteractionPass } = require('./scrape/interactions');
+const { isDeviceProfile, applyDeviceProfile } = require('./scrape/viewports');
+const { createScreenshotter } = require('./scrape/screenshots');
+const { createScrapeReport } = require('./scrape/report');
+const { createWarcRecorder } = require('./warc');
+const { acquireBrowserContext } = require('./browser-pool');
+const { createRewriter, getArchivePath, getFileKind } = require('./rewrite');
+const { createResourcePolicy } = require('./policy');
+const { getOversizeReason, createCaptureBudget } = require('./quotas');
+
+// Minimum time between resource-count progress updates
+const PROGRESS_THROTTLE_MS = 500;
 
 /**
  * Helper function to wait for a specified time
@@ -16,10 +31,71 @@ function promiseToWait(ms) {
 }
 
 /**
- * Directly scrapes a Lovable project using Puppeteer
- * Works from residential IPs that aren't blocked by Lovable
+ * Scroll to the bottom of the page to trigger lazy-loaded content
  */
-async function directScrape(urlToArchive, projectID) {
+async function scrollToBottom(page) {
+    await page.evaluate(() => {
+        return new Promise((resolve) => {
+            let totalHeight = 0;
+            const distance = 100;
+            const timer = setInterval(() => {
+                const scrollHeight = document.body.scrollHeight;
+                window.scrollBy(0, distance);
+                totalHeight += distance;
+
+                if (totalHeight >= scrollHeight) {
+                    clearInterval(timer);
+                    resolve();
+                }
+            }, 100);
+        });
+    });
+}
+
+/**
+ * Create a progress tracker that reports snapshots to onProgress
+ * Resource updates are throttled since responses arrive in bursts
+ */
+function createProgressTracker(onProgress) {
+    const state = {
+        phase: 'loading_homepage',
+        currentRoute: null,
+        routes: { discovered: 0, toVisit: 0, visited: 0, failed: 0, max: config.scraping.maxRoutes },
+        resources: { count: 0, bytes: 0 }
+    };
+    let lastReport = 0;
+
+    const report = (throttle = false) => {
+        const now = Date.now();
+        if (throttle && now - lastReport < PROGRESS_THROTTLE_MS) return;
+        lastReport = now;
+        try {
+            onProgress({
+                ...state,
+                routes: { ...state.routes },
+                resources: { ...state.resources }
+            });
+        } catch (e) {
+            // Progress listeners must never break the scrape
+        }
+    };
+
+    return { state, report };
+}
+
+/**
+ * Directly scrapes a project using Puppeteer
+ * Works from residential IPs that aren't blocked by the host
+ * options.isFirstPartyHost comes from the source adapter and decides what counts as external
+ * options.policy lists the request's resource policy rules (see services/policy.js)
+ * options.onProgress receives snapshots of the current phase, route and resource counts
+ * Resources over the file size limit are skipped; an archive over the size or file-count limit
+ * stops the scrape with 'archivetoolarge' or 'toomanyfiles' (see services/quotas.js)
+ * Returns { downloadFolder, crawl } where crawl is the crawl graph (see scrape/crawl.js) plus the sitemaps read
+ * the route screenshots, the web archive ({ format, path, records }) and the completeness report
+ * ({ path, summary }, see scrape/report.js) saved in the archive
+ */
+async function directScrape(urlToArchive, projectID, options = {}) {
     // Security: Validate projectID to prevent path traversal attacks
     if (!projectID || projectID.includes('..') || projectID.includes('/') || projectID.includes('\\')) {
         throw new Error('Invalid projectID: potential path traversal attempt detected');
@@ -31,23 +107,49 @@ async function directScrape(urlToArchive, projectID) {
         throw new Error('Invalid projectID: path traversal attempt detected');
     }
 
-    if (!fs.existsSync(downloadDir)) {
-        fs.mkdirSync(downloadDir, { recursive: true });
+    // Start from an empty folder - an interrupted run may have left files behind
+    if (fs.existsSync(downloadDir)) {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
     }
+    fs.mkdirSync(downloadDir, { recursive: true });
 
-    console.log(`[Direct Scrape] Launching browser for ${urlToArchive}`);
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const { profiles, htmlProfile } = config.scraping.viewports;
+    const unknownProfile = [htmlProfile, ...profiles].find(name => !isDeviceProfile(name));
+    if (unknownProfile) {
+        throw new Error(`Unknown device profile: ${unknownProfile}`);
+    }
+
+    const policy = createResourcePolicy(options.policy || []);
+    const progress = createProgressTracker(options.onProgress || (() => {}));
+    const isFirstPartyHost = options.isFirstPartyHost || ((hostname) => hostname === new URL(urlToArchive).hostname);
+    progress.report();
+
+    console.log(`[Direct Scrape] Opening browser context for ${urlToArchive}`);
+    const { browser, context, release } = await acquireBrowserContext();
 
     try {
-        const page = await browser.newPage();
+        const page = await context.newPage();
+
+        // Crawl under the profile whose HTML is archived; the others only add resources
+        const defaultUserAgent = await browser.userAgent();
+        await applyDeviceProfile(page, htmlProfile, defaultUserAgent);
 
         // Track all resources globally across all route visits
         const resources = new Map();
         const routeHtmls = new Map(); // Store HTML for each route
         const discoveredRoutes = new Set(['/']); // Track all routes we discover
+        const apiFixtures = []; // XHR/fetch responses to replay in the archived site
+        const screenshotter = createScreenshotter(downloadDir);
+        const warcRecorder = config.scraping.webArchive.format !== 'none' ? createWarcRecorder(downloadDir) : null;
+        const mimeTypes = new Map(); // URL -> Content-Type of every response, for the policy's MIME rules
+        const policyStats = { blocked: 0, stripped: 0 };
+        const report = createScrapeReport(urlToArchive);
+        const budget = createCaptureBudget();
+        const checkBudget = () => {
+            if (budget.exceeded) {
+                throw new Error(budget.exceeded);
+            }
+        };
 
         page.on('response', async (response) => {
             const url = response.url();
@@ -55,39 +157,33 @@ async function directScrape(urlToArchive, projectID) {
 
             // Skip data URLs and other protocols
             if (!url.startsWith('http')) return;
-
-            // Skip analytics and tracking URLs - they won't work on archived sites anyway
-            const analyticsHosts = [
-                'google-analytics.com',
-                'googletagmanager.com',
-                'doubleclick.net',
-                'googleadservices.com',
-                'hotjar.io',
-                'hotjar.com',
-                'ahrefs.com',
-                'www.google.com'
-            ];
-            try {
-                const parsedUrl = new URL(url);
-                const hostname = parsedUrl.hostname.toLowerCase();
-                const shouldSkip = analyticsHosts.some(ah => hostname.includes(ah));
-                if (shouldSkip) {
-                    console.log(`[Direct Scrape] Skipping analytics: ${hostname}`);
-                    return;
-                }
-            } catch (e) {
-                // Invalid URL, continue
-                console.warn(`[Direct Scrape] Failed to parse URL for analytics check: ${url}`);
+            report.recordResponse(url, response.status(), type);
+
+            // Resources the policy blocks are never captured; stripped ones are, and only leave the pages
+            const mimeType = response.headers()['content-type'] || '';
+            mimeTypes.set(url, mimeType);
+            const action = policy.getAction(url, mimeType);
+            if (action === 'block') {
+                policyStats.blocked++;
+                report.recordBlocked(url);
+                console.log(`[Direct Scrape] Blocked by resource policy: ${url.substring(0, 80)}`);
+                return;
+            }
+            if (action === 'strip') {
+                policyStats.stripped++;
             }
 
             // Skip HTML documents for routes - these will be saved separately from routeHtmls
             if (type === 'document') {
                 try {
                     const parsedUrl = new URL(url);
-                    const pathname = parsedUrl.pathname;
+                    const pathname = normalizeRoute(parsedUrl.pathname);
                     // Check if this is a route we're visiting
                     if (discoveredRoutes.has(pathname)) {
                         console.log(`[Direct Scrape] Skipping route document: ${pathname}`);
+                        if (warcRecorder) {
+                            warcRecorder.record(response, await response.buffer().catch(() => null));
+                        }
                         return; // Don't save route HTML documents in resources
                     }
                 } catch (e) {
@@ -95,14 +191,47 @@ async function directScrape(urlToArchive, projectID) {
                 }
             }
 
+            // Resources over the file size limit are never captured, by their declared size when there is one
+            const oversizeReason = getOversizeReason(parseInt(response.headers()['content-length'] || '0', 10));
+            if (oversizeReason) {
+                console.warn(`[Direct Scrape] Skipping ${url.substring(0, 80)}: ${oversizeReason}`);
+                report.recordFailed(url, { type, stage: 'quota', reason: oversizeReason });
+                return;
+            }
+
             // Capture all resources, including from external domains
             try {
                 const buffer = await response.buffer();
+                const bufferOversizeReason = getOversizeReason(buffer.length);
+                if (bufferOversizeReason) {
+                    console.warn(`[Direct Scrape] Skipping ${url.substring(0, 80)}: ${bufferOversizeReason}`);
+                    report.recordFailed(url, { type, stage: 'quota', reason: bufferOversizeReason });
+                    return;
+                }
+                // Over budget: nothing more is kept and the scrape stops before the next route
+                if (budget.add(url, buffer.length)) {
+                    return;
+                }
+                if (warcRecorder) {
+                    warcRecorder.record(response, buffer);
+                }
                 resources.set(url, {
                     buffer: buffer,
                     type: type,
-                    url: url
+                    url: url,
+                    mimeType: mimeType
                 });
+                report.recordCaptured(url, { type, mimeType, bytes: buffer.length });
+
+                // Keep API responses as fixtures so the archived site can replay them
+                const status = response.status();
+                if (config.scraping.replayApiResponses && isApiResponse(type) && status >= 200 && status < 300) {
+                    apiFixtures.push(createFixture(response, buffer, isFirstPartyHost));
+                }
+
+                progress.state.resources.count = resources.size;
+                progress.state.resources.bytes += buffer.length;
+                progress.report(true);
                 console.log(`[Direct Scrape] Captured: ${url.substring(0, 80)}...`);
             } catch (err) {
                 // Some resources might fail to load, that's okay
@@ -118,14 +247,54 @@ async function directScrape(urlToArchive, projectID) {
                 ];
                 const isBenign = benignErrors.some(msg => err.message.includes(msg));
 
+                // Redirects and bodiless responses still belong in the web archive
+                if (warcRecorder) {
+                    warcRecorder.record(response, null);
+                }
+
                 if (!isBenign) {
                     console.warn(`[Direct Scrape] Failed to capture ${url}:`, err.message);
+                    report.recordFailed(url, { type, stage: 'capture', reason: err.message });
                 }
                 // Skip this resource and continue
             }
         });
 
-        // STEP 1: Navigate to homepage and discover all routes
+        // Requests that never got a response (DNS errors, refused connections, aborted loads)
+        page.on('requestfailed', (request) => {
+            const url = request.url();
+            if (url.startsWith('http') && policy.getAction(url) !== 'block') {
+                report.recordFailed(url, { type: request.resourceType(), stage: 'request', reason: request.failure()?.errorText || 'Request failed' });
+            }
+        });
+
+        // Click through a route's tabs, menus and dialogs once its HTML is saved; the response
+        // handler above captures whatever the clicks load
+        const interactionTotals = { routes: 0, clicked: 0, newResources: 0 };
+        const interact = async (route) => {
+            const resourcesBefore = resources.size;
+            try {
+                const stats = await runInteractionPass(page, new URL(route, urlToArchive).href);
+                const newResources = resources.size - resourcesBefore;
+                interactionTotals.routes++;
+                interactionTotals.clicked += stats.clicked;
+                interactionTotals.newResources += newResources;
+                console.log(`[Direct Scrape] Clicked ${stats.clicked} of ${stats.candidates} elements on ${route} (${newResources} new resources)`);
+            } catch (err) {
+                console.warn(`[Direct Scrape] Interaction pass failed on ${route}:`, err.message);
+            }
+        };
+
+        const crawler = createCrawler({
+            maxDepth: config.scraping.crawl.maxDepth,
+            maxRoutes: config.scraping.maxRoutes,
+            include: config.scraping.crawl.include,
+            exclude: config.scraping.crawl.exclude,
+            samplesPerPattern: config.scraping.crawl.samplesPerPattern
+        });
+
+        // STEP 1: Navigate to homepage, the crawl's first route, and discover all routes
+        const home = crawler.next();
         console.log(`[Direct Scrape] Navigating to homepage ${urlToArchive}`);
         await page.goto(urlToArchive, {
             waitUntil: 'networkidle2',
@@ -133,22 +302,7 @@ async function directScrape(urlToArchive, projectID) {
         });
 
         // Scroll to trigger lazy-loaded content on homepage
-        await page.evaluate(() => {
-            return new Promise((resolve) => {
-                let totalHeight = 0;
-                const distance = 100;
-                const timer = setInterval(() => {
-                    const scrollHeight = document.body.scrollHeight;
-                    window.scrollBy(0, distance);
-                    totalHeight += distance;
-
-                    if (totalHeight >= scrollHeight) {
-                        clearInterval(timer);
-                        resolve();
-                    }
-                }, 100);
-            });
-        });
+        await scrollToBottom(page);
 
         // Wait for charts to render (canvas or SVG elements)
         let hasChartsOnHomepage = false;
@@ -182,82 +336,34 @@ async function directScrape(urlToArchive, projectID) {
         if (hasChartsOnHomepage) {
             console.log(`[Direct Scrape] Saving HTML immediately after chart detection on homepage`);
             const homepageHtml = await page.content();
-            routeHtmls.set('/', homepageHtml);
+            routeHtmls.set(home.route, homepageHtml);
         } else {
             // For pages without charts, wait normal time before saving
             await promiseToWait(config.scraping.timeouts.homepage);
             const homepageHtml = await page.content();
-            routeHtmls.set('/', homepageHtml);
+            routeHtmls.set(home.route, homepageHtml);
         }
 
-        // Discover all internal routes from the homepage
-        console.log(`[Direct Scrape] Discovering routes...`);
-        const routes = await page.evaluate((baseUrl) => {
-            const discoveredRoutes = new Set();
-
-            // 1. Find routes from <a> tags
-            const links = document.querySelectorAll('a[href]');
-            links.forEach(link => {
-                try {
-                    const href = link.getAttribute('href');
-                    if (!href) return;
-
-                    // Handle relative paths
-                    if (href.startsWith('/') && !href.startsWith('//')) {
-                        // Clean route: remove query params and hash
-                        const cleanRoute = href.split('?')[0].split('#')[0];
-                        if (cleanRoute && cleanRoute !== '/') {
-                            discoveredRoutes.add(cleanRoute);
-                        }
-                    }
-                    // Handle same-domain absolute URLs
-                    else if (href.startsWith(baseUrl)) {
-                        const url = new URL(href);
-                        const cleanRoute = url.pathname.split('?')[0].split('#')[0];
-                        if (cleanRoute && cleanRoute !== '/') {
-                            discoveredRoutes.add(cleanRoute);
-                        }
-                    }
-                } catch (e) {
-                    // Invalid URL, skip
-                }
-            });
-
-            // 2. Find routes from React Router in JavaScript code
-            // Look for patterns like: path: "/calendar", "/calendar", {path:"/calendar"}
-            const scripts = Array.from(document.querySelectorAll('script[src]'));
-            const scriptContents = Array.from(document.querySelectorAll('script:not([src])')).map(s => s.textContent);
-
-            // Combine inline script content
-            const allScriptText = scriptContents.join('\n');
-
-            // Regex patterns to find routes in JS code
-            const routePatterns = [
-                /path:\s*["'](\/[a-zA-Z0-9_/-]+)["']/g,           // path: "/route"
-                /to=["'](\/[a-zA-Z0-9_/-]+)["']/g,                // to="/route" (Link components)
-                /navigate\(["'](\/[a-zA-Z0-9_/-]+)["']/g,         // navigate("/route")
-                /\{\s*path:\s*["'](\/[a-zA-Z0-9_/-]+)["']/g,      // { path: "/route" }
-                /<Route[^>]+path=["'](\/[a-zA-Z0-9_/-]+)["']/g    // <Route path="/route"
-            ];
-
-            routePatterns.forEach(pattern => {
-                let match;
-                while ((match = pattern.exec(allScriptText)) !== null) {
-                    const route = match[1].split('?')[0].split('#')[0];
-                    if (route && route !== '/' && !route.includes(':') && !route.includes('*')) {
-                        discoveredRoutes.add(route);
-                    }
-                }
-            });
+        if (config.scraping.screenshots.enabled) {
+            await screenshotter.capture(page, home.route);
+        }
+        crawler.markVisited(home.route);
+        if (config.scraping.interactions.enabled) {
+            await interact(home.route);
+        }
 
-            return Array.from(discoveredRoutes);
-        }, urlToArchive);
+        // Crawl breadth-first, starting from the routes the homepage links to
+        console.log(`[Direct Scrape] Discovering routes...`);
+        progress.state.phase = 'discovering_routes';
+        progress.report();
 
+        const { routes, patterns } = await extractPageRoutes(page);
         console.log(`[Direct Scrape] Found ${routes.length} unique routes from DOM: ${routes.join(', ')}`);
 
         // 3. Also scan the main JavaScript bundle for route definitions
         console.log(`[Direct Scrape] Scanning JavaScript bundles for additional routes...`);
         const jsRoutes = new Set();
+        const routePatterns = new Set(patterns); // Parameterized routes like /blog/:slug
 
         for (const [url, resource] of resources.entries()) {
             if ((url.endsWith('.js') || url.endsWith('.mjs')) && !url.includes('flock.js')) {
@@ -265,21 +371,22 @@ async function directScrape(urlToArchive, projectID) {
                     const jsContent = resource.buffer.toString('utf8');
 
                     // Look for route patterns in the JS code
-                    const routePatterns = [
-                        /path:\s*["'](\/[a-zA-Z0-9_/-]+)["']/g,
+                    const routeRegexes = [
+                        /path:\s*["'](\/[a-zA-Z0-9_/:*?-]+)["']/g,
                         /to:\s*["'](\/[a-zA-Z0-9_/-]+)["']/g,
                         /navigate\(["'](\/[a-zA-Z0-9_/-]+)["']/g,
                         /"(\/[a-zA-Z0-9_-]+)"/g
                     ];
 
-                    routePatterns.forEach(pattern => {
+                    routeRegexes.forEach(regex => {
                         let match;
-                        while ((match = pattern.exec(jsContent)) !== null) {
+                        while ((match = regex.exec(jsContent)) !== null) {
                             const route = match[1];
-                            if (route &&
+                            // Parameterized routes are matched against concrete links while crawling
+                            if (route.includes(':') || route.includes('*')) {
+                                routePatterns.add(route);
+                            } else if (route &&
                                 route !== '/' &&
-                                !route.includes(':') &&
-                                !route.includes('*') &&
                                 !route.startsWith('/assets') &&
                                 !route.startsWith('/api') &&
                                 route.length > 1 &&
@@ -294,23 +401,49 @@ async function directScrape(urlToArchive, projectID) {
             }
         }
 
-        // Merge JS-discovered routes with DOM routes
+        crawler.addPatterns(Array.from(routePatterns));
+        if (routePatterns.size > 0) {
+            console.log(`[Direct Scrape] Found ${routePatterns.size} parameterized routes: ${Array.from(routePatterns).join(', ')}`);
+        }
+        routes.forEach(route => crawler.add(route, home.depth + 1, home.route, 'dom'));
+
+        // Merge JS-discovered routes with DOM routes (bundles are loaded by the homepage)
         const additionalRoutes = Array.from(jsRoutes).filter(r => !routes.includes(r));
         if (additionalRoutes.length > 0) {
             console.log(`[Direct Scrape] Found ${additionalRoutes.length} additional routes from JS: ${additionalRoutes.join(', ')}`);
-            routes.push(...additionalRoutes);
         }
+        jsRoutes.forEach(route => crawler.add(route, home.depth + 1, home.route, 'js'));
 
-        // Add discovered routes to the Set so we can filter them from resources
-        routes.forEach(route => discoveredRoutes.add(route));
-
-        // STEP 2: Visit each route to trigger code-splitting chunks
-        const routesToVisit = routes.slice(0, config.scraping.maxRoutes);
+        // 4. Routes listed in the site's sitemaps (robots.txt Sitemap: lines, or /sitemap.xml)
+        let sitemaps = [];
+        if (config.scraping.sitemap.enabled) {
+            try {
+                const sitemap = await discoverSitemapRoutes(page, urlToArchive);
+                sitemaps = sitemap.sitemaps;
+                sitemap.routes.forEach(route => crawler.add(route, home.depth + 1, null, 'sitemap'));
+            } catch (err) {
+                console.warn(`[Direct Scrape] Sitemap discovery failed:`, err.message);
+            }
+        }
 
-        for (const route of routesToVisit) {
+        // STEP 2: Visit routes breadth-first to trigger code-splitting chunks, following the links on each
+        const reportCrawl = () => {
+            Object.assign(progress.state.routes, crawler.getCounts());
+            progress.report();
+        };
+        progress.state.phase = 'visiting_routes';
+        reportCrawl();
+
+        for (let node = crawler.next(); node; node = crawler.next()) {
+            checkBudget();
+            const { route } = node;
+            // Lets the response handler tell route documents from resources
+            discoveredRoutes.add(route);
             try {
                 const routeUrl = new URL(route, urlToArchive).href;
                 console.log(`[Direct Scrape] Visiting route: ${route}`);
+                progress.state.currentRoute = route;
+                progress.report();
 
                 await page.goto(routeUrl, {
                     waitUntil: 'networkidle2',
@@ -318,22 +451,7 @@ async function directScrape(urlToArchive, projectID) {
                 });
 
                 // Scroll on this route too
-                await page.evaluate(() => {
-                    return new Promise((resolve) => {
-                        let totalHeight = 0;
-                        const distance = 100;
-                        const timer = setInterval(() => {
-                            const scrollHeight = document.body.scrollHeight;
-                            window.scrollBy(0, distance);
-                            totalHeight += distance;
-
-                            if (totalHeight >= scrollHeight) {
-                                clearInterval(timer);
-                                resolve();
-                            }
-                        }, 100);
-                    });
-                });
+                await scrollToBottom(page);
 
                 // Wait for charts to render (canvas or SVG elements)
                 let hasCharts = false;
@@ -365,15 +483,119 @@ async function directScrape(urlToArchive, projectID) {
                     routeHtmls.set(route, routeHtml);
                 }
 
+                if (config.scraping.screenshots.enabled) {
+                    await screenshotter.capture(page, route);
+                }
+
+                crawler.markVisited(route);
+
+                if (config.scraping.interactions.enabled) {
+                    await interact(route);
+                }
+
+                // Follow this route's links one level deeper (including those in opened menus)
+                const linked = await extractPageRoutes(page);
+                crawler.addPatterns(linked.patterns);
+                linked.routes.forEach(linkedRoute => crawler.add(linkedRoute, node.depth + 1, route, 'dom'));
             } catch (err) {
                 console.warn(`[Direct Scrape] Failed to visit route ${route}:`, err.message);
+                crawler.markFailed(route, err);
             }
+            reportCrawl();
+        }
+
+        const crawl = { ...crawler.getGraph(), sitemaps, screenshots: screenshotter.getScreenshots(), policy: policyStats };
+        if (config.scraping.interactions.enabled) {
+            crawl.interactions = interactionTotals;
+        }
+
+        const crawlCounts = crawler.getCounts();
+        console.log(`[Direct Scrape] Finished visiting ${routeHtmls.size} routes (${crawlCounts.failed} failed, ${crawlCounts.skipped} skipped by crawl limits)`);
+
+        // Re-visit the captured routes under the other device profiles for responsive images and chunks
+        const extraProfiles = profiles.filter(name => name !== htmlProfile);
+        const capturedRoutes = Array.from(routeHtmls.keys());
+        crawl.viewports = { htmlProfile, profiles: [htmlProfile, ...extraProfiles], newResources: 0 };
+
+        if (extraProfiles.length > 0) {
+            progress.state.phase = 'capturing_viewports';
+            const resourcesBefore = resources.size;
+
+            for (const profile of extraProfiles) {
+                console.log(`[Direct Scrape] Re-visiting ${capturedRoutes.length} routes as ${profile}`);
+                await applyDeviceProfile(page, profile, defaultUserAgent);
+                progress.state.viewport = { profile, visited: 0, total: capturedRoutes.length };
+
+                for (const route of capturedRoutes) {
+                    checkBudget();
+                    progress.state.currentRoute = route;
+                    progress.report();
+                    try {
+                        await page.goto(new URL(route, urlToArchive).href, {
+                            waitUntil: 'networkidle2',
+                            timeout: 20000
+                        });
+                        await scrollToBottom(page);
+                        await promiseToWait(config.scraping.timeouts.route);
+                    } catch (err) {
+                        console.warn(`[Direct Scrape] Failed to visit route ${route} as ${profile}:`, err.message);
+                        report.recordRouteFailed(route, `viewport:${profile}`, err.message);
+                    }
+                    progress.state.viewport = { ...progress.state.viewport, visited: progress.state.viewport.visited + 1 };
+                }
+            }
+
+            await applyDeviceProfile(page, htmlProfile, defaultUserAgent);
+            delete progress.state.viewport;
+            crawl.viewports.newResources = resources.size - resourcesBefore;
+            console.log(`[Direct Scrape] Other device profiles added ${crawl.viewports.newResources} resources`);
         }
 
-        console.log(`[Direct Scrape] Finished visiting ${routeHtmls.size} routes`);
         await promiseToWait(config.scraping.timeouts.final);
 
-        await browser.close();
+        // Fetch what the pages and stylesheets reference but the browser never requested
+        if (config.scraping.missingAssets.enabled) {
+            progress.state.phase = 'fetching_missing_assets';
+            progress.state.currentRoute = null;
+            progress.report();
+
+            const pages = new Map();
+            for (const [route, html] of routeHtmls.entries()) {
+                pages.set(new URL(route, urlToArchive).href, html);
+            }
+            try {
+                await fetchMissingAssets(page, resources, pages, {
+                    isSkipped: (parsedUrl) => policy.getAction(parsedUrl) === 'block',
+                    onAsset: ({ url, type, mimeType, bytes }) => {
+                        budget.add(url, bytes);
+                        mimeTypes.set(url, mimeType || '');
+                        report.recordCaptured(url, { type, mimeType, bytes });
+                        progress.state.resources.count = resources.size;
+                        progress.state.resources.bytes += bytes;
+                        progress.report(true);
+                    },
+                    onFailed: ({ url, reason }) => report.recordFailed(url, { stage: 'missing_assets', reason })
+                });
+            } catch (error) {
+                console.warn('[Direct Scrape] Fetching missing assets failed:', error.message);
+            }
+        }
+
+        checkBudget();
+        await release();
+
+        // Package the recorded request/response pairs as WARC (or WACZ) inside the archive
+        if (warcRecorder) {
+            const warcPages = Array.from(routeHtmls.entries()).map(([route, html]) => ({
+                url: new URL(route, urlToArchive).href,
+                title: (/<title[^>]*>([^<]*)<\/title>/i.exec(html) || [])[1]
+            }));
+            try {
+                crawl.webArchive = await warcRecorder.finish(warcPages);
+            } catch (error) {
+                console.warn('[Direct Scrape] Writing the web archive failed:', error.message);
+            }
+        }
 
         console.log(`[Direct Scrape] Captured ${resources.size} resources`);
 
@@ -387,51 +609,71 @@ async function directScrape(urlToArchive, projectID) {
         }
 
         // STEP 3: Save all resources to disk and rewrite paths
-        await saveResourcesToDisk(resources, downloadDir);
+        progress.state.phase = 'saving';
+        progress.state.currentRoute = null;
+        progress.report();
+        const savedFiles = await saveResourcesToDisk(resources, downloadDir, isFirstPartyHost, policy, report);
+        const rewriter = createRewriter({
+            isFirstPartyHost,
+            archivedPaths: savedFiles.map(file => file.archivePath),
+            policy,
+            mimeTypes
+        });
+        rewriteSavedResources(savedFiles, downloadDir, rewriter);
 
         // STEP 4: Save HTML files for each route with ABSOLUTE paths
-        await saveRouteHTMLFiles(routeHtmls, downloadDir);
+        const replayShimPath = writeReplayShim(apiFixtures, [new URL(urlToArchive).host], downloadDir);
+        await saveRouteHTMLFiles(routeHtmls, downloadDir, { replayShimPath, rewriter, baseUrl: urlToArchive, report });
+        rewriter.writeLog(downloadDir);
+
+        // STEP 5: Record what made it into the archive and what didn't
+        try {
+            crawl.report = report.write(downloadDir, crawl, savedFiles.map(file => file.url));
+        } catch (error) {
+            console.warn('[Direct Scrape] Writing the completeness report failed:', error.message);
+        }
 
         console.log(`[Direct Scrape] Download complete to ${downloadDir}`);
         console.log(`[Direct Scrape] Total: ${resources.size} resources, ${routeHtmls.size} route HTML files`);
-        return downloadDir;
+        return { downloadFolder: downloadDir, crawl };
 
     } catch (error) {
-        await browser.close();
+        await release();
         throw error;
     }
 }
 
 /**
- * Save captured resources to disk with path rewriting
+ * Save captured resources to disk
+ * First-party URLs keep their path, everything else moves under /_external/{host}
+ * Resources the policy blocks (e.g. by a MIME type only known after fetching) are not saved
+ * Resources over the file size limit (e.g. fetched as missing assets) are skipped too
+ * Blocked, oversized and unsaved resources are recorded in report (see scrape/report.js)
+ * Returns the saved files as [{ url, archivePath, fullPath, type }]
  */
-async function saveResourcesToDisk(resources, downloadDir) {
+async function saveResourcesToDisk(resources, downloadDir, isFirstPartyHost, policy, report) {
+    const savedFiles = [];
+
     for (const [url, resource] of resources.entries()) {
         try {
             const parsedUrl = new URL(url);
 
-            // Skip analytics/tracking URLs
-            const analyticsHosts = ['google-analytics.com', 'googletagmanager.com', 'doubleclick.net',
-                                   'googleadservices.com', 'hotjar.io', 'hotjar.com', 'ahrefs.com'];
-            const hostname = parsedUrl.hostname.toLowerCase();
-            if (analyticsHosts.some(ah => hostname.includes(ah)) || parsedUrl.pathname.includes('/pagead/')) {
-                console.log(`[Direct Scrape] Skipping analytics resource: ${url.substring(0, 80)}...`);
+            if (policy.getAction(parsedUrl, resource.mimeType) === 'block') {
+                console.log(`[Direct Scrape] Not saving blocked resource: ${url.substring(0, 80)}...`);
+                report.recordBlocked(url);
                 continue;
             }
 
-            let filePath;
-
-            // For external domains, preserve the full hostname + path
-            if (!parsedUrl.hostname.includes('lovable.app')) {
-                let pathname = parsedUrl.pathname;
-                if (pathname.endsWith('/') && pathname.length > 1) {
-                    pathname = pathname.slice(0, -1);
-                }
-                filePath = path.join('/_external', parsedUrl.hostname, pathname);
-            } else {
-                filePath = parsedUrl.pathname;
+            const oversizeReason = getOversizeReason(resource.buffer.length);
+            if (oversizeReason) {
+                console.warn(`[Direct Scrape] Not saving ${url.substring(0, 80)}: ${oversizeReason}`);
+                report.recordFailed(url, { type: resource.type, stage: 'quota', reason: oversizeReason });
+                continue;
             }
 
+            const archivePath = getArchivePath(parsedUrl, isFirstPartyHost);
+            let filePath = archivePath;
+
             // Handle root path
             if (filePath === '/' || filePath === '') {
                 filePath = '/index.html';
@@ -471,66 +713,49 @@ async function saveResourcesToDisk(resources, downloadDir) {
 
             // Write the file
             fs.writeFileSync(fullPath, resource.buffer);
+            savedFiles.push({ url, archivePath, fullPath, type: resource.type });
+        } catch (err) {
+            console.warn(`[Direct Scrape] Failed to save ${url}:`, err.message);
+            report.recordFailed(url, { type: resource.type, stage: 'save', reason: err.message });
+        }
+    }
 
-            // Rewrite paths in JS and CSS files
-            if (fullPath.endsWith('.js') || fullPath.endsWith('.mjs') || fullPath.endsWith('.css')) {
-                try {
-                    let content = fs.readFileSync(fullPath, 'utf8');
-                    let originalLength = content.length;
-
-                    // 1. Rewrite lovable.app URLs in import/from statements
-                    content = content.replace(/from\s+(["'])https?:\/\/[^"']*lovable\.app(\/[^"']*)\1/gi, (match, quote, path) => {
-                        return `from ${quote}${path}${quote}`;
-                    });
-
-                    // 2. Rewrite lovable.app URLs in dynamic import() statements
-                    content = content.replace(/import\s*\((["'])https?:\/\/[^"']*lovable\.app(\/[^"']*)\1\)/gi, (match, quote, path) => {
-                        return `import(${quote}${path}${quote})`;
-                    });
-
-                    // 3. Rewrite lovable.app URLs in template literals
-                    content = content.replace(/`https?:\/\/[^`]*lovable\.app(\/[^`]*)`/gi, '`$1`');
-
-                    // 4. Rewrite remaining lovable.app URLs (preserve quote type)
-                    content = content.replace(/(["'])https?:\/\/[^"']*lovable\.app(\/[^"']*)\1/gi, (match, quote, path) => {
-                        return `${quote}${path}${quote}`;
-                    });
-
-                    // 5. Rewrite external domain URLs (preserve quote type)
-                    content = content.replace(/(["'])https?:\/\/([^"'\/]+)(\/[^"']*)\1/gi, (match, quote, hostname, pathname) => {
-                        if (hostname.includes('lovable.app') || hostname.includes('google') || hostname.includes('facebook')) {
-                            return match;
-                        }
-                        return `${quote}/_external/${hostname}${pathname}${quote}`;
-                    });
+    return savedFiles;
+}
 
-                    // 6. Rewrite external domain URLs in template literals
-                    content = content.replace(/`https?:\/\/([^`\/]+)(\/[^`]*)`/gi, (match, hostname, pathname) => {
-                        if (hostname.includes('lovable.app') || hostname.includes('google') || hostname.includes('facebook')) {
-                            return match;
-                        }
-                        return `\`/_external/${hostname}${pathname}\``;
-                    });
+/**
+ * Rewrite the URLs in saved JS, CSS and HTML resources so they point into the archive
+ * Runs after every resource is saved, so references between resources resolve in any order
+ */
+function rewriteSavedResources(savedFiles, downloadDir, rewriter) {
+    for (const file of savedFiles) {
+        const kind = getFileKind(file.fullPath, file.type);
+        if (!kind || !fs.existsSync(file.fullPath)) {
+            continue;
+        }
 
-                    if (content.length !== originalLength) {
-                        console.log(`[Direct Scrape] Rewrote paths in ${path.basename(fullPath)} (${originalLength} -> ${content.length} bytes)`);
-                    }
+        try {
+            const content = fs.readFileSync(file.fullPath, 'utf8');
+            const archiveFile = `/${path.relative(downloadDir, file.fullPath).split(path.sep).join('/')}`;
+            const rewritten = rewriter.rewrite(kind, content, file.url, archiveFile);
 
-                    fs.writeFileSync(fullPath, content, 'utf8');
-                } catch (e) {
-                    console.warn(`[Direct Scrape] Could not rewrite ${path.basename(fullPath)}: ${e.message}`);
-                }
+            if (rewritten !== content) {
+                fs.writeFileSync(file.fullPath, rewritten, 'utf8');
+                console.log(`[Direct Scrape] Rewrote URLs in ${path.basename(file.fullPath)} (${content.length} -> ${rewritten.length} bytes)`);
             }
-        } catch (err) {
-            console.warn(`[Direct Scrape] Failed to save ${url}:`, err.message);
+        } catch (e) {
+            console.warn(`[Direct Scrape] Could not rewrite ${path.basename(file.fullPath)}: ${e.message}`);
         }
     }
 }
 
 /**
  * Save HTML files for each route with path rewriting
+ * options.replayShimPath injects the API replay shim into every page
+ * options.rewriter points the page's URLs into the archive; options.baseUrl is the archived site's URL
+ * options.report records routes whose HTML couldn't be saved
  */
-async function saveRouteHTMLFiles(routeHtmls, downloadDir) {
+async function saveRouteHTMLFiles(routeHtmls, downloadDir, options = {}) {
     console.log(`[Direct Scrape] Saving HTML files for ${routeHtmls.size} routes...`);
 
     for (const [route, html] of routeHtmls.entries()) {
@@ -549,36 +774,28 @@ async function saveRouteHTMLFiles(routeHtmls, downloadDir) {
                 fs.mkdirSync(dirPath, { recursive: true });
             }
 
-            // Rewrite HTML to use ABSOLUTE paths
             let modifiedHtml = html;
 
             // Fix Recharts color bug: rgb(var(--success)) should be hsl(var(--success))
             // CSS variables like --success contain HSL values (142 72% 52%), not RGB values
             modifiedHtml = modifiedHtml.replace(/rgb\(var\(--([^)]+)\)\)/g, 'hsl(var(--$1))');
 
-            // Remove analytics scripts
-            modifiedHtml = modifiedHtml.replace(/<script[^>]*src=["'][^"']*(google-analytics|googletagmanager|doubleclick|googleadservices|hotjar|ahrefs)[^"']*["'][^>]*><\/script>/gi, '<!-- Analytics script removed -->');
-            modifiedHtml = modifiedHtml.replace(/<script[^>]*>[\s\S]*?googletagmanager\.com\/gtm\.js[\s\S]*?<\/script>/gi, '<!-- GTM script removed -->');
-            modifiedHtml = modifiedHtml.replace(/<script[^>]*>[\s\S]*?_hjSettings[\s\S]*?<\/script>/gi, '<!-- Hotjar script removed -->');
-            modifiedHtml = modifiedHtml.replace(/<script[^>]*>[\s\S]*?window\.dataLayer[\s\S]*?gtag[\s\S]*?<\/script>/gi, '<!-- gtag script removed -->');
-            modifiedHtml = modifiedHtml.replace(/<noscript>[\s\S]*?googletagmanager\.com\/ns\.html[\s\S]*?<\/noscript>/gi, '<!-- GTM noscript removed -->');
+            // Point every URL in the page into the archive; elements loading resources the
+            // policy blocks or strips (analytics by default) are removed
+            const routeUrl = new URL(route, options.baseUrl).href;
+            modifiedHtml = options.rewriter.rewrite('html', modifiedHtml, routeUrl, `/${routePath.split(path.sep).join('/')}`);
 
-            // Rewrite lovable.app URLs to absolute paths
-            modifiedHtml = modifiedHtml.replace(/(href|src)=["']https?:\/\/[^"']*lovable\.app(\/[^"']*)["']/gi, '$1="$2"');
-
-            // Rewrite external domain paths to absolute paths
-            modifiedHtml = modifiedHtml.replace(/(href|src)=["']https?:\/\/([^"'\/]+)(\/[^"']*)["']/gi, (match, attr, hostname, pathname) => {
-                if (hostname.includes('lovable.app')) {
-                    return match;
-                }
-                return `${attr}="/_external/${hostname}${pathname}"`;
-            });
+            // Answer the page's API calls from the responses captured during scraping
+            if (options.replayShimPath) {
+                modifiedHtml = injectReplayShim(modifiedHtml, options.replayShimPath);
+            }
 
             fs.writeFileSync(fullPath, modifiedHtml, 'utf8');
             console.log(`[Direct Scrape] Saved HTML: ${routePath}`);
 
         } catch (err) {
             console.warn(`[Direct Scrape] Failed to save HTML for route ${route}:`, err.message);
+            options.report.recordRouteFailed(route, 'save', err.message);
         }
     }
 }
@@ -0,0 +1,14 @@
+/**
+ * Bolt.new Source Adapter
+ * Projects built with Bolt.new and published to bolt.host
+ */
+
+const { createHostedSiteSource } = require('./hosted');
+
+// https://{project-id}.bolt.host/
+module.exports = createHostedSiteSource({
+    id: 'bolt',
+    name: 'Bolt.new',
+    projectType: 'Bolt',
+    domain: 'bolt.host'
+});
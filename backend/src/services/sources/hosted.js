@@ -0,0 +1,48 @@
+/**
+ * Hosted Static Site Sources
+ * Shared adapter for hosts that serve each project from its own subdomain,
+ * https://{name}.{domain}/, such as bolt.host, vercel.app and netlify.app
+ */
+
+/**
+ * Create a source adapter (see ./index.js for the shape) for projects at https://{name}.{domain}/
+ * options: { id, name, projectType, domain, nameLabel }
+ * nameLabel is the placeholder used in urlFormats, e.g. 'project-id' or 'site-name'
+ * Project IDs are the subdomain prefixed with the adapter id, e.g. bolt-{name}
+ */
+function createHostedSiteSource({ id, name, projectType, domain, nameLabel = 'project-id' }) {
+    // https://{name}.{domain}/
+    const urlRegex = new RegExp(`^https:\\/\\/([a-z0-9-]+)\\.${domain.replace(/\./g, '\\.')}\\/?(\\?.*)?$`, 'i');
+
+    return {
+        id,
+        name,
+        projectType,
+        urlFormats: [`https://{${nameLabel}}.${domain}/`],
+        urlPatterns: [urlRegex],
+
+        /**
+         * Extract the project ID and the URL to scrape, or null if the URL isn't on this host
+         */
+        parseUrl(url) {
+            const match = url.match(urlRegex);
+            if (!match) return null;
+
+            return {
+                projectID: `${id}-${match[1].toLowerCase()}`,
+                previewUrl: url
+            };
+        },
+
+        /**
+         * Only the project's own subdomain is first-party; other projects on the same host are external
+         */
+        isFirstPartyHost(hostname, previewUrl) {
+            return hostname.toLowerCase() === new URL(previewUrl).hostname.toLowerCase();
+        }
+    };
+}
+
+module.exports = {
+    createHostedSiteSource
+};
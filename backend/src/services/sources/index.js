@@ -0,0 +1,72 @@
+/**
+ * Source Adapters
+ * Each adapter describes one app builder or host: which URLs it accepts, how to derive
+ * the project ID and the URL to scrape, which hosts are first-party, and its Arweave tags
+ *
+ * Adapter shape:
+ *   id, name, projectType      - identifiers (projectType becomes the Project-Type tag)
+ *   urlFormats, urlPatterns    - accepted URLs, for error messages and client-side validation
+ *   parseUrl(url)              - { projectID, previewUrl } or null if the URL isn't handled
+ *   isFirstPartyHost(hostname, previewUrl) - whether a host belongs to the project itself
+ */
+
+const lovable = require('./lovable');
+const bolt = require('./bolt');
+const vercel = require('./vercel');
+const netlify = require('./netlify');
+
+const SOURCES = [lovable, bolt, vercel, netlify];
+
+/**
+ * Find the adapter for a project URL
+ * Returns the archive target ({ source, projectID, previewUrl, isFirstPartyHost }) or null
+ */
+function resolveSource(url) {
+    for (const source of SOURCES) {
+        const parsed = source.parseUrl(url);
+        if (parsed) {
+            return {
+                source: source,
+                projectID: parsed.projectID,
+                previewUrl: parsed.previewUrl,
+                isFirstPartyHost: (hostname) => source.isFirstPartyHost(hostname, parsed.previewUrl)
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Arweave tags describing where an archived project came from
+ */
+function getSourceTags(source) {
+    return [
+        { name: 'Project-Type', value: source.projectType }
+    ];
+}
+
+/**
+ * All accepted URL formats, e.g. for error messages
+ */
+function getSupportedUrlFormats() {
+    return SOURCES.flatMap(source => source.urlFormats);
+}
+
+/**
+ * Public description of the supported sources for API responses
+ */
+function describeSources() {
+    return SOURCES.map(source => ({
+        id: source.id,
+        name: source.name,
+        urlFormats: source.urlFormats,
+        urlPatterns: source.urlPatterns.map(pattern => pattern.source)
+    }));
+}
+
+module.exports = {
+    resolveSource,
+    getSourceTags,
+    getSupportedUrlFormats,
+    describeSources
+};
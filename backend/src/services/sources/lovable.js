@@ -0,0 +1,50 @@
+/**
+ * Lovable Source Adapter
+ * Projects built with Lovable (lovable.dev)
+ */
+
+// Old format: https://lovable.dev/projects/{uuid}
+const OLD_URL_REGEX = /^https:\/\/lovable\.dev\/projects\/([0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12})(\?.*)?$/i;
+// New format: https://{project-id}.lovable.app/
+const NEW_URL_REGEX = /^https:\/\/([a-z0-9-]+)\.lovable\.app\/?(\?.*)?$/i;
+
+module.exports = {
+    id: 'lovable',
+    name: 'Lovable',
+    projectType: 'Lovable',
+    urlFormats: ['https://lovable.dev/projects/{uuid}', 'https://{project-id}.lovable.app/'],
+    urlPatterns: [OLD_URL_REGEX, NEW_URL_REGEX],
+
+    /**
+     * Extract the project ID and the URL to scrape, or null if the URL isn't a Lovable project
+     * Project IDs are not prefixed, so archives made before adapters existed keep their IDs
+     */
+    parseUrl(url) {
+        const oldMatch = url.match(OLD_URL_REGEX);
+        if (oldMatch) {
+            // Old format: the project is served from its preview subdomain
+            return {
+                projectID: oldMatch[1],
+                previewUrl: `https://id-preview--${oldMatch[1]}.lovable.app/`
+            };
+        }
+
+        const newMatch = url.match(NEW_URL_REGEX);
+        if (newMatch) {
+            // New format: the URL is already the published app
+            return {
+                projectID: newMatch[1],
+                previewUrl: url
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Lovable serves the app and its assets from lovable.app subdomains
+     */
+    isFirstPartyHost(hostname) {
+        return hostname.toLowerCase().includes('lovable.app');
+    }
+};
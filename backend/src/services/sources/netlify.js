@@ -0,0 +1,15 @@
+/**
+ * Netlify Source Adapter
+ * Apps hosted on netlify.app (including Bolt.new projects deployed to Netlify)
+ */
+
+const { createHostedSiteSource } = require('./hosted');
+
+// https://{site-name}.netlify.app/
+module.exports = createHostedSiteSource({
+    id: 'netlify',
+    name: 'Netlify',
+    projectType: 'Netlify',
+    domain: 'netlify.app',
+    nameLabel: 'site-name'
+});
@@ -0,0 +1,14 @@
+/**
+ * v0 / Vercel Source Adapter
+ * Projects built with v0 (or anything else) and deployed to vercel.app
+ */
+
+const { createHostedSiteSource } = require('./hosted');
+
+// https://{project-id}.vercel.app/
+module.exports = createHostedSiteSource({
+    id: 'vercel',
+    name: 'v0 / Vercel',
+    projectType: 'Vercel',
+    domain: 'vercel.app'
+});
@@ -0,0 +1,81 @@
+/**
+ * Incremental Uploads
+ * Uses the index of files already uploaded for a project (content hash + Content-Type -> transaction ID)
+ * so a re-archive only uploads new or changed files and points the rest at existing transactions
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+const { getUploadedFiles, recordUploadedFile } = require('../../db/database');
+const { listFolderFiles } = require('../../utils/folder');
+const { getContentType } = require('../../utils/content-type');
+
+/**
+ * SHA-256 of a file's contents
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Index key: the Content-Type is part of it because it is tagged on the data item
+ */
+function indexKey(contentHash, contentType) {
+    return `${contentHash} ${contentType}`;
+}
+
+/**
+ * List a folder's files with what is needed to upload them, and the transaction ID of an
+ * earlier identical upload for the project if there is one (existingId)
+ * Returns [{ path, bytes, filePath, contentType, contentHash, existingId }]
+ */
+async function planFolderUpload(folderPath, projectID) {
+    const uploaded = new Map();
+    if (config.storage.incremental && projectID) {
+        try {
+            for (const row of await getUploadedFiles(projectID)) {
+                uploaded.set(indexKey(row.content_hash, row.content_type), row.tx_id);
+            }
+        } catch (error) {
+            console.warn(`[Incremental] Could not load upload index for ${projectID}, uploading everything:`, error.message);
+        }
+    }
+
+    return listFolderFiles(folderPath).map(file => {
+        const filePath = path.join(folderPath, file.path);
+        const contentType = getContentType(file.path);
+        const contentHash = hashFile(filePath);
+        return {
+            ...file,
+            filePath,
+            contentType,
+            contentHash,
+            existingId: uploaded.get(indexKey(contentHash, contentType)) || null
+        };
+    });
+}
+
+/**
+ * Add an uploaded file to the project's index (failures only cost a re-upload next time)
+ */
+async function recordUpload(projectID, file, txId) {
+    if (!projectID) return;
+
+    try {
+        await recordUploadedFile(projectID, {
+            contentHash: file.contentHash,
+            contentType: file.contentType,
+            txId,
+            bytes: file.bytes
+        });
+    } catch (error) {
+        console.warn(`[Incremental] Could not index ${file.path}:`, error.message);
+    }
+}
+
+module.exports = {
+    planFolderUpload,
+    recordUpload
+};
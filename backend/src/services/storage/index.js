@@ -0,0 +1,97 @@
+/**
+ * Storage Service
+ * Chooses where archives are uploaded: Arweave via Turbo (default) or the local filesystem
+ *
+ * Backend shape:
+ *   name                               - 'turbo' or 'local'
+ *   supportsArNS                       - whether ArNS undernames can point at its manifests
+ *   uploadFolder(folderPath, options)  - stores the folder with a path manifest, returns the manifest ID
+ *                                        (options.tags, options.onProgress)
+ *   getManifestUrl(manifestId)         - public URL of a stored archive
+ */
+
+const { config } = require('../../config/config');
+
+// Required lazily so the local backend works without the Turbo SDK's wallet setup
+const BACKENDS = {
+    turbo: () => require('./turbo'),
+    local: () => require('./local')
+};
+
+/**
+ * Get the configured storage backend (STORAGE_BACKEND)
+ */
+function getStorage() {
+    const loadBackend = BACKENDS[config.storage.backend];
+    if (!loadBackend) {
+        throw new Error(`Unknown storage backend "${config.storage.backend}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+    return loadBackend();
+}
+
+/**
+ * Tags stored with every archive, whatever the backend
+ */
+function getArchiveTags(projectID, htmlHash = null, extraTags = []) {
+    const tags = [
+        { name: 'App-Name', value: 'ForeverLoved' },
+        { name: 'App-Version', value: '1.0.0' },
+        ...extraTags,
+        { name: 'Project-ID', value: projectID }
+    ];
+
+    // Add HTML hash tag if available
+    if (htmlHash) {
+        tags.push({ name: 'HTML-Hash', value: htmlHash });
+    }
+
+    return tags;
+}
+
+/**
+ * Public URL of an archive stored with the configured backend
+ */
+function getManifestUrl(manifestId) {
+    return getStorage().getManifestUrl(manifestId);
+}
+
+/**
+ * URL of a file inside an archive, e.g. "/_forever/screenshots/index.jpg"
+ */
+function getArchiveFileUrl(manifestId, archivePath) {
+    return `${getManifestUrl(manifestId).replace(/\/+$/, '')}${archivePath}`;
+}
+
+/**
+ * Screenshot URLs for an archive's { route, image, thumbnail } paths, with the homepage
+ * thumbnail (or the first one) as the archive's preview image
+ */
+function describeScreenshots(manifestId, screenshots) {
+    const list = (screenshots || []).map(screenshot => ({
+        route: screenshot.route,
+        imageUrl: getArchiveFileUrl(manifestId, screenshot.image),
+        thumbnailUrl: getArchiveFileUrl(manifestId, screenshot.thumbnail)
+    }));
+    const preview = list.find(screenshot => screenshot.route === '/') || list[0];
+    return { previewImage: preview ? preview.thumbnailUrl : null, screenshots: list };
+}
+
+/**
+ * Summary and URL of an archive's completeness report ({ path, summary }, see services/scrape/report.js)
+ */
+function describeReport(manifestId, report) {
+    return {
+        report: report ? report.summary : null,
+        reportUrl: report ? getArchiveFileUrl(manifestId, report.path) : null
+    };
+}
+
+module.exports = {
+    BACKENDS: Object.keys(BACKENDS),
+    getStorage,
+    getArchiveTags,
+    getManifestUrl,
+    getArchiveFileUrl,
+    describeScreenshots,
+    describeReport
+};
@@ -0,0 +1,151 @@
+/**
+ * Local Storage Backend
+ * Stores archives on disk instead of Arweave, for development, offline testing and self-hosted mirrors
+ *
+ * Layout under config.storage.localPath:
+ *   data/{id}       - file contents, where id is the base64url SHA-256 of the contents
+ *   tags/{id}.json  - tags of each manifest
+ * Folders are stored with an Arweave-style path manifest (arweave/paths 0.2.0), itself stored under data/
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+const { getPathCandidates } = require('../../utils/gateway');
+const { listFolderFiles } = require('../../utils/folder');
+const { MANIFEST_TYPE, MANIFEST_CONTENT_TYPE, buildPathManifest } = require('./manifest');
+
+// Same shape as Arweave transaction IDs (43 base64url characters)
+const ID_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Content address of a buffer
+ */
+function contentId(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('base64url');
+}
+
+/**
+ * Where the data with an ID is stored
+ */
+function dataPath(id) {
+    return path.join(config.storage.localPath, 'data', id);
+}
+
+/**
+ * Store a buffer under its content address (a no-op if it's already stored)
+ */
+function storeData(buffer) {
+    const id = contentId(buffer);
+    const filePath = dataPath(id);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+    }
+    return id;
+}
+
+/**
+ * Store a folder and its path manifest, returning the manifest ID
+ * options.tags are stored with the manifest
+ * options.onProgress receives the same file and byte counts as the Turbo backend
+ */
+async function uploadFolder(folderPath, options = {}) {
+    console.log(`[Local Storage] Storing files from: ${folderPath} in ${config.storage.localPath}...`);
+    const onProgress = options.onProgress || (() => {});
+
+    const files = listFolderFiles(folderPath);
+    const totalBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+    let processedBytes = 0;
+
+    const paths = {};
+    files.forEach((file, index) => {
+        const buffer = fs.readFileSync(path.join(folderPath, file.path));
+        paths[file.path] = { id: storeData(buffer) };
+        processedBytes += buffer.length;
+
+        onProgress({
+            phase: 'files',
+            processedFiles: index + 1,
+            totalFiles: files.length,
+            processedBytes,
+            totalBytes
+        });
+    });
+
+    const manifest = buildPathManifest(paths);
+
+    onProgress({ phase: 'manifest', processedFiles: files.length, totalFiles: files.length, processedBytes, totalBytes });
+    const manifestId = storeData(Buffer.from(JSON.stringify(manifest)));
+
+    const tags = [
+        { name: 'Content-Type', value: MANIFEST_CONTENT_TYPE },
+        ...(options.tags || [])
+    ];
+    const tagsPath = path.join(config.storage.localPath, 'tags', `${manifestId}.json`);
+    fs.mkdirSync(path.dirname(tagsPath), { recursive: true });
+    fs.writeFileSync(tagsPath, JSON.stringify(tags, null, 2));
+
+    console.log(`[Local Storage] Folder stored successfully. Manifest ID: ${manifestId} (${files.length} files)`);
+    return manifestId;
+}
+
+/**
+ * Read a stored manifest, or null if the ID isn't a stored manifest
+ */
+function readManifest(manifestId) {
+    if (!ID_REGEX.test(manifestId) || !fs.existsSync(dataPath(manifestId))) {
+        return null;
+    }
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(dataPath(manifestId), 'utf8'));
+        return manifest.manifest === MANIFEST_TYPE ? manifest : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve a request path inside a manifest the way an Arweave gateway does:
+ * exact path, then {path}/index.html, then the index for "/", then the fallback
+ * Returns { filePath, manifestPath } or null; manifestPath is null when the fallback was used
+ */
+function resolveManifestPath(manifestId, requestPath) {
+    const manifest = readManifest(manifestId);
+    if (!manifest) {
+        return null;
+    }
+
+    const candidates = getPathCandidates(requestPath, manifest.index?.path);
+
+    for (const candidate of candidates) {
+        const entry = manifest.paths[candidate];
+        if (entry && ID_REGEX.test(entry.id)) {
+            return { filePath: dataPath(entry.id), manifestPath: candidate };
+        }
+    }
+
+    if (manifest.fallback && ID_REGEX.test(manifest.fallback.id)) {
+        return { filePath: dataPath(manifest.fallback.id), manifestPath: null };
+    }
+    return null;
+}
+
+/**
+ * URL where the local archive is served (see routes/local.js)
+ */
+function getManifestUrl(manifestId) {
+    const baseUrl = config.storage.localPublicUrl || `http://localhost:${config.port}/local`;
+    return `${baseUrl.replace(/\/+$/, '')}/${manifestId}/`;
+}
+
+module.exports = {
+    name: 'local',
+    supportsArNS: false, // ArNS names can only point at Arweave transactions
+    uploadFolder,
+    getManifestUrl,
+    readManifest,
+    resolveManifestPath
+};
@@ -0,0 +1,32 @@
+/**
+ * Path Manifests
+ * Builds Arweave path manifests (arweave/paths 0.2.0) mapping archive paths to transaction IDs
+ */
+
+const { INDEX_FILE } = require('../../utils/gateway');
+
+const MANIFEST_TYPE = 'arweave/paths';
+const MANIFEST_VERSION = '0.2.0';
+const MANIFEST_CONTENT_TYPE = 'application/x.arweave-manifest+json';
+
+/**
+ * Build a path manifest from { path: { id } }, with index.html as index and SPA fallback
+ */
+function buildPathManifest(paths) {
+    const manifest = {
+        manifest: MANIFEST_TYPE,
+        version: MANIFEST_VERSION,
+        index: { path: INDEX_FILE },
+        paths
+    };
+    if (paths[INDEX_FILE]) {
+        manifest.fallback = { id: paths[INDEX_FILE].id }; // SPA support
+    }
+    return manifest;
+}
+
+module.exports = {
+    MANIFEST_TYPE,
+    MANIFEST_CONTENT_TYPE,
+    buildPathManifest
+};
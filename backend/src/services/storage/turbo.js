@@ -0,0 +1,116 @@
+/**
+ * Turbo Storage Backend
+ * Handles file uploads to Arweave using Turbo SDK
+ * Files are uploaded one data item each and the path manifest is built here, so files that
+ * are unchanged since an earlier upload of the project reuse their existing transactions
+ */
+
+const fs = require('fs');
+const { ArweaveSigner, TurboFactory } = require('@ardrive/turbo-sdk');
+const { loadArweaveKeyfile } = require('../../config/config');
+const { planFolderUpload, recordUpload } = require('./incremental');
+const { MANIFEST_CONTENT_TYPE, buildPathManifest } = require('./manifest');
+
+// Files uploaded in parallel
+const UPLOAD_CONCURRENCY = 4;
+
+/**
+ * Upload one file or buffer as a data item and return its transaction ID
+ */
+async function uploadDataItem(turbo, streamFactory, size, tags) {
+    const response = await turbo.uploadFile({
+        fileStreamFactory: streamFactory,
+        fileSizeFactory: () => size,
+        dataItemOpts: { tags }
+    });
+    return response.id;
+}
+
+/**
+ * Upload a folder to Arweave and return the manifest ID
+ * options.projectID scopes the index of earlier uploads that unchanged files are reused from
+ * options.tags are added to every data item
+ * options.onProgress receives file and byte counts as the folder is uploaded
+ */
+async function uploadFolder(folderPath, options = {}) {
+    console.log(`[Arweave] Uploading files from: ${folderPath} to Arweave...`);
+    const onProgress = options.onProgress || (() => {});
+
+    try {
+        const keyFile = loadArweaveKeyfile();
+        const signer = new ArweaveSigner(keyFile);
+        const turbo = TurboFactory.authenticated({ signer });
+
+        const customTags = options.tags || [];
+        const files = await planFolderUpload(folderPath, options.projectID);
+        const totalBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+        const progress = { processedFiles: 0, processedBytes: 0, uploadedFiles: 0, reusedFiles: 0 };
+
+        const reportProgress = (phase) => onProgress({
+            phase,
+            processedFiles: progress.processedFiles,
+            totalFiles: files.length,
+            processedBytes: progress.processedBytes,
+            totalBytes,
+            uploadedFiles: progress.uploadedFiles,
+            reusedFiles: progress.reusedFiles
+        });
+
+        // Upload new and changed files; unchanged ones keep their earlier transaction
+        const paths = {};
+        const queue = [...files];
+        const uploadNext = async () => {
+            for (let file = queue.shift(); file; file = queue.shift()) {
+                let txId = file.existingId;
+                if (txId) {
+                    progress.reusedFiles++;
+                } else {
+                    const tags = [...customTags, { name: 'Content-Type', value: file.contentType }];
+                    txId = await uploadDataItem(turbo, () => fs.createReadStream(file.filePath), file.bytes, tags);
+                    await recordUpload(options.projectID, file, txId);
+                    progress.uploadedFiles++;
+                }
+
+                paths[file.path] = { id: txId };
+                progress.processedFiles++;
+                progress.processedBytes += file.bytes;
+                reportProgress('files');
+            }
+        };
+        await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, uploadNext));
+
+        // Keep manifest paths in folder order regardless of upload completion order
+        const orderedPaths = {};
+        for (const file of files) {
+            orderedPaths[file.path] = paths[file.path];
+        }
+
+        reportProgress('manifest');
+        const manifest = Buffer.from(JSON.stringify(buildPathManifest(orderedPaths)));
+        const manifestTags = [...customTags, { name: 'Content-Type', value: MANIFEST_CONTENT_TYPE }];
+        const manifestId = await uploadDataItem(turbo, () => manifest, manifest.length, manifestTags);
+
+        console.log(`[Arweave] Folder uploaded successfully. Manifest ID: ${manifestId}`);
+        console.log(`[Arweave] Uploaded ${progress.uploadedFiles} files, reused ${progress.reusedFiles} unchanged files`);
+        console.log(`[Arweave] Tags: ${customTags.map(t => `${t.name}=${t.value}`).join(', ')}`);
+        return manifestId;
+
+    } catch (error) {
+        console.error('[Arweave] Error uploading folder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Public URL of an uploaded manifest
+ */
+function getManifestUrl(manifestId) {
+    return `https://arweave.net/${manifestId}`;
+}
+
+module.exports = {
+    name: 'turbo',
+    supportsArNS: true,
+    uploadFolder,
+    getManifestUrl
+};
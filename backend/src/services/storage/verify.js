@@ -0,0 +1,116 @@
+/**
+ * Upload Verification
+ * Fetches every file of an uploaded archive back through a gateway ({gateway}/{manifestId}/{path})
+ * and compares its SHA-256 with the hash taken before the upload, so archives that aren't
+ * retrievable or don't match what was scraped are caught while the job is still running.
+ * VERIFY_GATEWAY_URL can point at any gateway, including a local stub serving the storage folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config/config');
+const { computeHash } = require('../../utils/hash');
+const { listFolderFiles } = require('../../utils/folder');
+const { getManifestUrl } = require('./index');
+
+/**
+ * Hash every file of a scraped folder before it is uploaded
+ * Returns [{ path, bytes, hash }] with manifest paths
+ */
+function hashFolderFiles(folderPath) {
+    return listFolderFiles(folderPath).map(file => ({
+        path: file.path,
+        bytes: file.bytes,
+        hash: computeHash(fs.readFileSync(path.join(folderPath, file.path)))
+    }));
+}
+
+/**
+ * Base URL an archive's files are fetched from: VERIFY_GATEWAY_URL/{manifestId},
+ * or the storage backend's own archive URL
+ */
+function getVerificationBaseUrl(manifestId) {
+    const { gatewayUrl } = config.verification;
+    const base = gatewayUrl ? `${gatewayUrl.replace(/\/+$/, '')}/${manifestId}` : getManifestUrl(manifestId);
+    return base.replace(/\/+$/, '');
+}
+
+/**
+ * Fetch one file and compare it with its expected hash
+ * Returns { path, bytes, expectedHash, actualHash, status: 'pass' | 'fail', error }
+ */
+async function checkFile(baseUrl, file) {
+    const { attempts, retryDelay, timeout } = config.verification;
+    const url = `${baseUrl}/${file.path.split('/').map(encodeURIComponent).join('/')}`;
+    const result = { path: file.path, bytes: file.bytes, expectedHash: file.hash, actualHash: null, status: 'fail', error: null };
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) {
+                result.error = `HTTP ${response.status}`;
+            } else {
+                result.actualHash = computeHash(Buffer.from(await response.arrayBuffer()));
+                result.error = result.actualHash === file.hash ? null : 'hash mismatch';
+            }
+        } catch (error) {
+            result.error = error.name === 'TimeoutError' ? `timed out after ${timeout}ms` : error.message;
+        }
+
+        if (!result.error) {
+            result.status = 'pass';
+            return result;
+        }
+        // Freshly uploaded data can take a moment to reach the gateway
+        if (attempt < attempts) {
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+    }
+    return result;
+}
+
+/**
+ * Verify an uploaded archive against the hashes from hashFolderFiles()
+ * onProgress receives { checked, total, failed } as files are checked
+ * Returns { status: 'passed' | 'failed', gateway, total, passed, failed, verifiedAt, files }
+ */
+async function verifyUpload(manifestId, files, onProgress = () => {}) {
+    const baseUrl = getVerificationBaseUrl(manifestId);
+    console.log(`[Verify] Checking ${files.length} files of ${manifestId} at ${baseUrl}/...`);
+
+    const results = new Array(files.length);
+    let next = 0;
+    let checked = 0;
+    let failed = 0;
+
+    // A few files in flight at once; results keep the files' order
+    const worker = async () => {
+        for (let index = next++; index < files.length; index = next++) {
+            results[index] = await checkFile(baseUrl, files[index]);
+            checked++;
+            if (results[index].status === 'fail') {
+                failed++;
+                console.warn(`[Verify] ${files[index].path}: ${results[index].error}`);
+            }
+            onProgress({ checked, total: files.length, failed });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(config.verification.concurrency, files.length) }, worker));
+
+    const verification = {
+        status: failed === 0 ? 'passed' : 'failed',
+        gateway: baseUrl,
+        total: files.length,
+        passed: files.length - failed,
+        failed,
+        verifiedAt: new Date().toISOString(),
+        files: results
+    };
+    console.log(`[Verify] ${verification.passed}/${verification.total} files match for ${manifestId}`);
+    return verification;
+}
+
+module.exports = {
+    hashFolderFiles,
+    verifyUpload
+};
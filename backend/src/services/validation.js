@@ -0,0 +1,207 @@
+/**
+ * Offline Validation
+ * Before anything is uploaded, serves the scraped folder from a local static server with the
+ * gateway's path manifest semantics and loads every archived route in a browser that can't reach
+ * anything but that server. Console errors, failed requests and blank pages lower each route's
+ * score; an archive scoring below VALIDATION_MIN_SCORE is not uploaded.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config/config');
+const { acquireBrowserContext } = require('./browser-pool');
+const { INDEX_FILE, getPathCandidates } = require('../utils/gateway');
+const { getContentType } = require('../utils/content-type');
+
+// Points a route loses per problem (a route scores 0-100; blank or unloadable routes score 0)
+const FAILED_REQUEST_PENALTY = 10;
+const CONSOLE_ERROR_PENALTY = 5;
+
+// Problems listed per route (all of them count towards the score)
+const MAX_LISTED_ISSUES = 20;
+
+// Chromium logs every failed load as a console error too; those are counted as failed requests
+const FAILED_LOAD_MESSAGE = /^Failed to load resource/;
+
+/**
+ * Serve folder on a random local port: the exact path, then {path}/index.html, then the
+ * index.html fallback, like a path manifest with index and fallback set
+ * Returns { origin, close() }
+ */
+function startArchiveServer(folder) {
+    const rootDir = path.resolve(folder);
+
+    const server = http.createServer((req, res) => {
+        let requestPath;
+        try {
+            requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            res.writeHead(400).end();
+            return;
+        }
+
+        for (const candidate of [...getPathCandidates(requestPath), INDEX_FILE]) {
+            const filePath = path.resolve(rootDir, candidate);
+
+            // Security: Stay inside the scraped folder
+            if (!filePath.startsWith(rootDir + path.sep)) {
+                res.writeHead(400).end();
+                return;
+            }
+
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+                res.writeHead(200, { 'Content-Type': getContentType(filePath) });
+                fs.createReadStream(filePath).pipe(res);
+                return;
+            }
+        }
+
+        res.writeHead(404).end();
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                origin: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => {
+                    server.close(() => done());
+                    // The browser keeps connections alive (closeAllConnections() is Node 18.2+;
+                    // before that they end when the browser context is released)
+                    if (server.closeAllConnections) {
+                        server.closeAllConnections();
+                    }
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Whether the page shows anything: text, or an image, icon, canvas or video
+ */
+function hasVisibleContent(page) {
+    return page.evaluate(() => {
+        if (!document.body) return false;
+        if (document.body.innerText.trim().length > 0) return true;
+        return Array.from(document.body.querySelectorAll('img, svg, canvas, video, picture'))
+            .some(element => element.getBoundingClientRect().width > 0 && element.getBoundingClientRect().height > 0);
+    });
+}
+
+/**
+ * Load one route; issues collects the page's console errors and failed requests while it loads
+ * Returns { route, score, blank, error, consoleErrorCount, failedRequestCount, consoleErrors, failedRequests }
+ * with the lists capped at MAX_LISTED_ISSUES
+ */
+async function checkRoute(page, origin, route, issues) {
+    const result = { route, score: 0, blank: false, error: null };
+    issues.consoleErrors = [];
+    issues.failedRequests = [];
+
+    try {
+        const response = await page.goto(`${origin}${route}`, {
+            waitUntil: 'networkidle2',
+            timeout: config.validation.routeTimeout
+        });
+        if (response && !response.ok()) {
+            result.error = `HTTP ${response.status()}`;
+        } else {
+            // Let the app render after its scripts have loaded
+            await new Promise(resolve => setTimeout(resolve, config.validation.settleTime));
+            result.blank = !(await hasVisibleContent(page));
+        }
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    const { consoleErrors, failedRequests } = issues;
+    if (!result.error && !result.blank) {
+        const penalty = failedRequests.length * FAILED_REQUEST_PENALTY + consoleErrors.length * CONSOLE_ERROR_PENALTY;
+        result.score = Math.max(0, 100 - penalty);
+    }
+    return {
+        ...result,
+        consoleErrorCount: consoleErrors.length,
+        failedRequestCount: failedRequests.length,
+        consoleErrors: consoleErrors.slice(0, MAX_LISTED_ISSUES),
+        failedRequests: failedRequests.slice(0, MAX_LISTED_ISSUES)
+    };
+}
+
+/**
+ * Validate a scraped folder by loading routes from it with every non-local request blocked
+ * onProgress receives { checked, total, currentRoute } as routes are loaded
+ * Returns { score, minScore, passed, routes, validatedAt } where score is the routes' average
+ */
+async function validateArchive(folder, routes, onProgress = () => {}) {
+    const server = await startArchiveServer(folder);
+    const { context, release } = await acquireBrowserContext().catch(async (error) => {
+        await server.close();
+        throw error;
+    });
+    console.log(`[Validation] Loading ${routes.length} routes of ${folder} from ${server.origin}`);
+
+    const results = [];
+    try {
+        const page = await context.newPage();
+        const isLocal = (url) => url.startsWith(`${server.origin}/`) || /^(data|blob):/.test(url);
+
+        // Issues of the route being loaded; checkRoute() resets them per route
+        const issues = { consoleErrors: [], failedRequests: [] };
+
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+            if (isLocal(request.url())) {
+                request.continue();
+            } else {
+                // Anything not in the archive would come from the live origin (or nowhere) once uploaded
+                issues.failedRequests.push({ url: request.url(), reason: 'Not in the archive (external request blocked)' });
+                request.abort('blockedbyclient');
+            }
+        });
+        page.on('requestfailed', (request) => {
+            if (isLocal(request.url())) {
+                issues.failedRequests.push({ url: request.url(), reason: request.failure()?.errorText || 'Request failed' });
+            }
+        });
+        page.on('response', (response) => {
+            if (isLocal(response.url()) && response.status() >= 400) {
+                issues.failedRequests.push({ url: response.url(), reason: `HTTP ${response.status()}` });
+            }
+        });
+        page.on('console', (message) => {
+            if (message.type() === 'error' && !FAILED_LOAD_MESSAGE.test(message.text())) {
+                issues.consoleErrors.push(message.text());
+            }
+        });
+        page.on('pageerror', (error) => {
+            issues.consoleErrors.push(error.message);
+        });
+
+        for (const route of routes) {
+            onProgress({ checked: results.length, total: routes.length, currentRoute: route });
+            const result = await checkRoute(page, server.origin, route, issues);
+            results.push(result);
+            console.log(`[Validation] ${route}: ${result.score}/100${result.error ? ` (${result.error})` : result.blank ? ' (blank page)' : ''}, ${result.failedRequestCount} failed requests, ${result.consoleErrorCount} console errors`);
+        }
+        onProgress({ checked: results.length, total: routes.length, currentRoute: null });
+    } finally {
+        await release();
+        await server.close();
+    }
+
+    const { minScore } = config.validation;
+    const score = results.length > 0
+        ? Math.round(results.reduce((sum, result) => sum + result.score, 0) / results.length)
+        : 0;
+    const validation = { score, minScore, passed: score >= minScore, routes: results, validatedAt: new Date().toISOString() };
+    console.log(`[Validation] Score ${score}/100 (minimum ${minScore}): ${validation.passed ? 'passed' : 'failed'}`);
+    return validation;
+}
+
+module.exports = {
+    validateArchive
+};
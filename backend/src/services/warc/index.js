@@ -0,0 +1,196 @@
+/**
+ * WARC Recording
+ * Records the request/response pairs of a Puppeteer session as a WARC 1.1 file
+ * (/_forever/capture.warc.gz, one gzip member per record) so captures can be replayed
+ * with standard web-archive tools, and optionally packages it as a WACZ.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { config } = require('../../config/config');
+const { packageWacz } = require('./wacz');
+
+const WARC_FILENAME = 'capture.warc.gz';
+const WACZ_FILENAME = 'capture.wacz';
+
+// Bodies are stored decoded, so headers describing the transfer encoding no longer apply
+const TRANSFER_HEADERS = new Set(['content-encoding', 'transfer-encoding', 'content-length']);
+
+const CRLF = '\r\n';
+
+/**
+ * "sha256:<hex>" digest as used in WARC-Block-Digest / WARC-Payload-Digest
+ */
+function getDigest(buffer) {
+    return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * Header lines from a Puppeteer headers object (repeated headers are joined with "\n")
+ * HTTP/2 pseudo-headers (":authority") are dropped
+ */
+function formatHeaders(headers) {
+    const lines = [];
+    for (const [name, value] of Object.entries(headers)) {
+        if (name.startsWith(':')) continue;
+        for (const line of String(value).split('\n')) {
+            lines.push(`${name}: ${line}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * A new WARC-Record-ID
+ */
+function createRecordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+/**
+ * One WARC record: header block, content block and the two CRLFs that end it
+ */
+function buildRecord(type, recordId, fields, block) {
+    const header = [
+        'WARC/1.1',
+        `WARC-Type: ${type}`,
+        `WARC-Record-ID: ${recordId}`,
+        ...Object.entries(fields).filter(([, value]) => value !== null && value !== undefined).map(([name, value]) => `${name}: ${value}`),
+        `Content-Length: ${block.length}`
+    ].join(CRLF);
+    return Buffer.concat([Buffer.from(header + CRLF + CRLF, 'utf8'), block, Buffer.from(CRLF + CRLF, 'utf8')]);
+}
+
+/**
+ * Create a recorder writing into downloadDir's reserved folder
+ * record(response, body) appends a request and a response record; finish(pages) closes the
+ * file, packages it as WACZ when configured, and returns { format, path, records } with the
+ * archive path of the file, or null when nothing was recorded
+ */
+function createWarcRecorder(downloadDir) {
+    const folder = path.join(downloadDir, config.archive.reservedDir);
+    const warcPath = path.join(folder, WARC_FILENAME);
+    const index = []; // CDX entries for WACZ: { url, timestamp, mime, status, digest, offset, length }
+    let offset = 0;
+    let records = 0;
+    let finished = false; // Responses still arriving after finish() are dropped
+
+    const append = (record) => {
+        const gzipped = zlib.gzipSync(record);
+        fs.appendFileSync(warcPath, gzipped);
+        const entry = { offset, length: gzipped.length };
+        offset += gzipped.length;
+        return entry;
+    };
+
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(warcPath, Buffer.alloc(0));
+    append(buildRecord('warcinfo', createRecordId(), {
+        'WARC-Date': new Date().toISOString(),
+        'WARC-Filename': WARC_FILENAME,
+        'Content-Type': 'application/warc-fields'
+    }, Buffer.from([
+        'software: Forever Loved (Puppeteer)',
+        'format: WARC File Format 1.1',
+        'conformsTo: https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'
+    ].join(CRLF) + CRLF, 'utf8')));
+
+    // Append the response record, then the request record that produced it
+    const writeExchange = (response, body) => {
+        const request = response.request();
+        const url = new URL(response.url());
+        const date = new Date().toISOString();
+        const payload = body || Buffer.alloc(0);
+        const payloadDigest = getDigest(payload);
+
+        const responseHeaders = response.headers();
+        const headerLines = formatHeaders(Object.fromEntries(
+            Object.entries(responseHeaders).map(([name, value]) =>
+                [TRANSFER_HEADERS.has(name.toLowerCase()) ? `x-archive-orig-${name}` : name, value])
+        ));
+        headerLines.push(`content-length: ${payload.length}`);
+        const responseBlock = Buffer.concat([
+            Buffer.from(`HTTP/1.1 ${response.status()} ${response.statusText()}${CRLF}${headerLines.join(CRLF)}${CRLF}${CRLF}`, 'utf8'),
+            payload
+        ]);
+
+        const requestHeaders = request.headers();
+        const requestLines = formatHeaders(requestHeaders);
+        if (!Object.keys(requestHeaders).some(name => name.toLowerCase() === 'host')) {
+            requestLines.unshift(`host: ${url.host}`);
+        }
+        const postData = request.postData() || '';
+        const requestBlock = Buffer.from(
+            `${request.method()} ${url.pathname}${url.search} HTTP/1.1${CRLF}${requestLines.join(CRLF)}${CRLF}${CRLF}${postData}`, 'utf8');
+
+        const responseId = createRecordId();
+        const position = append(buildRecord('response', responseId, {
+            'WARC-Date': date,
+            'WARC-Target-URI': url.href,
+            'WARC-Block-Digest': getDigest(responseBlock),
+            'WARC-Payload-Digest': payloadDigest,
+            'Content-Type': 'application/http; msgtype=response'
+        }, responseBlock));
+        append(buildRecord('request', createRecordId(), {
+            'WARC-Date': date,
+            'WARC-Target-URI': url.href,
+            'WARC-Concurrent-To': responseId,
+            'WARC-Block-Digest': getDigest(requestBlock),
+            'Content-Type': 'application/http; msgtype=request'
+        }, requestBlock));
+        records++;
+
+        index.push({
+            url: url.href,
+            timestamp: date,
+            mime: (responseHeaders['content-type'] || '').split(';')[0].trim(),
+            status: response.status(),
+            digest: payloadDigest,
+            ...position
+        });
+    };
+
+    /**
+     * Record a Puppeteer response and its request; body is null for responses without one (redirects)
+     * Never throws: a response that can't be recorded is logged and left out
+     */
+    const record = (response, body) => {
+        if (finished) {
+            return;
+        }
+        try {
+            writeExchange(response, body);
+        } catch (error) {
+            console.warn(`[WARC] Could not record ${response.url().substring(0, 80)}: ${error.message}`);
+        }
+    };
+
+    /**
+     * pages lists { url, title } for the WACZ page list
+     */
+    const finish = async (pages) => {
+        finished = true;
+        if (records === 0) {
+            fs.rmSync(warcPath, { force: true });
+            return null;
+        }
+
+        if (config.scraping.webArchive.format !== 'wacz') {
+            console.log(`[WARC] Recorded ${records} responses in /${config.archive.reservedDir}/${WARC_FILENAME}`);
+            return { format: 'warc', path: `/${config.archive.reservedDir}/${WARC_FILENAME}`, records };
+        }
+
+        await packageWacz(path.join(folder, WACZ_FILENAME), { warcPath, warcName: WARC_FILENAME, index, pages });
+        fs.rmSync(warcPath, { force: true });
+        console.log(`[WARC] Packaged ${records} responses in /${config.archive.reservedDir}/${WACZ_FILENAME}`);
+        return { format: 'wacz', path: `/${config.archive.reservedDir}/${WACZ_FILENAME}`, records };
+    };
+
+    return { record, finish };
+}
+
+module.exports = {
+    createWarcRecorder
+};
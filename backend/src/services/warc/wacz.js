@@ -0,0 +1,105 @@
+/**
+ * WACZ Packaging
+ * Packages a WARC as WACZ 1.1.1: the WARC under archive/, a CDXJ index of its response
+ * records, the list of captured pages and a datapackage.json with the hash of each file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeZip } = require('./zip');
+
+const WACZ_VERSION = '1.1.1';
+
+/**
+ * SURT form of a URL for CDXJ sorting: "https://www.Example.com/a?b" -> "com,example)/a?b"
+ */
+function toSurt(url) {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+    const port = parsed.port ? `:${parsed.port}` : '';
+    return `${host}${port})${parsed.pathname.toLowerCase()}${parsed.search}`;
+}
+
+/**
+ * 14-digit CDX timestamp from an ISO date
+ */
+function toCdxTimestamp(isoDate) {
+    return isoDate.replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * "sha256:<hex>" of a buffer or a file (streamed, WARCs can be large)
+ */
+async function hashContent(entry) {
+    const hash = crypto.createHash('sha256');
+    if (entry.buffer) {
+        hash.update(entry.buffer);
+    } else {
+        for await (const chunk of fs.createReadStream(entry.filePath)) {
+            hash.update(chunk);
+        }
+    }
+    return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Write a WACZ at waczPath
+ * options: { warcPath, warcName, index: CDX entries, pages: [{ url, title }] }
+ */
+async function packageWacz(waczPath, options) {
+    const { warcPath, warcName, index, pages } = options;
+    const created = new Date().toISOString();
+    const warcEntryName = `archive/${warcName}`;
+
+    const cdxj = index
+        .map(entry => {
+            const fields = {
+                url: entry.url,
+                mime: entry.mime,
+                status: String(entry.status),
+                digest: entry.digest,
+                length: String(entry.length),
+                offset: String(entry.offset),
+                filename: warcName
+            };
+            return `${toSurt(entry.url)} ${toCdxTimestamp(entry.timestamp)} ${JSON.stringify(fields)}`;
+        })
+        .sort()
+        .join('\n') + '\n';
+
+    const pageLines = [JSON.stringify({ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' })];
+    pages.forEach((page, i) => {
+        pageLines.push(JSON.stringify({ id: String(i + 1), url: page.url, title: page.title || undefined, ts: created }));
+    });
+
+    const entries = [
+        { name: warcEntryName, filePath: warcPath },
+        { name: 'indexes/index.cdx', buffer: Buffer.from(cdxj, 'utf8') },
+        { name: 'pages/pages.jsonl', buffer: Buffer.from(pageLines.join('\n') + '\n', 'utf8') }
+    ];
+
+    const datapackage = {
+        profile: 'data-package',
+        wacz_version: WACZ_VERSION,
+        title: pages[0] ? pages[0].url : 'Capture',
+        created,
+        software: 'Forever Loved',
+        mainPageUrl: pages[0] ? pages[0].url : undefined,
+        resources: []
+    };
+    for (const entry of entries) {
+        datapackage.resources.push({
+            name: entry.name.split('/').pop(),
+            path: entry.name,
+            hash: await hashContent(entry),
+            bytes: entry.buffer ? entry.buffer.length : fs.statSync(entry.filePath).size
+        });
+    }
+    entries.push({ name: 'datapackage.json', buffer: Buffer.from(JSON.stringify(datapackage, null, 2), 'utf8') });
+
+    writeZip(waczPath, entries);
+}
+
+module.exports = {
+    packageWacz
+};
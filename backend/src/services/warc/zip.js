@@ -0,0 +1,141 @@
+/**
+ * ZIP Writer
+ * Writes uncompressed (stored) ZIP files, as WACZ requires for its WARC files so
+ * replay tools can read records by offset. Entries are streamed from disk or buffers.
+ */
+
+const fs = require('fs');
+
+// Bytes copied per read when streaming a file entry
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+// Entry modification date: 1980-01-01, the earliest a ZIP can store
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Continue a CRC-32 over buffer (start with crc = 0)
+ */
+function updateCrc32(crc, buffer) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read a file in chunks, calling onChunk with each one
+ */
+function readChunks(filePath, onChunk) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const chunk = Buffer.alloc(COPY_CHUNK_SIZE);
+        for (let bytesRead = fs.readSync(fd, chunk); bytesRead > 0; bytesRead = fs.readSync(fd, chunk)) {
+            onChunk(chunk.subarray(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Write a ZIP file at zipPath from entries [{ name, buffer } | { name, filePath }]
+ * Entries are stored without compression; sizes are limited to 4 GiB (no ZIP64)
+ */
+function writeZip(zipPath, entries) {
+    const fd = fs.openSync(zipPath, 'w');
+    const central = [];
+    let offset = 0;
+
+    const write = (buffer) => {
+        fs.writeSync(fd, buffer);
+        offset += buffer.length;
+    };
+
+    try {
+        for (const entry of entries) {
+            let crc = 0;
+            let size = 0;
+            if (entry.buffer) {
+                crc = updateCrc32(0, entry.buffer);
+                size = entry.buffer.length;
+            } else {
+                readChunks(entry.filePath, (chunk) => {
+                    crc = updateCrc32(crc, chunk);
+                    size += chunk.length;
+                });
+            }
+            if (size > 0xffffffff) {
+                throw new Error(`${entry.name} is too large for a ZIP file without ZIP64`);
+            }
+
+            const name = Buffer.from(entry.name, 'utf8');
+            const localOffset = offset;
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+            local.writeUInt16LE(20, 4);          // Version needed to extract
+            local.writeUInt16LE(0x0800, 6);      // Flags: UTF-8 names
+            local.writeUInt16LE(0, 8);           // Method: stored
+            local.writeUInt16LE(0, 10);          // DOS time
+            local.writeUInt16LE(DOS_DATE, 12);   // DOS date
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(size, 18);       // Compressed size
+            local.writeUInt32LE(size, 22);       // Uncompressed size
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);          // Extra field length
+            write(local);
+            write(name);
+
+            if (entry.buffer) {
+                write(entry.buffer);
+            } else {
+                readChunks(entry.filePath, write);
+            }
+
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+            header.writeUInt16LE(20, 4);         // Version made by
+            header.writeUInt16LE(20, 6);         // Version needed to extract
+            header.writeUInt16LE(0x0800, 8);
+            header.writeUInt16LE(0, 10);
+            header.writeUInt16LE(0, 12);
+            header.writeUInt16LE(DOS_DATE, 14);
+            header.writeUInt32LE(crc, 16);
+            header.writeUInt32LE(size, 20);
+            header.writeUInt32LE(size, 24);
+            header.writeUInt16LE(name.length, 28);
+            header.writeUInt32LE(localOffset, 42);
+            central.push(header, name);
+        }
+
+        const centralOffset = offset;
+        central.forEach(write);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);    // End of central directory signature
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - centralOffset, 12);
+        end.writeUInt32LE(centralOffset, 16);
+        write(end);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    writeZip
+};
@@ -0,0 +1,36 @@
+/**
+ * Folder Utilities
+ * Walks scraped archive folders for sizes, uploads and estimates
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * List every file in a folder, recursively
+ * Returns [{ path, bytes }] with paths relative to the folder using forward slashes (manifest paths)
+ */
+function listFolderFiles(folderPath) {
+    const files = [];
+
+    function walkDir(dir) {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const filePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walkDir(filePath);
+            } else if (entry.isFile()) {
+                files.push({
+                    path: path.relative(folderPath, filePath).split(path.sep).join('/'),
+                    bytes: fs.statSync(filePath).size
+                });
+            }
+        }
+    }
+
+    walkDir(folderPath);
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+module.exports = {
+    listFolderFiles
+};
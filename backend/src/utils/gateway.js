@@ -0,0 +1,21 @@
+/**
+ * Gateway Path Resolution
+ * The order in which an Arweave gateway looks up a request path in a path manifest,
+ * shared by the local storage backend and archive previews
+ */
+
+const INDEX_FILE = 'index.html';
+
+/**
+ * Manifest paths to try for a request path, in order: the exact path, then {path}/index.html,
+ * or the index file for "/". The SPA fallback (index.html) is left to the caller.
+ */
+function getPathCandidates(requestPath, indexFile = INDEX_FILE) {
+    const subPath = (requestPath || '').replace(/^\/+|\/+$/g, '');
+    return subPath ? [subPath, `${subPath}/${INDEX_FILE}`] : [indexFile];
+}
+
+module.exports = {
+    INDEX_FILE,
+    getPathCandidates
+};
@@ -5,26 +5,59 @@
 
 const fs = require('fs');
 const path = require('path');
+const { config } = require('../config/config');
+const { BACKENDS } = require('../services/storage');
+const { PRICE_SOURCES } = require('../services/pricing');
+const { getDeploymentRules } = require('../services/policy');
 
 function validateEnvironment() {
     const errors = [];
     const warnings = [];
     const rootDir = path.resolve(__dirname, '../../../');
 
-    // Check for Arweave keyfile
-    // First check if ARWEAVE_WALLET_PATH is set (common in Docker)
-    const envKeyfilePath = process.env.ARWEAVE_WALLET_PATH;
-    if (envKeyfilePath) {
-        if (!fs.existsSync(envKeyfilePath)) {
-            errors.push(`Arweave keyfile not found at ${envKeyfilePath}`);
-        }
-    } else {
-        // Fall back to scanning for arweave-keyfile-*.json in project root
-        const files = fs.readdirSync(rootDir);
-        const keyfile = files.find(f => f.startsWith('arweave-keyfile-') && f.endsWith('.json'));
+    // Check the storage backend
+    if (!BACKENDS.includes(config.storage.backend)) {
+        errors.push(`Unknown STORAGE_BACKEND "${config.storage.backend}". Use one of: ${BACKENDS.join(', ')}.`);
+    } else if (config.storage.backend === 'local') {
+        warnings.push(`Using local storage in ${config.storage.localPath}. Archives are not uploaded to Arweave.`);
+    }
+
+    // Check the price source used for upload cost estimates
+    if (!PRICE_SOURCES.includes(config.pricing.source)) {
+        errors.push(`Unknown PRICE_SOURCE "${config.pricing.source}". Use one of: ${PRICE_SOURCES.join(', ')}.`);
+    }
+
+    // Check the deployment's resource policy (RESOURCE_POLICY)
+    try {
+        getDeploymentRules();
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    // Check the browser pool (a pool without browsers could never run a job)
+    if (!(config.browserPool.size >= 1)) {
+        errors.push(`BROWSER_POOL_SIZE must be a number of at least 1 (got "${process.env.BROWSER_POOL_SIZE}").`);
+    }
+    if (!(config.browserPool.maxJobsPerBrowser >= 1)) {
+        errors.push(`BROWSER_MAX_JOBS must be a number of at least 1 (got "${process.env.BROWSER_MAX_JOBS}").`);
+    }
+
+    // Check for Arweave keyfile (only needed to upload with Turbo)
+    if (config.storage.backend === 'turbo') {
+        // First check if ARWEAVE_WALLET_PATH is set (common in Docker)
+        const envKeyfilePath = process.env.ARWEAVE_WALLET_PATH;
+        if (envKeyfilePath) {
+            if (!fs.existsSync(envKeyfilePath)) {
+                errors.push(`Arweave keyfile not found at ${envKeyfilePath}`);
+            }
+        } else {
+            // Fall back to scanning for arweave-keyfile-*.json in project root
+            const files = fs.readdirSync(rootDir);
+            const keyfile = files.find(f => f.startsWith('arweave-keyfile-') && f.endsWith('.json'));
 
-        if (!keyfile) {
-            errors.push('Arweave keyfile not found. Place arweave-keyfile-*.json in project root or set ARWEAVE_WALLET_PATH.');
+            if (!keyfile) {
+                errors.push('Arweave keyfile not found. Place arweave-keyfile-*.json in project root or set ARWEAVE_WALLET_PATH.');
+            }
         }
     }
 
@@ -0,0 +1,103 @@
+/**
+ * Route Crawling Tests
+ * Path patterns (CRAWL_INCLUDE / CRAWL_EXCLUDE, policy paths) and the crawl frontier's limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { patternToRegex, createCrawler, normalizeRoute } = require('../src/services/scrape/crawl');
+
+const LIMITS = { maxDepth: 3, maxRoutes: 50, include: [], exclude: [], samplesPerPattern: 2 };
+
+test('"*" matches within one path segment', () => {
+    const regex = patternToRegex('/blog/*');
+    assert.ok(regex.test('/blog/post'));
+    assert.ok(regex.test('/blog/post/'));
+    assert.ok(!regex.test('/blog/2024/post'));
+    assert.ok(!regex.test('/blogs/post'));
+});
+
+test('"**" matches across segments', () => {
+    assert.ok(patternToRegex('/docs/**/edit').test('/docs/a/b/edit'));
+    assert.ok(patternToRegex('**/pagead/**').test('/x/pagead/conversion'));
+    assert.ok(!patternToRegex('/docs/**/edit').test('/docs/a/b/view'));
+});
+
+test('a trailing "/**" also matches the path itself', () => {
+    const regex = patternToRegex('/admin/**');
+    assert.ok(regex.test('/admin'));
+    assert.ok(regex.test('/admin/'));
+    assert.ok(regex.test('/admin/users/1'));
+    assert.ok(!regex.test('/administrator'));
+    assert.ok(patternToRegex('/**').test('/'));
+});
+
+test('patterns treat regex characters literally', () => {
+    assert.ok(patternToRegex('/a.b/*').test('/a.b/c'));
+    assert.ok(!patternToRegex('/a.b/*').test('/axb/c'));
+});
+
+test('normalizeRoute drops the query, fragment and trailing slash', () => {
+    assert.strictEqual(normalizeRoute('/about/?ref=1#team'), '/about');
+    assert.strictEqual(normalizeRoute('/about//'), '/about');
+    assert.strictEqual(normalizeRoute('/'), '/');
+    assert.strictEqual(normalizeRoute('/?ref=1'), '/');
+});
+
+test('the crawl starts at the homepage, and routes differing only in their trailing slash are one route', () => {
+    const crawler = createCrawler(LIMITS);
+    const home = crawler.next();
+    assert.deepStrictEqual([home.route, home.depth, home.status], ['/', 0, 'queued']);
+    crawler.markVisited(home.route);
+
+    crawler.add('/', home.depth + 1, '/about');
+    crawler.add('/about/', home.depth + 1, home.route, 'dom');
+    crawler.add('/about?tab=team', home.depth + 1, home.route, 'js');
+    crawler.addPatterns(['/blog/:slug/', '/docs/:page?']);
+
+    const { nodes, edges, patterns } = crawler.getGraph();
+    assert.deepStrictEqual(nodes.map(node => [node.route, node.depth, node.status, node.sources]), [
+        ['/', 0, 'visited', []],
+        ['/about', 1, 'queued', ['dom', 'js']]
+    ]);
+    assert.deepStrictEqual(edges, [{ from: '/about', to: '/' }, { from: '/', to: '/about' }]);
+    assert.deepStrictEqual(patterns.map(pattern => pattern.pattern), ['/blog/:slug', '/docs/:page?']);
+    assert.deepStrictEqual(crawler.getCounts(), { discovered: 1, toVisit: 1, visited: 0, failed: 0, skipped: 0 });
+});
+
+test('excluded and not included routes are skipped with their reason', () => {
+    const crawler = createCrawler({ ...LIMITS, include: ['/blog/**', '/admin/**'], exclude: ['/admin/**'] });
+    crawler.add('/admin', 1, '/');
+    crawler.add('/blog', 1, '/');
+    crawler.add('/pricing', 1, '/');
+
+    const nodes = Object.fromEntries(crawler.getGraph().nodes.map(node => [node.route, node]));
+    assert.strictEqual(nodes['/admin'].reason, 'excluded');
+    assert.strictEqual(nodes['/blog'].status, 'queued');
+    assert.strictEqual(nodes['/pricing'].reason, 'not_included');
+});
+
+test('routes beyond the depth and route limits are skipped, files are ignored', () => {
+    const crawler = createCrawler({ ...LIMITS, maxDepth: 1, maxRoutes: 1 });
+    crawler.add('/a', 1, '/');
+    crawler.add('/b', 1, '/');
+    crawler.add('/a/deep', 2, '/a');
+    crawler.add('/logo.png', 1, '/');
+
+    const nodes = Object.fromEntries(crawler.getGraph().nodes.map(node => [node.route, node]));
+    assert.strictEqual(nodes['/a'].status, 'queued');
+    assert.strictEqual(nodes['/b'].reason, 'max_routes');
+    assert.strictEqual(nodes['/a/deep'].reason, 'max_depth');
+    assert.ok(!nodes['/logo.png']);
+    assert.deepStrictEqual([crawler.next().route, crawler.next().route, crawler.next()], ['/', '/a', null]);
+});
+
+test('parameterized routes are sampled up to samplesPerPattern', () => {
+    const crawler = createCrawler(LIMITS);
+    crawler.addPatterns(['/blog/:slug']);
+    ['/blog/a', '/blog/b', '/blog/c'].forEach(route => crawler.add(route, 1, '/'));
+
+    const { nodes, patterns } = crawler.getGraph();
+    assert.deepStrictEqual(patterns, [{ pattern: '/blog/:slug', samples: ['/blog/a', '/blog/b'], matched: 3 }]);
+    assert.strictEqual(nodes.find(node => node.route === '/blog/c').reason, 'pattern_sampled');
+});
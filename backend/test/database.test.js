@@ -0,0 +1,45 @@
+/**
+ * Archive History Tests
+ * Every archive attempt lands in archive_versions, only successful ones become the project's archive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { config } = require('../src/config/config');
+const {
+    initDatabase,
+    saveMappingToDB,
+    logFailedArchive,
+    getArchiveRecord,
+    getArchiveVersions,
+    getLatestSuccessfulVersion
+} = require('../src/db/database');
+
+config.db.path = ':memory:';
+
+test.before(() => initDatabase());
+
+test('successful archives are versioned and become the project\'s current archive', async () => {
+    await saveMappingToDB('history-project', 'manifest-1', { htmlHash: 'hash-1', archiveSizeMB: 1.5, archiveTimeSeconds: 12 });
+    await saveMappingToDB('history-project', 'manifest-2', { htmlHash: 'hash-2', arnsUrl: 'https://history_forever.ar.io' });
+
+    assert.deepStrictEqual(await getArchiveRecord('history-project'), {
+        manifest_id: 'manifest-2', html_hash: 'hash-2', arns_url: 'https://history_forever.ar.io'
+    });
+    const versions = await getArchiveVersions('history-project');
+    assert.deepStrictEqual(versions.map(version => [version.manifest_id, version.status]), [['manifest-2', 'success'], ['manifest-1', 'success']]);
+    assert.deepStrictEqual([versions[1].archive_size_mb, versions[1].archive_time_seconds], [1.5, 12]);
+});
+
+test('failed attempts are versioned without replacing the current archive', async () => {
+    await saveMappingToDB('failing-project', 'manifest-good', { htmlHash: 'hash-good' });
+    await logFailedArchive('failing-project', 'hash-bad', 3);
+
+    assert.strictEqual((await getArchiveRecord('failing-project')).manifest_id, 'manifest-good');
+    assert.strictEqual((await getLatestSuccessfulVersion('failing-project')).manifest_id, 'manifest-good');
+    const [failed] = await getArchiveVersions('failing-project');
+    assert.deepStrictEqual([failed.status, failed.manifest_id, failed.html_hash], ['failed', null, 'hash-bad']);
+
+    assert.strictEqual(await getArchiveRecord('unknown-project'), null);
+    assert.deepStrictEqual(await getArchiveVersions('unknown-project'), []);
+});
@@ -0,0 +1,135 @@
+/**
+ * Resource Policy Tests
+ * Rule matching and validation, and how the rewriter applies the policy to archived pages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { config } = require('../src/config/config');
+const { validatePolicyRules, getDeploymentRules, createResourcePolicy } = require('../src/services/policy');
+const { createRewriter } = require('../src/services/rewrite');
+
+const PAGE_URL = 'https://example.com/';
+
+/**
+ * Rewrite an HTML page of example.com with the default policy plus rules
+ */
+function rewritePage(html, rules = []) {
+    const rewriter = createRewriter({
+        isFirstPartyHost: host => host === 'example.com',
+        policy: createResourcePolicy(rules)
+    });
+    return rewriter.rewrite('html', html, PAGE_URL, '/index.html');
+}
+
+test('the defaults block analytics hosts and their subdomains, not www.google.com', () => {
+    const policy = createResourcePolicy();
+    assert.strictEqual(policy.getAction('https://www.googletagmanager.com/gtm.js?id=GTM-1'), 'block');
+    assert.strictEqual(policy.getAction('https://hotjar.com/'), 'block');
+    assert.strictEqual(policy.getAction('https://script.hotjar.com/modules.js'), 'block');
+    assert.strictEqual(policy.getAction('https://www.google.com/recaptcha/api.js'), 'capture');
+    assert.strictEqual(policy.getAction('https://www.google.com/pagead/conversion/1/'), 'block');
+    assert.strictEqual(policy.getAction('https://example.com/app.js'), 'capture');
+});
+
+test('host, path and mime patterns must all match, and the first matching rule wins', () => {
+    const policy = createResourcePolicy([
+        { host: 'www.googletagmanager.com', path: '/ns.html', action: 'capture' },
+        { host: 'cdn*.example.com', mime: 'video/*', action: 'strip' },
+        { path: '/private/**', action: 'block' }
+    ]);
+    assert.strictEqual(policy.getAction('https://www.googletagmanager.com/ns.html'), 'capture');
+    assert.strictEqual(policy.getAction('https://www.googletagmanager.com/gtm.js'), 'block');
+    assert.strictEqual(policy.getAction('https://cdn1.example.com/a.mp4', 'video/mp4; codecs=avc1'), 'strip');
+    assert.strictEqual(policy.getAction('https://cdn1.example.com/a.mp4'), 'capture');
+    assert.strictEqual(policy.getAction('https://cdn.a.example.com/a.mp4', 'video/mp4'), 'capture');
+    assert.strictEqual(policy.getAction(new URL('https://example.com/private')), 'block');
+});
+
+test('invalid rules are rejected with the rule number', () => {
+    assert.throws(() => validatePolicyRules({}), /expected an array of rules/);
+    assert.throws(() => validatePolicyRules([{ host: 'a.com', action: 'drop' }]), /rule 1 needs an action/);
+    assert.throws(() => validatePolicyRules([{ host: 'a.com', action: 'block' }, { action: 'block' }]), /rule 2 needs a host, path or mime/);
+    assert.throws(() => validatePolicyRules([{ host: 'a.com', action: 'block', hosts: 'b.com' }]), /unknown field "hosts"/);
+    assert.throws(() => validatePolicyRules([{ path: 'admin', action: 'block' }]), /path that doesn't start/);
+    assert.throws(() => validatePolicyRules([{ mime: 'video', action: 'block' }]), /mime that isn't "type\/subtype"/);
+    assert.throws(() => validatePolicyRules([{ mime: '*/*', action: 'block' }]), /mime that isn't "type\/subtype" or "type\/\*"/);
+    assert.throws(() => validatePolicyRules([{ mime: 'video/mp*', action: 'block' }]), /mime that isn't/);
+    assert.doesNotThrow(() => validatePolicyRules([{ mime: 'video/*', action: 'strip' }, { mime: 'image/svg+xml', action: 'block' }]));
+});
+
+test('patterns with regex characters are matched literally', () => {
+    const rules = validatePolicyRules([
+        { host: 'a(b).example.com', action: 'block' },
+        { path: '/files[1]/**', action: 'strip' },
+        { mime: 'image/svg+xml', action: 'block' }
+    ]);
+    const policy = createResourcePolicy(rules);
+    assert.strictEqual(policy.getAction('https://example.com/files[1]/a.png'), 'strip');
+    assert.strictEqual(policy.getAction('https://example.com/files1/a.png'), 'capture');
+    assert.strictEqual(policy.getAction('https://example.com/icon.svg', 'image/svg+xml'), 'block');
+    assert.strictEqual(policy.getAction('https://example.com/icon.svg', 'image/svgxxml'), 'capture');
+});
+
+test('deployment rules come from RESOURCE_POLICY and sit between request rules and the defaults', () => {
+    const previous = config.policy.rules;
+    try {
+        config.policy.rules = '[{ "host": "*.intercom.io", "action": "block" }, { "host": "static.hotjar.com", "action": "capture" }]';
+        assert.strictEqual(getDeploymentRules().length, 2);
+        assert.strictEqual(createResourcePolicy().getAction('https://widget.intercom.io/w.js'), 'block');
+        assert.strictEqual(createResourcePolicy().getAction('https://static.hotjar.com/c/hotjar-1.js'), 'capture');
+        assert.strictEqual(createResourcePolicy([{ host: 'widget.intercom.io', action: 'capture' }]).getAction('https://widget.intercom.io/w.js'), 'capture');
+
+        config.policy.rules = '[{ "action": "block" }';
+        assert.throws(() => getDeploymentRules(), /Invalid resource policy/);
+    } finally {
+        config.policy.rules = previous;
+    }
+});
+
+test('inline tracker snippets stand for the URL they load', () => {
+    const policy = createResourcePolicy();
+    assert.deepStrictEqual(policy.getSnippetUrls("window.dataLayer = window.dataLayer || []; function gtag(){dataLayer.push(arguments);} gtag('js', new Date());"),
+        ['https://www.googletagmanager.com/gtag/js']);
+    assert.deepStrictEqual(policy.getSnippetUrls('h._hjSettings={hjid:1,hjsv:6};'), ['https://static.hotjar.com/c/hotjar.js']);
+    assert.deepStrictEqual(policy.getSnippetUrls('console.log("app")'), []);
+});
+
+test('inline scripts and noscript fallbacks loading blocked trackers are removed', () => {
+    const html = [
+        "<script>(function(w,d,s,l,i){j.src='https://www.googletagmanager.com/gtm.js?id='+i;})(window,document,'script','dataLayer','GTM-1');</script>",
+        "<script>window.dataLayer = window.dataLayer || []; function gtag(){dataLayer.push(arguments);} gtag('config', 'G-1');</script>",
+        "<script>(function(h,o,t,j){h._hjSettings={hjid:1,hjsv:6};})(window,document,'https://static.hotjar.com/c/hotjar-','.js?sv=');</script>",
+        '<noscript><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-1" height="0" width="0"></iframe></noscript>',
+        '<noscript><p>Please enable JavaScript</p><img src="https://www.google-analytics.com/collect?v=1"></noscript>',
+        '<script>console.log("app");</script>'
+    ].join('\n');
+
+    assert.strictEqual(rewritePage(html), [
+        '<!-- script removed by resource policy -->',
+        '<!-- script removed by resource policy -->',
+        '<!-- script removed by resource policy -->',
+        '<!-- noscript removed by resource policy -->',
+        '<noscript><p>Please enable JavaScript</p><!-- img removed by resource policy --></noscript>',
+        '<script>console.log("app");</script>'
+    ].join('\n'));
+});
+
+test('trackers are kept when a rule captures them', () => {
+    const html = "<script>window.dataLayer = window.dataLayer || []; function gtag(){dataLayer.push(arguments);} gtag('config', 'G-1');</script>";
+    assert.strictEqual(rewritePage(html, [{ host: 'www.googletagmanager.com', action: 'capture' }]), html);
+});
+
+test('blocked URLs outside removed elements are left unchanged, never pointed into the archive', () => {
+    const html = [
+        '<script type="application/json">{"endpoint":"https://www.google-analytics.com/g/collect"}</script>',
+        '<div style="background: url(https://www.google-analytics.com/pixel.gif)"></div>',
+        '<img src="https://cdn.other.com/photo.jpg">'
+    ].join('\n');
+
+    assert.strictEqual(rewritePage(html), [
+        '<script type="application/json">{"endpoint":"https://www.google-analytics.com/g/collect"}</script>',
+        '<div style="background: url(https://www.google-analytics.com/pixel.gif)"></div>',
+        '<img src="/_external/cdn.other.com/photo.jpg">'
+    ].join('\n'));
+});
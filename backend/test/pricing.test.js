@@ -0,0 +1,74 @@
+/**
+ * Upload Cost Estimate Tests
+ * estimateUploadCost() with the static price source, for a first archive and a re-archive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { initDatabase, recordUploadedFile } = require('../src/db/database');
+const { estimateUploadCost } = require('../src/services/pricing');
+const { planFolderUpload } = require('../src/services/storage/incremental');
+
+const GIB = 1024 ** 3;
+// Overhead added to every data item by the estimate
+const OVERHEAD = 1100;
+
+config.db.path = ':memory:';
+config.pricing.source = 'static';
+config.pricing.staticWincPerGiB = String(GIB);
+
+/**
+ * Write files ({ path: contents }) into a temporary folder, run fn with it and remove it
+ */
+async function withFolder(files, fn) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-test-'));
+    try {
+        for (const [filePath, contents] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(folder, filePath)), { recursive: true });
+            fs.writeFileSync(path.join(folder, filePath), contents);
+        }
+        return await fn(folder);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+test.before(() => initDatabase());
+
+test('every file and the path manifest are priced, files are grouped by type', async () => {
+    await withFolder({ 'index.html': 'x'.repeat(10), 'assets/app.js': 'x'.repeat(5000), 'assets/blob.bin': 'x'.repeat(300) }, async (folder) => {
+        const estimate = await estimateUploadCost(folder);
+        assert.strictEqual(estimate.totalBytes, 5310);
+        assert.strictEqual(estimate.fileCount, 3);
+        assert.deepStrictEqual(estimate.filesByType, {
+            html: { count: 1, bytes: 10 }, js: { count: 1, bytes: 5000 }, other: { count: 1, bytes: 300 }
+        });
+        assert.deepStrictEqual(estimate.upload, { fileCount: 3, bytes: 5310, reusedFiles: 0 });
+
+        // One winc per byte: the files and the manifest, each with the data item overhead
+        const winc = BigInt(estimate.cost.winc);
+        assert.ok(winc > BigInt(5310 + 4 * OVERHEAD));
+        assert.ok(winc < BigInt(5310 + 4 * OVERHEAD + 1000));
+        assert.strictEqual(estimate.cost.priceSource, 'static');
+        assert.strictEqual(estimate.cost.credits, Number(winc) / 1e12);
+    });
+});
+
+test('files already uploaded for the project count towards the size but not the cost', async () => {
+    await withFolder({ 'index.html': 'x'.repeat(10), 'assets/app.js': 'x'.repeat(5000) }, async (folder) => {
+        const first = await estimateUploadCost(folder, 'pricing-project');
+        const app = (await planFolderUpload(folder, 'pricing-project')).find(file => file.path === 'assets/app.js');
+        await recordUploadedFile('pricing-project', { contentHash: app.contentHash, contentType: app.contentType, txId: 'a'.repeat(43), bytes: app.bytes });
+
+        const again = await estimateUploadCost(folder, 'pricing-project');
+        assert.strictEqual(again.totalBytes, 5010);
+        assert.deepStrictEqual(again.upload, { fileCount: 1, bytes: 10, reusedFiles: 1 });
+        assert.strictEqual(BigInt(first.cost.winc) - BigInt(again.cost.winc), BigInt(5000 + OVERHEAD));
+        // Another project has nothing to reuse
+        assert.strictEqual((await estimateUploadCost(folder, 'other-project')).cost.winc, first.cost.winc);
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Archive Queue Tests
+ * What happens on startup to jobs a previous run of the server left unfinished
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_STATUS, getResumeAction } = require('../src/services/queue');
+
+test('jobs that never started are queued again as they are', () => {
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.QUEUED, attempts: 0 }), 'queue');
+});
+
+test('interrupted jobs start over until they have been interrupted too often', () => {
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.SCRAPING, attempts: 1 }), 'retry');
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.UPLOADING, attempts: 2 }), 'retry');
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.SCRAPING, attempts: 3 }), 'fail');
+});
+
+test('jobs whose upload finished resume at ArNS, however often they were interrupted', () => {
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.ASSIGNING_ARNS, attempts: 1, manifestId: 'm' }), 'resume');
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.ASSIGNING_ARNS, attempts: 5, manifestId: 'm' }), 'resume');
+});
+
+test('previews keep waiting for approval only while their scraped files are there', () => {
+    const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+    try {
+        assert.strictEqual(getResumeAction({ status: JOB_STATUS.AWAITING_APPROVAL, attempts: 1, workdir }), 'wait');
+    } finally {
+        fs.rmSync(workdir, { recursive: true, force: true });
+    }
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.AWAITING_APPROVAL, attempts: 1, workdir }), 'expire');
+    assert.strictEqual(getResumeAction({ status: JOB_STATUS.AWAITING_APPROVAL, attempts: 1, workdir: null }), 'expire');
+});
@@ -0,0 +1,105 @@
+/**
+ * Archive Quota Tests
+ * The single-file limit, the capture budget and the check of a scraped folder before upload
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { getOversizeReason, createCaptureBudget, checkArchiveQuotas } = require('../src/services/quotas');
+
+const MB = 1024 * 1024;
+
+/**
+ * Run fn with config.quotas temporarily replaced by limits
+ */
+function withQuotas(limits, fn) {
+    const previous = config.quotas;
+    config.quotas = { ...previous, ...limits };
+    try {
+        return fn();
+    } finally {
+        config.quotas = previous;
+    }
+}
+
+/**
+ * Write files ({ path: bytes }) into a temporary folder, run fn with it and remove it
+ */
+function withFolder(files, fn) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'quotas-test-'));
+    try {
+        for (const [filePath, bytes] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(folder, filePath)), { recursive: true });
+            fs.writeFileSync(path.join(folder, filePath), Buffer.alloc(bytes));
+        }
+        return fn(folder);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+test('getOversizeReason explains files over the single-file limit', () => {
+    withQuotas({ maxFileMB: 1 }, () => {
+        assert.strictEqual(getOversizeReason(MB), null);
+        assert.strictEqual(getOversizeReason(2.5 * MB), '2.5 MB is over the 1 MB file size limit');
+    });
+});
+
+test('the capture budget trips once the archive is too large and stays tripped', () => {
+    withQuotas({ maxArchiveMB: 1, maxFiles: 10 }, () => {
+        const budget = createCaptureBudget();
+        assert.strictEqual(budget.add('https://example.com/a.js', 0.6 * MB), null);
+        // Capturing a URL again replaces its size instead of adding to it
+        assert.strictEqual(budget.add('https://example.com/a.js', 0.7 * MB), null);
+        assert.strictEqual(budget.add('https://example.com/b.js', 0.4 * MB), 'archivetoolarge');
+        assert.strictEqual(budget.add('https://example.com/c.js', 1), 'archivetoolarge');
+        assert.strictEqual(budget.exceeded, 'archivetoolarge');
+    });
+});
+
+test('the capture budget trips once there are too many files', () => {
+    withQuotas({ maxArchiveMB: 100, maxFiles: 2 }, () => {
+        const budget = createCaptureBudget();
+        assert.strictEqual(budget.add('https://example.com/a', 1), null);
+        assert.strictEqual(budget.add('https://example.com/b', 1), null);
+        assert.strictEqual(budget.add('https://example.com/a', 2), null);
+        assert.strictEqual(budget.add('https://example.com/c', 1), 'toomanyfiles');
+    });
+});
+
+test('checkArchiveQuotas passes a folder within every limit', () => {
+    withQuotas({ maxFileMB: 1, maxArchiveMB: 2, maxFiles: 3 }, () => {
+        withFolder({ 'index.html': 100, 'assets/app.js': 200 }, (folder) => {
+            assert.deepStrictEqual(checkArchiveQuotas(folder), { files: 2, bytes: 300 });
+        });
+    });
+});
+
+test('checkArchiveQuotas rejects oversized files, but not the archive\'s own files', () => {
+    const reservedFile = `${config.archive.reservedDir}/web-archive.wacz`;
+    withQuotas({ maxFileMB: 1, maxArchiveMB: 10, maxFiles: 10 }, () => {
+        withFolder({ 'index.html': 100, [reservedFile]: 2 * MB }, (folder) => {
+            assert.deepStrictEqual(checkArchiveQuotas(folder), { files: 2, bytes: 2 * MB + 100 });
+        });
+        withFolder({ 'index.html': 100, 'video.mp4': 2 * MB }, (folder) => {
+            assert.throws(() => checkArchiveQuotas(folder), { message: 'archivetoolarge' });
+        });
+    });
+});
+
+test('checkArchiveQuotas rejects archives over the total size or file count', () => {
+    withQuotas({ maxFileMB: 1, maxArchiveMB: 1, maxFiles: 10 }, () => {
+        withFolder({ 'a.bin': 0.6 * MB, 'b.bin': 0.6 * MB }, (folder) => {
+            assert.throws(() => checkArchiveQuotas(folder), { message: 'archivetoolarge' });
+        });
+    });
+    withQuotas({ maxFileMB: 1, maxArchiveMB: 10, maxFiles: 2 }, () => {
+        withFolder({ 'a.html': 1, 'b.html': 1, [`${config.archive.reservedDir}/report.json`]: 1 }, (folder) => {
+            assert.throws(() => checkArchiveQuotas(folder), { message: 'toomanyfiles' });
+        });
+    });
+});
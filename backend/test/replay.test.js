@@ -0,0 +1,100 @@
+/**
+ * API Replay Tests
+ * Fixtures built from captured responses, and the shim answering fetch() calls from them in the archive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { isApiResponse, createFixture, writeReplayShim, injectReplayShim } = require('../src/services/scrape/replay');
+
+const isFirstPartyHost = host => host === 'app.example.com';
+
+/**
+ * A Puppeteer-like API response
+ */
+function createResponse(url, { method = 'GET', postData, contentType = 'application/json', status = 200 } = {}) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'content-type': contentType }),
+        request: () => ({ method: () => method, postData: () => postData })
+    };
+}
+
+/**
+ * Write the shim for fixtures and run it in a page served from archiveOrigin
+ * Returns the page's fetch(); requests the shim doesn't answer resolve to 'network'
+ */
+function loadShim(fixtures, archiveOrigin) {
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    try {
+        const shimPath = writeReplayShim(fixtures, ['app.example.com'], downloadDir);
+        const window = {
+            fetch: async () => 'network',
+            location: new URL(`${archiveOrigin}/dashboard`),
+            Response,
+            Request,
+            URL,
+            atob
+        };
+        window.window = window;
+        vm.runInNewContext(fs.readFileSync(path.join(downloadDir, shimPath), 'utf8'), window);
+        return window.fetch;
+    } finally {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+}
+
+test('only XHR and fetch responses are API responses', () => {
+    assert.ok(isApiResponse('xhr'));
+    assert.ok(isApiResponse('fetch'));
+    assert.ok(!isApiResponse('script'));
+    assert.ok(!isApiResponse('document'));
+});
+
+test('fixtures drop first-party hosts, hash request bodies and keep binary bodies as base64', () => {
+    assert.deepStrictEqual(
+        createFixture(createResponse('https://app.example.com/api/stats?range=7d'), Buffer.from('{"total":3}'), isFirstPartyHost),
+        { method: 'GET', host: '', path: '/api/stats', search: '?range=7d', bodyHash: null, status: 200, contentType: 'application/json', encoding: 'text', body: '{"total":3}' }
+    );
+
+    const rpc = createFixture(createResponse('https://db.supabase.co/rest/v1/rpc/stats', { method: 'post', postData: '{"id":1}' }), Buffer.from('[]'), isFirstPartyHost);
+    assert.deepStrictEqual([rpc.method, rpc.host], ['POST', 'db.supabase.co']);
+    assert.match(rpc.bodyHash, /^[0-9a-f]+$/);
+
+    const image = createFixture(createResponse('https://app.example.com/api/avatar', { contentType: 'image/png' }), Buffer.from([0x89, 0x50]), isFirstPartyHost);
+    assert.deepStrictEqual([image.encoding, image.body], ['base64', 'iVA=']);
+});
+
+test('the shim answers captured requests wherever the archive is served, by body when there are several', async () => {
+    const fixtures = [
+        createFixture(createResponse('https://app.example.com/api/stats?range=7d'), Buffer.from('{"total":3}'), isFirstPartyHost),
+        createFixture(createResponse('https://db.supabase.co/rest/v1/rpc/stats', { method: 'POST', postData: '{"id":1}' }), Buffer.from('"one"'), isFirstPartyHost),
+        createFixture(createResponse('https://db.supabase.co/rest/v1/rpc/stats', { method: 'POST', postData: '{"id":2}' }), Buffer.from('"two"'), isFirstPartyHost)
+    ];
+    const fetch = loadShim(fixtures, 'https://arweave.net');
+
+    assert.strictEqual(await (await fetch('/api/stats?range=7d')).text(), '{"total":3}');
+    // Another query falls back to the same path
+    assert.strictEqual(await (await fetch('https://app.example.com/api/stats?range=30d')).text(), '{"total":3}');
+    assert.strictEqual((await fetch('/api/stats')).headers.get('content-type'), 'application/json');
+
+    // External requests, directly or through their rewritten /_external/ path
+    const post = (url, body) => fetch(url, { method: 'POST', body }).then(response => response.text());
+    assert.strictEqual(await post('https://db.supabase.co/rest/v1/rpc/stats', '{"id":2}'), '"two"');
+    assert.strictEqual(await post('/_external/db.supabase.co/rest/v1/rpc/stats', '{"id":1}'), '"one"');
+
+    assert.strictEqual(await fetch('/api/other'), 'network');
+    assert.strictEqual(await fetch('/api/stats?range=7d', { method: 'DELETE' }), 'network');
+});
+
+test('nothing is written without fixtures, and the shim is the first script in the page', () => {
+    assert.strictEqual(writeReplayShim([], [], os.tmpdir()), null);
+    assert.strictEqual(injectReplayShim('<html><head lang="en"><script src="/app.js"></script></head></html>', '/_forever/replay.js'),
+        '<html><head lang="en"><script src="/_forever/replay.js"></script><script src="/app.js"></script></head></html>');
+    assert.strictEqual(injectReplayShim('<div>no head</div>', '/r.js'), '<script src="/r.js"></script><div>no head</div>');
+});
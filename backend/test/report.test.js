@@ -0,0 +1,72 @@
+/**
+ * Completeness Report Tests
+ * What the report counts as captured, failed and skipped, and where it is written
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { createScrapeReport } = require('../src/services/scrape/report');
+
+test('the report lists the holes in an archive next to what it captured', () => {
+    const report = createScrapeReport('https://example.com/');
+    report.recordResponse('https://example.com/', 200, 'document');
+    report.recordResponse('https://example.com/gone.png', 404, 'image');
+    report.recordResponse('https://example.com/gone.png', 404, 'image');
+    report.recordCaptured('https://example.com/app.js', { type: 'script', mimeType: 'application/javascript', bytes: 100 });
+    report.recordCaptured('https://example.com/unsaved.css', { type: 'stylesheet', bytes: 50 });
+    report.recordFailed('https://example.com/gone.png', { type: 'image', stage: 'capture', reason: 'No body' });
+    // Failed at first, captured later: not a hole
+    report.recordFailed('https://example.com/app.js', { stage: 'request', reason: 'net::ERR_ABORTED' });
+    report.recordBlocked('https://www.google-analytics.com/collect');
+    report.recordBlocked('https://www.google-analytics.com/g/collect');
+    report.recordRouteFailed('/pricing', 'viewport:mobile', 'Timeout');
+
+    const crawl = {
+        nodes: [
+            { route: '/', status: 'visited' },
+            { route: '/about', status: 'failed', reason: 'net::ERR_TIMED_OUT' },
+            { route: '/admin', status: 'skipped', reason: 'excluded' }
+        ]
+    };
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    try {
+        const { path: reportPath, summary } = report.write(downloadDir, crawl, ['https://example.com/app.js']);
+        assert.strictEqual(reportPath, `/${config.archive.reservedDir}/report.json`);
+        assert.deepStrictEqual(summary, {
+            complete: false,
+            routes: { visited: 1, failed: 2, skipped: 1 },
+            resources: { captured: 1, failed: 1, bytes: 100 },
+            nonSuccessResponses: 1,
+            blockedHosts: 1
+        });
+
+        const written = JSON.parse(fs.readFileSync(path.join(downloadDir, reportPath), 'utf8'));
+        assert.strictEqual(written.url, 'https://example.com/');
+        assert.deepStrictEqual(written.routes.failed, [
+            { route: '/about', stage: 'crawl', reason: 'net::ERR_TIMED_OUT' },
+            { route: '/pricing', stage: 'viewport:mobile', reason: 'Timeout' }
+        ]);
+        assert.deepStrictEqual(written.routes.skipped, [{ route: '/admin', reason: 'excluded' }]);
+        assert.deepStrictEqual(written.resources.failed, [{ url: 'https://example.com/gone.png', type: 'image', stage: 'capture', reason: 'No body' }]);
+        assert.deepStrictEqual(written.responses, [{ url: 'https://example.com/gone.png', status: 404, type: 'image' }]);
+        assert.deepStrictEqual(written.blockedHosts, [{ host: 'www.google-analytics.com', requests: 2 }]);
+    } finally {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+});
+
+test('an archive without holes is complete', () => {
+    const report = createScrapeReport('https://example.com/');
+    report.recordCaptured('https://example.com/app.js', { type: 'script', bytes: 10 });
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    try {
+        const { summary } = report.write(downloadDir, { nodes: [{ route: '/', status: 'visited' }] }, ['https://example.com/app.js']);
+        assert.strictEqual(summary.complete, true);
+    } finally {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+});
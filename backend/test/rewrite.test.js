@@ -0,0 +1,141 @@
+/**
+ * URL Rewriting Tests
+ * The HTML, CSS and JS tokenizers on their own, and the rewriter pointing URLs into the archive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { rewriteHtml } = require('../src/services/rewrite/html');
+const { rewriteCss } = require('../src/services/rewrite/css');
+const { rewriteJs } = require('../src/services/rewrite/js');
+const { getArchivePath, getFileKind, collectResourceUrls, createRewriter } = require('../src/services/rewrite');
+
+/**
+ * A rewriteUrl that upper-cases every URL and records what it was called with
+ */
+function createRecorder() {
+    const calls = [];
+    const rewriteUrl = (url, context) => {
+        calls.push({ url, context });
+        return url.toUpperCase();
+    };
+    return { calls, rewriteUrl };
+}
+
+test('HTML: resource, navigation, srcset and style attributes are rewritten, entities decoded', () => {
+    const { calls, rewriteUrl } = createRecorder();
+    const html = '<img src="/a.png?x=1&amp;y=2" srcset="/a.png 1x, /b,c.png 2x"><a href=/about>About</a>' +
+        '<div style="background: url(\'/bg.jpg\')"></div><p data-src="/nope.png">/text.png</p>';
+
+    assert.strictEqual(rewriteHtml(html, rewriteUrl),
+        '<img src="/A.PNG?X=1&amp;Y=2" srcset="/A.PNG 1x, /B,C.PNG 2x"><a href="/ABOUT">About</a>' +
+        '<div style="background: url(\'/BG.JPG\')"></div><p data-src="/nope.png">/text.png</p>');
+    assert.deepStrictEqual(calls.map(call => [call.url, call.context.kind, call.context.where]), [
+        ['/a.png?x=1&y=2', 'resource', 'img[src]'],
+        ['/a.png', 'resource', 'img[srcset]'],
+        ['/b,c.png', 'resource', 'img[srcset]'],
+        ['/about', 'navigation', 'a[href]'],
+        ['/bg.jpg', 'resource', 'div[style] url()']
+    ]);
+});
+
+test('HTML: <link rel> and <meta> decide between resources and navigation', () => {
+    const { calls, rewriteUrl } = createRecorder();
+    rewriteHtml('<link rel="stylesheet" href="/s.css"><link rel="canonical" href="/c">' +
+        '<meta property="og:image" content="/og.png"><meta property="og:url" content="/u"><meta name="description" content="/d">', rewriteUrl);
+
+    assert.deepStrictEqual(calls.map(call => [call.url, call.context.kind]), [
+        ['/s.css', 'resource'], ['/c', 'navigation'], ['/og.png', 'resource'], ['/u', 'navigation']
+    ]);
+});
+
+test('HTML: <style> is rewritten as CSS, inline scripts as JS, comments and other raw text are left alone', () => {
+    const { rewriteUrl } = createRecorder();
+    const html = '<!-- <img src="/c.png"> --><style>a { background: url(/s.png) }</style>' +
+        '<script>fetch("https://example.com/api/x")</script><textarea><img src="/t.png"></textarea>' +
+        '<script type="text/template"><img src="/tpl.png"></script>';
+
+    assert.strictEqual(rewriteHtml(html, rewriteUrl),
+        '<!-- <img src="/c.png"> --><style>a { background: url(/S.PNG) }</style>' +
+        '<script>fetch("HTTPS://EXAMPLE.COM/API/X")</script><textarea><img src="/t.png"></textarea>' +
+        '<script type="text/template"><img src="/tpl.png"></script>');
+});
+
+test('HTML: elements loading a removed URL are replaced with a comment', () => {
+    const html = '<script src="https://t.example/t.js"></script><iframe src="https://t.example/f"></iframe>' +
+        '<img src="https://t.example/p.gif"><a href="https://t.example/">Link</a>';
+    const output = rewriteHtml(html, () => null, { shouldRemove: url => url.startsWith('https://t.example/') });
+
+    assert.strictEqual(output, '<!-- script removed by resource policy --><!-- iframe removed by resource policy -->' +
+        '<!-- img removed by resource policy --><a href="https://t.example/">Link</a>');
+});
+
+test('CSS: url() and @import are rewritten with their quoting, comments are skipped', () => {
+    const { calls, rewriteUrl } = createRecorder();
+    const css = '@import "/base.css";\n/* url(/comment.png) */\na { background: url( "/a b.png" ) } b { src: url(/f.woff2) }';
+
+    assert.strictEqual(rewriteCss(css, rewriteUrl),
+        '@import "/BASE.CSS";\n/* url(/comment.png) */\na { background: url( "/A B.PNG" ) } b { src: url(/F.WOFF2) }');
+    assert.deepStrictEqual(calls.map(call => [call.url, call.context]), [
+        ['/base.css', '@import'], ['/a b.png', 'url()'], ['/f.woff2', 'url()']
+    ]);
+});
+
+test('JS: only string and template literals holding absolute URLs are rewritten', () => {
+    const { calls, rewriteUrl } = createRecorder();
+    const js = 'const a = "https://example.com/a.js"; // "https://example.com/comment"\n' +
+        'const b = `https://example.com/b/${id}`; const c = /https:\\/\\/example.com\\//.test(x);\n' +
+        'const d = "https://example.com"; const e = \'https:\\/\\/example.com\\/e.png\'; const f = "/relative.png";';
+
+    assert.strictEqual(rewriteJs(js, rewriteUrl),
+        'const a = "HTTPS://EXAMPLE.COM/A.JS"; // "https://example.com/comment"\n' +
+        'const b = `HTTPS://EXAMPLE.COM/B/${id}`; const c = /https:\\/\\/example.com\\//.test(x);\n' +
+        'const d = "https://example.com"; const e = \'HTTPS:\\/\\/EXAMPLE.COM\\/E.PNG\'; const f = "/relative.png";');
+    assert.deepStrictEqual(calls.map(call => call.context), ['string', 'template', 'string']);
+});
+
+test('archive paths, file kinds and the resource URLs a file references', () => {
+    const isFirstPartyHost = host => host === 'example.com';
+    assert.strictEqual(getArchivePath(new URL('https://example.com/a/b.js'), isFirstPartyHost), '/a/b.js');
+    assert.strictEqual(getArchivePath(new URL('https://fonts.gstatic.com/s/f.woff2'), isFirstPartyHost), '/_external/fonts.gstatic.com/s/f.woff2');
+    assert.strictEqual(getArchivePath(new URL('https://cdn.other.com/dir/'), isFirstPartyHost), '/_external/cdn.other.com/dir');
+
+    assert.strictEqual(getFileKind('/a/app.mjs'), 'js');
+    assert.strictEqual(getFileKind('/a/style', 'stylesheet'), 'css');
+    assert.strictEqual(getFileKind('/a/font.woff2', 'font'), null);
+
+    assert.deepStrictEqual(collectResourceUrls('html', '<img src="a.png#x"><a href="/page">P</a><script>f("https://example.com/x/")</script>', 'https://example.com/dir/'),
+        ['https://example.com/dir/a.png']);
+    assert.deepStrictEqual(collectResourceUrls('css', 'a { background: url(../b.png) }', 'https://example.com/css/s.css'),
+        ['https://example.com/b.png']);
+});
+
+test('the rewriter points archived and missing resources into the archive and logs every URL', () => {
+    const rewriter = createRewriter({
+        isFirstPartyHost: host => host === 'example.com',
+        archivedPaths: ['/_external/fonts.gstatic.com/s/f.woff2']
+    });
+    const html = '<link rel="stylesheet" href="https://example.com/s.css"><img src="https://cdn.other.com/p.jpg">' +
+        '<style>@font-face { src: url(https://fonts.gstatic.com/s/f.woff2) }</style>' +
+        '<a href="https://other.com/page">Other</a><script>fetch("https://api.other.com/v1/x")</script>';
+
+    assert.strictEqual(rewriter.rewrite('html', html, 'https://example.com/', '/index.html'),
+        '<link rel="stylesheet" href="/s.css"><img src="/_external/cdn.other.com/p.jpg">' +
+        '<style>@font-face { src: url(/_external/fonts.gstatic.com/s/f.woff2) }</style>' +
+        '<a href="https://other.com/page">Other</a><script>fetch("https://api.other.com/v1/x")</script>');
+
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewrite-test-'));
+    try {
+        const summary = rewriter.writeLog(downloadDir);
+        assert.deepStrictEqual(summary, { files: 1, rewritten: 2, missing: 1, blocked: 0, removed: 0, kept: 2 });
+
+        const log = JSON.parse(fs.readFileSync(path.join(downloadDir, '_forever', 'rewrite-log.json'), 'utf8'));
+        const missing = log.files['/index.html'].find(entry => entry.action === 'missing');
+        assert.deepStrictEqual(missing, { url: 'https://cdn.other.com/p.jpg', to: '/_external/cdn.other.com/p.jpg', action: 'missing', where: 'img[src]', count: 1 });
+    } finally {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,49 @@
+/**
+ * Sitemap Tests
+ * Reading sitemap locations from robots.txt and routes from sitemaps and sitemap indexes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { parseRobotsSitemaps, parseSitemap, decodeSitemap } = require('../src/services/scrape/sitemap');
+
+test('robots.txt Sitemap lines are resolved against the site', () => {
+    const robots = 'User-agent: *\nDisallow: /admin\nSitemap: https://example.com/sitemap-pages.xml\r\n  sitemap:/sitemap-blog.xml\nSitemap: http://[bad\n';
+    assert.deepStrictEqual(parseRobotsSitemaps(robots, 'https://example.com'), [
+        'https://example.com/sitemap-pages.xml',
+        'https://example.com/sitemap-blog.xml'
+    ]);
+    assert.deepStrictEqual(parseRobotsSitemaps('User-agent: *\nDisallow:', 'https://example.com'), []);
+});
+
+test('urlsets list their page locations, with entities and CDATA unwrapped', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/</loc><lastmod>2024-01-01</lastmod></url>
+  <url><loc>
+    https://example.com/search?q=a&amp;page=2
+  </loc></url>
+  <url><loc><![CDATA[https://example.com/about]]></loc></url>
+</urlset>`;
+    assert.deepStrictEqual(parseSitemap(xml), {
+        type: 'urlset',
+        locs: ['https://example.com/', 'https://example.com/search?q=a&page=2', 'https://example.com/about']
+    });
+});
+
+test('sitemap indexes are recognised, also with a namespace prefix', () => {
+    const xml = '<sm:sitemapindex xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        '<sm:sitemap><sm:loc>https://example.com/sitemap-1.xml.gz</sm:loc></sm:sitemap></sm:sitemapindex>';
+    assert.deepStrictEqual(parseSitemap(xml), { type: 'index', locs: ['https://example.com/sitemap-1.xml.gz'] });
+});
+
+test('pages that aren\'t sitemaps are ignored', () => {
+    assert.strictEqual(parseSitemap('<!doctype html><html><body><div id="root"></div></body></html>'), null);
+});
+
+test('gzipped sitemaps are unpacked, plain ones read as they are', () => {
+    const xml = '<urlset><url><loc>https://example.com/</loc></url></urlset>';
+    assert.strictEqual(decodeSitemap(zlib.gzipSync(xml)), xml);
+    assert.strictEqual(decodeSitemap(Buffer.from(xml)), xml);
+});
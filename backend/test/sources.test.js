@@ -0,0 +1,57 @@
+/**
+ * Source Adapter Tests
+ * Which URLs each adapter accepts, the project IDs and URLs to scrape it derives, and first-party hosts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveSource, getSupportedUrlFormats } = require('../src/services/sources');
+
+const LOVABLE_UUID = '3f2b8c4e-1a2b-4c3d-8e9f-0a1b2c3d4e5f';
+
+test('Lovable project URLs keep their unprefixed IDs', () => {
+    const old = resolveSource(`https://lovable.dev/projects/${LOVABLE_UUID}`);
+    assert.strictEqual(old.source.id, 'lovable');
+    assert.strictEqual(old.projectID, LOVABLE_UUID);
+    assert.strictEqual(old.previewUrl, `https://id-preview--${LOVABLE_UUID}.lovable.app/`);
+
+    const published = resolveSource('https://my-app.lovable.app/');
+    assert.strictEqual(published.projectID, 'my-app');
+    assert.strictEqual(published.previewUrl, 'https://my-app.lovable.app/');
+    assert.ok(published.isFirstPartyHost('id-preview--x.lovable.app'));
+});
+
+test('hosted sites are identified by their subdomain, prefixed with the source', () => {
+    assert.deepStrictEqual(
+        ['https://My-App.bolt.host/', 'https://my-app.vercel.app', 'https://my-site.netlify.app/?ref=1'].map(url => {
+            const target = resolveSource(url);
+            return [target.source.id, target.projectID, target.previewUrl];
+        }),
+        [
+            ['bolt', 'bolt-my-app', 'https://My-App.bolt.host/'],
+            ['vercel', 'vercel-my-app', 'https://my-app.vercel.app'],
+            ['netlify', 'netlify-my-site', 'https://my-site.netlify.app/?ref=1']
+        ]
+    );
+});
+
+test('only the project\'s own subdomain is first-party on a shared host', () => {
+    const target = resolveSource('https://my-app.vercel.app/');
+    assert.ok(target.isFirstPartyHost('MY-APP.vercel.app'));
+    assert.ok(!target.isFirstPartyHost('other-app.vercel.app'));
+    assert.ok(!target.isFirstPartyHost('vercel.app'));
+});
+
+test('other URLs are rejected', () => {
+    for (const url of [
+        'http://my-app.vercel.app/',
+        'https://my-app.vercel.app/about',
+        'https://a.b.netlify.app/',
+        'https://my-app.bolt.hosting/',
+        'https://lovable.dev/projects/not-a-uuid',
+        'https://example.com/'
+    ]) {
+        assert.strictEqual(resolveSource(url), null, url);
+    }
+    assert.ok(getSupportedUrlFormats().includes('https://{site-name}.netlify.app/'));
+});
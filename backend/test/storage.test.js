@@ -0,0 +1,107 @@
+/**
+ * Storage Tests
+ * The local backend storing folders behind a path manifest and resolving request paths the way a
+ * gateway does, and the planning of incremental uploads
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { initDatabase, recordUploadedFile } = require('../src/db/database');
+const local = require('../src/services/storage/local');
+const { buildPathManifest } = require('../src/services/storage/manifest');
+const { planFolderUpload } = require('../src/services/storage/incremental');
+const { getPathCandidates } = require('../src/utils/gateway');
+
+const TX_ID = 'a'.repeat(43);
+
+config.db.path = ':memory:';
+
+/**
+ * Write a small site into a temporary folder; returns its path
+ */
+function createSiteFolder() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    fs.mkdirSync(path.join(folder, 'about'));
+    fs.mkdirSync(path.join(folder, 'assets'));
+    fs.writeFileSync(path.join(folder, 'index.html'), '<html>home</html>');
+    fs.writeFileSync(path.join(folder, 'about', 'index.html'), '<html>about</html>');
+    fs.writeFileSync(path.join(folder, 'assets', 'app.js'), 'console.log("app");');
+    return folder;
+}
+
+test.before(() => initDatabase());
+
+test('request paths are looked up as the exact path, then its index.html', () => {
+    assert.deepStrictEqual(getPathCandidates('/about/'), ['about', 'about/index.html']);
+    assert.deepStrictEqual(getPathCandidates('assets/app.js'), ['assets/app.js', 'assets/app.js/index.html']);
+    assert.deepStrictEqual(getPathCandidates('/'), ['index.html']);
+    assert.deepStrictEqual(getPathCandidates('', 'home.html'), ['home.html']);
+});
+
+test('path manifests use index.html as index and SPA fallback', () => {
+    assert.deepStrictEqual(buildPathManifest({ 'index.html': { id: TX_ID }, 'app.js': { id: 'b'.repeat(43) } }), {
+        manifest: 'arweave/paths',
+        version: '0.2.0',
+        index: { path: 'index.html' },
+        paths: { 'index.html': { id: TX_ID }, 'app.js': { id: 'b'.repeat(43) } },
+        fallback: { id: TX_ID }
+    });
+    assert.strictEqual(buildPathManifest({ 'app.js': { id: TX_ID } }).fallback, undefined);
+});
+
+test('the local backend stores a folder and resolves paths like a gateway', async () => {
+    const folder = createSiteFolder();
+    const previousPath = config.storage.localPath;
+    config.storage.localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-data-'));
+    try {
+        const manifestId = await local.uploadFolder(folder, { tags: [{ name: 'App-Name', value: 'test' }] });
+        assert.match(manifestId, /^[A-Za-z0-9_-]{43}$/);
+        assert.deepStrictEqual(Object.keys(local.readManifest(manifestId).paths), ['about/index.html', 'assets/app.js', 'index.html']);
+
+        const read = (requestPath) => {
+            const resolved = local.resolveManifestPath(manifestId, requestPath);
+            return resolved && [resolved.manifestPath, fs.readFileSync(resolved.filePath, 'utf8')];
+        };
+        assert.deepStrictEqual(read('/'), ['index.html', '<html>home</html>']);
+        assert.deepStrictEqual(read('/about'), ['about/index.html', '<html>about</html>']);
+        assert.deepStrictEqual(read('/assets/app.js'), ['assets/app.js', 'console.log("app");']);
+        assert.deepStrictEqual(read('/pricing'), [null, '<html>home</html>']);
+
+        assert.strictEqual(local.readManifest('not-a-manifest'), null);
+        assert.strictEqual(local.resolveManifestPath('b'.repeat(43), '/'), null);
+    } finally {
+        fs.rmSync(config.storage.localPath, { recursive: true, force: true });
+        config.storage.localPath = previousPath;
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('planFolderUpload reuses files uploaded for the same project with the same Content-Type', async () => {
+    const folder = createSiteFolder();
+    try {
+        const first = await planFolderUpload(folder, 'storage-project');
+        assert.deepStrictEqual(first.map(file => [file.path, file.contentType, file.existingId]), [
+            ['about/index.html', 'text/html', null],
+            ['assets/app.js', 'application/javascript', null],
+            ['index.html', 'text/html', null]
+        ]);
+
+        const app = first[1];
+        await recordUploadedFile('storage-project', { contentHash: app.contentHash, contentType: app.contentType, txId: TX_ID, bytes: app.bytes });
+        await recordUploadedFile('storage-project', { contentHash: first[2].contentHash, contentType: 'text/plain', txId: 'b'.repeat(43), bytes: 1 });
+
+        const again = await planFolderUpload(folder, 'storage-project');
+        assert.deepStrictEqual(again.map(file => file.existingId), [null, TX_ID, null]);
+        assert.ok((await planFolderUpload(folder, 'other-project')).every(file => !file.existingId));
+
+        config.storage.incremental = false;
+        assert.ok((await planFolderUpload(folder, 'storage-project')).every(file => !file.existingId));
+    } finally {
+        config.storage.incremental = true;
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,120 @@
+/**
+ * Upload Verification Tests
+ * Runs verifyUpload() against a stub gateway serving an archive folder the way
+ * {gateway}/{manifestId}/{path} would, with files that match and files that don't
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../src/config/config');
+const { hashFolderFiles, verifyUpload } = require('../src/services/storage/verify');
+
+const MANIFEST_ID = 'test-manifest';
+
+/**
+ * Write a small archive into a temporary folder; returns its path
+ */
+function createArchiveFolder() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-test-'));
+    fs.mkdirSync(path.join(folder, 'assets'));
+    fs.writeFileSync(path.join(folder, 'index.html'), '<html><body>Hello</body></html>');
+    fs.writeFileSync(path.join(folder, 'assets', 'app.js'), 'console.log("app");');
+    fs.writeFileSync(path.join(folder, 'assets', 'my photo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    return folder;
+}
+
+/**
+ * Serve folder under /{MANIFEST_ID}/ on a random local port
+ * overrides maps manifest paths to the bytes served instead of the file's
+ * Returns { gatewayUrl, close() }
+ */
+function startStubGateway(folder, overrides = {}) {
+    const server = http.createServer((req, res) => {
+        const prefix = `/${MANIFEST_ID}/`;
+        const requestPath = decodeURIComponent(req.url);
+        const filePath = requestPath.startsWith(prefix) ? requestPath.slice(prefix.length) : null;
+
+        if (filePath && overrides[filePath]) {
+            res.writeHead(200).end(overrides[filePath]);
+        } else if (filePath && fs.existsSync(path.join(folder, filePath))) {
+            res.writeHead(200).end(fs.readFileSync(path.join(folder, filePath)));
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                gatewayUrl: `http://127.0.0.1:${server.address().port}/`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+test('hashFolderFiles lists every file with its manifest path, size and hash', () => {
+    const folder = createArchiveFolder();
+    try {
+        const files = hashFolderFiles(folder);
+        assert.deepStrictEqual(files.map(file => file.path), ['assets/app.js', 'assets/my photo.png', 'index.html']);
+        assert.strictEqual(files[1].bytes, 4);
+        assert.match(files[2].hash, /^[0-9a-f]{64}$/);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('verifyUpload passes an archive whose files all match', async () => {
+    const progress = [];
+    const folder = createArchiveFolder();
+    const files = hashFolderFiles(folder);
+    const gateway = await startStubGateway(folder);
+    config.verification.gatewayUrl = gateway.gatewayUrl;
+    config.verification.attempts = 1;
+
+    let verification;
+    try {
+        verification = await verifyUpload(MANIFEST_ID, files, update => progress.push(update));
+    } finally {
+        await gateway.close();
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+
+    assert.strictEqual(verification.status, 'passed');
+    assert.strictEqual(verification.gateway, `${gateway.gatewayUrl}${MANIFEST_ID}`);
+    assert.deepStrictEqual([verification.total, verification.passed, verification.failed], [3, 3, 0]);
+    assert.ok(verification.files.every(file => file.status === 'pass' && file.actualHash === file.expectedHash));
+    assert.deepStrictEqual(progress[progress.length - 1], { checked: 3, total: 3, failed: 0 });
+});
+
+test('verifyUpload fails corrupted and missing files and keeps the others', async () => {
+    const folder = createArchiveFolder();
+    const files = hashFolderFiles(folder).concat({ path: 'assets/gone.css', bytes: 10, hash: 'f'.repeat(64) });
+
+    const gateway = await startStubGateway(folder, { 'assets/app.js': 'console.log("tampered");' });
+    config.verification.gatewayUrl = gateway.gatewayUrl;
+    config.verification.attempts = 1;
+
+    let verification;
+    try {
+        verification = await verifyUpload(MANIFEST_ID, files);
+    } finally {
+        await gateway.close();
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+
+    const byPath = Object.fromEntries(verification.files.map(file => [file.path, file]));
+    assert.strictEqual(verification.status, 'failed');
+    assert.deepStrictEqual([verification.total, verification.passed, verification.failed], [4, 2, 2]);
+    assert.strictEqual(byPath['assets/app.js'].status, 'fail');
+    assert.strictEqual(byPath['assets/app.js'].error, 'hash mismatch');
+    assert.notStrictEqual(byPath['assets/app.js'].actualHash, byPath['assets/app.js'].expectedHash);
+    assert.strictEqual(byPath['assets/gone.css'].error, 'HTTP 404');
+    assert.strictEqual(byPath['assets/my photo.png'].status, 'pass');
+    assert.strictEqual(byPath['index.html'].status, 'pass');
+});
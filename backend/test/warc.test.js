@@ -0,0 +1,187 @@
+/**
+ * Web Archive Tests
+ * The WARC recorder's records, the stored ZIP writer, and WACZ packages whose index points
+ * at the right records of their WARC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { config } = require('../src/config/config');
+const { createWarcRecorder } = require('../src/services/warc');
+const { writeZip } = require('../src/services/warc/zip');
+
+/**
+ * A Puppeteer-like response for url, as the recorder reads it
+ */
+function createResponse(url, { status = 200, headers = {}, method = 'GET', postData } = {}) {
+    return {
+        url: () => url,
+        status: () => status,
+        statusText: () => (status === 200 ? 'OK' : 'Found'),
+        headers: () => headers,
+        request: () => ({
+            method: () => method,
+            headers: () => ({ 'user-agent': 'test', ':authority': new URL(url).host }),
+            postData: () => postData
+        })
+    };
+}
+
+/**
+ * Split an uncompressed WARC into records: [{ fields, block }]
+ */
+function parseWarc(buffer) {
+    const records = [];
+    let position = 0;
+    while (position < buffer.length) {
+        const headerEnd = buffer.indexOf('\r\n\r\n', position);
+        const lines = buffer.subarray(position, headerEnd).toString('utf8').split('\r\n');
+        assert.strictEqual(lines[0], 'WARC/1.1');
+        const fields = Object.fromEntries(lines.slice(1).map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        const blockStart = headerEnd + 4;
+        const block = buffer.subarray(blockStart, blockStart + Number(fields['Content-Length']));
+        records.push({ fields, block });
+        position = blockStart + block.length + 4;
+    }
+    return records;
+}
+
+/**
+ * Read a stored ZIP through its central directory: { name: { data, crc } }
+ */
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    const entries = {};
+    let position = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(buffer.readUInt32LE(position), 0x02014b50);
+        const crc = buffer.readUInt32LE(position + 16);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+
+        assert.strictEqual(buffer.readUInt32LE(localOffset), 0x04034b50);
+        assert.strictEqual(buffer.readUInt16LE(localOffset + 8), 0); // Stored
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        entries[name] = { data: buffer.subarray(dataStart, dataStart + size), crc };
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+/**
+ * Record two exchanges into a temporary folder and finish with format; returns { folder, result }
+ */
+async function recordSession(format) {
+    const previous = config.scraping.webArchive.format;
+    config.scraping.webArchive.format = format;
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        const recorder = createWarcRecorder(folder);
+        recorder.record(createResponse('https://example.com/', {
+            headers: { 'content-type': 'text/html; charset=utf-8', 'content-encoding': 'br', 'set-cookie': 'a=1\nb=2' }
+        }), Buffer.from('<html>home</html>'));
+        recorder.record(createResponse('https://example.com/old', { status: 302, headers: { location: '/' } }), null);
+        const result = await recorder.finish([{ url: 'https://example.com/', title: 'Home' }]);
+        recorder.record(createResponse('https://example.com/late'), Buffer.from('late'));
+        return { folder, result };
+    } finally {
+        config.scraping.webArchive.format = previous;
+    }
+}
+
+test('the ZIP writer stores buffer and file entries with their CRC-32', () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+    try {
+        fs.writeFileSync(path.join(folder, 'big.bin'), crypto.randomBytes(3 * 1024 * 1024 + 5));
+        writeZip(path.join(folder, 'test.zip'), [
+            { name: 'hello.txt', buffer: Buffer.from('hello world') },
+            { name: 'dir/big.bin', filePath: path.join(folder, 'big.bin') }
+        ]);
+
+        const entries = readZip(fs.readFileSync(path.join(folder, 'test.zip')));
+        assert.deepStrictEqual(Object.keys(entries), ['hello.txt', 'dir/big.bin']);
+        assert.strictEqual(entries['hello.txt'].data.toString(), 'hello world');
+        assert.strictEqual(entries['hello.txt'].crc, 0x0d4a1185);
+        assert.ok(entries['dir/big.bin'].data.equals(fs.readFileSync(path.join(folder, 'big.bin'))));
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('every exchange is written as a response and a request record after the warcinfo', async () => {
+    const { folder, result } = await recordSession('warc');
+    try {
+        assert.deepStrictEqual(result, { format: 'warc', path: `/${config.archive.reservedDir}/capture.warc.gz`, records: 2 });
+        const records = parseWarc(zlib.gunzipSync(fs.readFileSync(path.join(folder, result.path))));
+        assert.deepStrictEqual(records.map(record => [record.fields['WARC-Type'], record.fields['WARC-Target-URI']]), [
+            ['warcinfo', undefined],
+            ['response', 'https://example.com/'],
+            ['request', 'https://example.com/'],
+            ['response', 'https://example.com/old'],
+            ['request', 'https://example.com/old']
+        ]);
+
+        const [, response, request] = records;
+        const http = response.block.toString('utf8');
+        assert.ok(http.startsWith('HTTP/1.1 200 OK\r\n'));
+        assert.ok(http.includes('x-archive-orig-content-encoding: br\r\n'));
+        assert.ok(http.includes('set-cookie: a=1\r\nset-cookie: b=2\r\n'));
+        assert.ok(http.endsWith('content-length: 17\r\n\r\n<html>home</html>'));
+        assert.strictEqual(response.fields['WARC-Payload-Digest'], `sha256:${crypto.createHash('sha256').update('<html>home</html>').digest('hex')}`);
+        assert.strictEqual(response.fields['WARC-Block-Digest'], `sha256:${crypto.createHash('sha256').update(response.block).digest('hex')}`);
+
+        assert.strictEqual(request.fields['WARC-Concurrent-To'], response.fields['WARC-Record-ID']);
+        assert.strictEqual(request.block.toString('utf8'), 'GET / HTTP/1.1\r\nhost: example.com\r\nuser-agent: test\r\n\r\n');
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('WACZ packages index each response at its offset in the WARC', async () => {
+    const { folder, result } = await recordSession('wacz');
+    try {
+        assert.strictEqual(result.format, 'wacz');
+        assert.ok(!fs.existsSync(path.join(folder, config.archive.reservedDir, 'capture.warc.gz')));
+        const entries = readZip(fs.readFileSync(path.join(folder, result.path)));
+        assert.deepStrictEqual(Object.keys(entries), ['archive/capture.warc.gz', 'indexes/index.cdx', 'pages/pages.jsonl', 'datapackage.json']);
+
+        const warc = entries['archive/capture.warc.gz'].data;
+        const index = entries['indexes/index.cdx'].data.toString('utf8').trim().split('\n');
+        assert.deepStrictEqual(index.map(line => line.split(' ')[0]), ['com,example)/', 'com,example)/old']);
+        for (const line of index) {
+            const fields = JSON.parse(line.slice(line.indexOf('{')));
+            const member = warc.subarray(Number(fields.offset), Number(fields.offset) + Number(fields.length));
+            const [record] = parseWarc(zlib.gunzipSync(member));
+            assert.strictEqual(record.fields['WARC-Type'], 'response');
+            assert.strictEqual(record.fields['WARC-Target-URI'], fields.url);
+        }
+
+        const pages = entries['pages/pages.jsonl'].data.toString('utf8').trim().split('\n').map(JSON.parse);
+        assert.deepStrictEqual(pages.slice(1).map(page => [page.url, page.title]), [['https://example.com/', 'Home']]);
+
+        const datapackage = JSON.parse(entries['datapackage.json'].data);
+        const warcResource = datapackage.resources.find(resource => resource.path === 'archive/capture.warc.gz');
+        assert.strictEqual(warcResource.hash, `sha256:${crypto.createHash('sha256').update(warc).digest('hex')}`);
+        assert.strictEqual(warcResource.bytes, warc.length);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
+
+test('nothing is written when nothing was recorded', async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        assert.strictEqual(await createWarcRecorder(folder).finish([]), null);
+        assert.deepStrictEqual(fs.readdirSync(path.join(folder, config.archive.reservedDir)), []);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+});
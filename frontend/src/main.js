@@ -6,10 +6,25 @@
 // API endpoint - uses environment variable in production, localhost in development
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3420';
 
+// How often to check on a queued archive job
+const JOB_POLL_INTERVAL_MS = 3000;
+
+// Loading messages for each archive job stage
+const LOADING_SUBTEXT = 'This may take a few minutes';
+const JOB_STAGE_LABELS = {
+    queued: 'Waiting in queue...',
+    scraping: 'Capturing your project...',
+    validating: 'Testing your archive offline...',
+    uploading: 'Uploading to Arweave...',
+    verifying: 'Checking your archive...',
+    assigning_arns: 'Assigning your permanent name...'
+};
+
 // DOM elements - Sections
 const heroSection = document.getElementById('heroSection');
 const doneSection = document.getElementById('doneSection');
 const loadingOverlay = document.getElementById('loadingOverlay');
+const loadingSubtext = loadingOverlay.querySelector('.loading-subtext');
 
 // DOM elements - Form
 const archiveForm = document.getElementById('archiveForm');
@@ -30,6 +45,26 @@ const reArchiveBtn = document.getElementById('reArchiveBtn');
 let currentArchivedUrl = '';
 let currentManifestId = '';
 let currentOriginalUrl = '';
+let supportedSources = []; // Loaded from the API: [{ name, urlFormats, urlPatterns }]
+
+/**
+ * Load the supported sources (Lovable, Bolt.new, Vercel, Netlify...) and their URL patterns
+ * If this fails, URLs are only validated by the backend
+ */
+async function loadSupportedSources() {
+    try {
+        const response = await fetch(`${API_URL}/sources`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        supportedSources = data.sources.map(source => ({
+            ...source,
+            urlPatterns: source.urlPatterns.map(pattern => new RegExp(pattern, 'i'))
+        }));
+    } catch (error) {
+        console.warn('[Forever Loved] Could not load supported sources:', error);
+    }
+}
 
 /**
  * Handle form submission
@@ -39,15 +74,19 @@ archiveForm.addEventListener('submit', async (e) => {
 
     const url = projectUrl.value.trim();
 
-    // Validate URL format - support both old and new Lovable formats
-    // Old format: https://lovable.dev/projects/{uuid}
-    // New format: https://{project-id}.lovable.app/
-    const oldUrlRegex = /^https:\/\/lovable\.dev\/projects\/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}(\?.*)?$/i;
-    const newUrlRegex = /^https:\/\/[a-z0-9-]+\.lovable\.app\/?(\?.*)?$/i;
-
-    if (!oldUrlRegex.test(url) && !newUrlRegex.test(url)) {
-        alert('Invalid URL format. Please enter a valid Lovable project URL (either lovable.dev/projects/{uuid} or {project}.lovable.app).');
-        return;
+    // Validate URL format against the patterns of the supported sources
+    if (supportedSources.length > 0) {
+        const isSupported = supportedSources.some(source =>
+            source.urlPatterns.some(pattern => pattern.test(url))
+        );
+
+        if (!isSupported) {
+            const formats = supportedSources
+                .map(source => `${source.name}: ${source.urlFormats.join(' or ')}`)
+                .join('\n');
+            alert(`Invalid URL format. Please enter a supported project URL:\n${formats}`);
+            return;
+        }
     }
 
     // Store the original URL
@@ -72,7 +111,7 @@ async function archiveProject(url, forceReArchive = false) {
             requestBody.force = true;
         }
 
-        let response = await fetch(API_URL, {
+        const response = await fetch(API_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -80,19 +119,19 @@ async function archiveProject(url, forceReArchive = false) {
             body: JSON.stringify(requestBody)
         });
 
-        // Retry once on 502
-        if (response.status === 502) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            response = await fetch(API_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
-        }
-
         if (response.ok) {
             // Parse JSON response
-            const data = await response.json();
+            let data = await response.json();
+
+            // 202 means the archive was queued - wait for the job to finish
+            if (response.status === 202) {
+                const job = await waitForJob(data.jobId);
+                if (job.status === 'failed') {
+                    showError(job.error?.message || 'Archiving failed. Please try again in a few seconds.');
+                    return;
+                }
+                data = { projectId: job.projectId, ...job.result };
+            }
 
             // Store results
             currentArchivedUrl = data.arnsUrl || data.manifestUrl || '';
@@ -116,6 +155,55 @@ async function archiveProject(url, forceReArchive = false) {
     }
 }
 
+/**
+ * Wait for an archive job to finish, following its live progress stream
+ * Falls back to polling when the stream is unavailable
+ */
+function waitForJob(jobId) {
+    if (!window.EventSource) {
+        return pollJob(jobId);
+    }
+
+    return new Promise((resolve) => {
+        const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+
+        source.addEventListener('status', (e) => showLoadingStage(JSON.parse(e.data)));
+        source.addEventListener('progress', (e) => showLoadingProgress(JSON.parse(e.data)));
+        source.addEventListener('end', (e) => {
+            source.close();
+            resolve(JSON.parse(e.data));
+        });
+
+        source.onerror = () => {
+            source.close();
+            resolve(pollJob(jobId));
+        };
+    });
+}
+
+/**
+ * Poll an archive job until it is done or failed
+ */
+async function pollJob(jobId) {
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+        const response = await fetch(`${API_URL}/jobs/${jobId}`);
+        if (!response.ok) {
+            // Transient gateway errors - keep polling
+            if (response.status >= 500) continue;
+            throw new Error(`Could not fetch archive status (HTTP ${response.status})`);
+        }
+
+        const job = await response.json();
+        showLoadingStage(job);
+
+        if (job.status === 'done' || job.status === 'failed') {
+            return job;
+        }
+    }
+}
+
 /**
  * Show loading state
  */
@@ -123,11 +211,42 @@ function showLoading() {
     heroSection.style.display = 'none';
     doneSection.style.display = 'none';
     loadingOverlay.style.display = 'flex';
+    loadingSubtext.textContent = LOADING_SUBTEXT;
 
     // Scroll to top so user can see the loading state
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+/**
+ * Show the current job stage under the loading spinner
+ */
+function showLoadingStage(job) {
+    if (job.status === 'queued' && job.queuePosition) {
+        loadingSubtext.textContent = `Waiting in queue (position ${job.queuePosition})...`;
+    } else {
+        loadingSubtext.textContent = JOB_STAGE_LABELS[job.status] || LOADING_SUBTEXT;
+    }
+}
+
+/**
+ * Show scrape and upload progress details under the loading spinner
+ */
+function showLoadingProgress(progress) {
+    const { scrape, upload } = progress;
+
+    if (progress.status === 'scraping' && scrape?.phase === 'visiting_routes' && scrape.routes.toVisit > 0) {
+        const done = scrape.routes.visited + scrape.routes.failed;
+        loadingSubtext.textContent = `Capturing pages (${done}/${scrape.routes.toVisit})...`;
+    } else if (progress.status === 'scraping' && scrape?.phase === 'capturing_viewports' && scrape.viewport) {
+        loadingSubtext.textContent = `Capturing ${scrape.viewport.profile} layout (${scrape.viewport.visited}/${scrape.viewport.total})...`;
+    } else if (progress.status === 'scraping' && scrape?.phase === 'fetching_missing_assets') {
+        loadingSubtext.textContent = 'Fetching fonts and images the pages reference...';
+    } else if (progress.status === 'uploading' && upload?.totalBytes > 0) {
+        const percent = Math.floor((upload.processedBytes / upload.totalBytes) * 100);
+        loadingSubtext.textContent = `Uploading to Arweave (${percent}%)...`;
+    }
+}
+
 /**
  * Show success state
  */
@@ -276,6 +395,8 @@ function init() {
     doneSection.style.display = 'none';
     loadingOverlay.style.display = 'none';
 
+    loadSupportedSources();
+
     // Log font loading for debugging
     document.fonts.ready.then(() => {
         console.log('[Forever Loved] Fonts loaded successfully');